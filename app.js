@@ -8,11 +8,33 @@ import authRoutes from "./routes/authRoutes.js";
 import paymentRoutes from "./routes/paymentRoutes.js";
 import logRoutes from "./routes/logRoutes.js";
 import waRoutes from "./routes/waRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import apiKeyRoutes from "./routes/apiKeyRoutes.js";
+import { startWebhookWorker } from "./services/webhookService.js";
+import { startBroadcastWorker } from "./services/broadcastService.js";
+import { restoreSessions } from "./services/sessionRestore.js";
+import { startScheduler } from "./services/scheduler.js";
+import { startAutoReplyPruning } from "./services/autoReply.js";
+import { syncDatabase } from "./services/schemaMigrations.js";
+import { startLogRetention } from "./services/logRetention.js";
+import { migrateLegacyApiKeys } from "./services/apiKeys.js";
+import { startRefreshTokenCleanup } from "./services/authTokens.js";
+import { apiRateLimit } from "./middleware/rateLimit.js";
+import { initPlans } from "./services/planService.js";
+import { startPaymentReconciler } from "./services/paymentService.js";
+import { startPremiumExpiry } from "./services/premiumExpiry.js";
 
 dotenv.config();
 
 const app = express();
 
+// behind a reverse proxy: TRUST_PROXY=1 (number of proxies) so req.ip is the client IP for rate limits
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware global
 app.use(cors());
 app.use(express.json({ limit: "15mb" })); // untuk JSON
@@ -23,8 +45,21 @@ app.use(express.urlencoded({ extended: true, limit: "15mb" })); // untuk form-ur
   try {
     await sequelize.authenticate();
     console.log("✅ Database connected");
-    await sequelize.sync();
+    // creates missing tables, then adds new columns / indexes to existing ones
+    await syncDatabase();
     console.log("✅ Database synced");
+    await migrateLegacyApiKeys().catch(err => console.error("❌ API key migration error:", err));
+    await initPlans().catch(err => console.error("❌ Plan init error:", err));
+    startWebhookWorker();
+    startBroadcastWorker();
+    startScheduler();
+    startAutoReplyPruning();
+    startLogRetention();
+    startRefreshTokenCleanup();
+    startPaymentReconciler();
+    startPremiumExpiry();
+    // reconnect saved WA sessions in the background
+    restoreSessions().catch(err => console.error("❌ Session restore error:", err));
   } catch (err) {
     console.error("❌ DB error:", err);
   }
@@ -34,7 +69,10 @@ app.use(express.urlencoded({ extended: true, limit: "15mb" })); // untuk form-ur
 app.use("/api/auth", authRoutes);
 app.use("/api/payment", paymentRoutes);
 app.use("/api/logs", logRoutes);
-app.use("/api/v1", waRoutes);
+app.use("/api/webhooks", apiRateLimit, webhookRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/keys", apiKeyRoutes);
+app.use("/api/v1", apiRateLimit, waRoutes);
 
 // Health check
 app.get("/", (req, res) => res.json({ ok: true }));
@@ -0,0 +1,34 @@
+// config/auth.js
+import crypto from "crypto";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Tanpa JWT_SECRET dipakai secret acak per proses (token lama tidak berlaku setelah restart),
+// bukan secret bawaan yang bisa ditebak.
+if (!process.env.JWT_SECRET) {
+  console.warn("⚠️ JWT_SECRET is not set, using a random secret: tokens are invalidated on every restart");
+}
+export const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(48).toString("hex");
+
+// kunci HMAC kode OTP; tanpa OTP_SECRET diturunkan dari JWT_SECRET (kunci terpisah, bukan JWT_SECRET itu sendiri)
+if (!process.env.OTP_SECRET) {
+  console.warn(process.env.JWT_SECRET
+    ? "⚠️ OTP_SECRET is not set, deriving the OTP key from JWT_SECRET: pending codes break when JWT_SECRET changes"
+    : "⚠️ OTP_SECRET is not set, using a random secret: pending codes are invalidated on every restart");
+}
+export const OTP_SECRET = process.env.OTP_SECRET
+  || crypto.createHmac("sha256", JWT_SECRET).update("otp-codes").digest("hex");
+
+// access token berumur pendek, diperbarui dengan refresh token (dirotasi setiap dipakai)
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30", 10);
+
+// verifikasi email saat daftar: login & API key ditolak sampai email diverifikasi
+// (REQUIRE_EMAIL_VERIFICATION=false untuk mematikan)
+export const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION !== "false";
+export const EMAIL_VERIFY_TTL_HOURS = parseInt(process.env.EMAIL_VERIFY_TTL_HOURS || "24", 10);
+export const EMAIL_VERIFY_RESEND_COOLDOWN = parseInt(process.env.EMAIL_VERIFY_RESEND_COOLDOWN || "60", 10); // detik
+
+// kunci login setelah password salah berkali-kali (per akun)
+export const LOGIN_MAX_FAILED = parseInt(process.env.LOGIN_MAX_FAILED || "5", 10);
+export const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES || "15", 10);
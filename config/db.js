@@ -14,3 +14,7 @@ const sequelize = new Sequelize(
 );
 
 export default sequelize;
+
+// DB_SYNC_ALTER=true: sequelize.sync({ alter: true }) saat start (ikut mengubah tipe kolom, backup dulu).
+// Tanpa itu hanya tabel, kolom & index yang belum ada yang ditambahkan (services/schemaMigrations.js).
+export const DB_SYNC_ALTER = process.env.DB_SYNC_ALTER === "true";
@@ -0,0 +1,108 @@
+// config/emailTemplates.js
+// Template email transaksional per bahasa (id / en), dirender oleh services/emailService.js.
+// {{nama}} diganti variabel (di-escape untuk HTML). paragraphs = isi email,
+// details = tabel [label, nilai], action = tombol { label, url }.
+export const EMAIL_LOCALES = ["id", "en"];
+export const DEFAULT_EMAIL_LOCALE = EMAIL_LOCALES.includes(process.env.MAIL_DEFAULT_LOCALE)
+  ? process.env.MAIL_DEFAULT_LOCALE
+  : "id";
+
+export const EMAIL_TEMPLATES = {
+  verify_email: {
+    id: {
+      subject: "Verifikasi email Anda",
+      paragraphs: [
+        "Halo {{username}},",
+        "Terima kasih sudah mendaftar. Klik tombol di bawah untuk memverifikasi alamat email Anda. Link berlaku {{hours}} jam.",
+        "Jika Anda tidak merasa mendaftar, abaikan email ini."
+      ],
+      action: { label: "Verifikasi email", url: "{{link}}" }
+    },
+    en: {
+      subject: "Verify your email",
+      paragraphs: [
+        "Hi {{username}},",
+        "Thanks for signing up. Click the button below to verify your email address. The link is valid for {{hours}} hours.",
+        "If you did not sign up, you can ignore this email."
+      ],
+      action: { label: "Verify email", url: "{{link}}" }
+    }
+  },
+
+  password_reset: {
+    id: {
+      subject: "Reset password",
+      paragraphs: [
+        "Halo {{username}},",
+        "Kami menerima permintaan reset password untuk akun Anda. Klik tombol di bawah untuk membuat password baru. Link berlaku {{minutes}} menit.",
+        "Jika Anda tidak meminta reset password, abaikan email ini. Password Anda tidak berubah."
+      ],
+      action: { label: "Reset password", url: "{{link}}" }
+    },
+    en: {
+      subject: "Reset your password",
+      paragraphs: [
+        "Hi {{username}},",
+        "We received a request to reset the password of your account. Click the button below to choose a new password. The link is valid for {{minutes}} minutes.",
+        "If you did not request this, ignore this email. Your password stays the same."
+      ],
+      action: { label: "Reset password", url: "{{link}}" }
+    }
+  },
+
+  payment_receipt: {
+    id: {
+      subject: "Bukti pembayaran {{orderId}}",
+      paragraphs: [
+        "Halo {{username}},",
+        "Pembayaran Anda sudah kami terima. Terima kasih! Invoice terlampir dalam format PDF."
+      ],
+      details: [
+        ["No. invoice", "{{invoiceNumber}}"],
+        ["No. pesanan", "{{orderId}}"],
+        ["Produk", "{{product}}"],
+        ["Jumlah", "{{amount}}"],
+        ["Metode", "{{method}}"],
+        ["Dibayar pada", "{{paidAt}}"],
+        ["Premium aktif sampai", "{{premiumUntil}}"]
+      ]
+    },
+    en: {
+      subject: "Payment receipt {{orderId}}",
+      paragraphs: [
+        "Hi {{username}},",
+        "We have received your payment. Thank you! The invoice is attached as a PDF."
+      ],
+      details: [
+        ["Invoice number", "{{invoiceNumber}}"],
+        ["Order ID", "{{orderId}}"],
+        ["Product", "{{product}}"],
+        ["Amount", "{{amount}}"],
+        ["Method", "{{method}}"],
+        ["Paid at", "{{paidAt}}"],
+        ["Premium active until", "{{premiumUntil}}"]
+      ]
+    }
+  },
+
+  premium_expiring: {
+    id: {
+      subject: "Premium Anda berakhir dalam {{days}}",
+      paragraphs: [
+        "Halo {{username}},",
+        "Paket premium Anda berakhir pada {{premiumUntil}}. Setelah itu akun kembali ke paket gratis beserta batasannya.",
+        "Perpanjang sekarang agar layanan tidak terputus."
+      ],
+      action: { label: "Perpanjang premium", url: "{{link}}" }
+    },
+    en: {
+      subject: "Your premium plan ends in {{days}}",
+      paragraphs: [
+        "Hi {{username}},",
+        "Your premium plan ends on {{premiumUntil}}. After that your account returns to the free plan and its limits.",
+        "Renew now to keep your service running without interruption."
+      ],
+      action: { label: "Renew premium", url: "{{link}}" }
+    }
+  }
+};
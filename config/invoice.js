@@ -0,0 +1,18 @@
+// config/invoice.js
+import dotenv from "dotenv";
+dotenv.config();
+
+// nomor invoice: INV/2026/000001 (urut per tahun)
+export const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "INV";
+
+// harga plan sudah termasuk pajak; pajak dihitung mundur dari total yang dibayar
+export const INVOICE_TAX_NAME = process.env.INVOICE_TAX_NAME || "PPN";
+export const INVOICE_TAX_RATE = parseFloat(process.env.INVOICE_TAX_RATE || "0"); // persen, 0 = tanpa pajak
+
+// data penjual yang tercetak di invoice
+export const INVOICE_SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || "WA API Service",
+  address: process.env.INVOICE_SELLER_ADDRESS || "",
+  taxId: process.env.INVOICE_SELLER_TAX_ID || "", // NPWP
+  email: process.env.INVOICE_SELLER_EMAIL || ""
+};
@@ -1,20 +1,92 @@
+// config/mailer.js
+import fs from "fs";
+import path from "path";
 import nodemailer from "nodemailer";
 import dotenv from "dotenv";
 dotenv.config();
 
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.MAIL_USER,
-    pass: process.env.MAIL_PASS
+// MAIL_TRANSPORT:
+//   smtp    - SMTP_URL (boleh beberapa, dipisah koma: dicoba berurutan bila gagal)
+//             atau SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+//   gmail   - MAIL_USER / MAIL_PASS (setelan lama)
+//   file    - simpan email sebagai .eml di MAIL_OUTPUT_DIR (development)
+//   console - tampilkan email di log (development)
+// Tanpa MAIL_TRANSPORT: smtp bila SMTP_* diisi, gmail bila MAIL_USER diisi, selain itu email tidak
+// bisa dikirim (error). console / file hanya dipakai bila diset eksplisit: isinya memuat link reset / verifikasi.
+export const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT
+  || (process.env.SMTP_URL || process.env.SMTP_HOST ? "smtp" : process.env.MAIL_USER ? "gmail" : "none");
+export const MAIL_FROM = process.env.MAIL_FROM
+  || `"WA API Service" <${process.env.SMTP_USER || process.env.MAIL_USER || "no-reply@localhost"}>`;
+export const MAIL_OUTPUT_DIR = process.env.MAIL_OUTPUT_DIR || "storage/mails";
+
+function smtpTransporters() {
+  if (process.env.SMTP_URL) {
+    return process.env.SMTP_URL.split(",").map(url => url.trim()).filter(Boolean)
+      .map(url => nodemailer.createTransport(url));
+  }
+  return [nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || "587", 10),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  })];
+}
+
+function createTransporters() {
+  switch (MAIL_TRANSPORT) {
+    case "smtp":
+      return smtpTransporters();
+    case "gmail":
+      return [nodemailer.createTransport({
+        service: "gmail",
+        auth: { user: process.env.MAIL_USER, pass: process.env.MAIL_PASS }
+      })];
+    case "file":
+      return [nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" })];
+    case "console":
+      return [nodemailer.createTransport({ jsonTransport: true })];
+    case "none":
+      console.error("❌ No mail transport configured (set MAIL_TRANSPORT, SMTP_* or MAIL_USER): emails will fail");
+      return [];
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}" (smtp, gmail, file, console)`);
+  }
+}
+
+const transporters = createTransporters();
+
+async function deliver(message) {
+  if (!transporters.length) throw new Error("No mail transport configured");
+  let lastErr;
+  for (const transporter of transporters) {
+    try {
+      return await transporter.sendMail(message);
+    } catch (err) {
+      lastErr = err;
+      if (transporters.length > 1) console.warn("mail transport failed, trying next:", err.message);
+    }
   }
-});
+  throw lastErr;
+}
 
-export async function sendMail(to, subject, html) {
-  return transporter.sendMail({
-    from: `"WA API Service" <${process.env.MAIL_USER}>`,
-    to,
-    subject,
-    html
-  });
+/**
+ * sendMail(to, subject, html, text?, attachments?) -> nodemailer info
+ * attachments: nodemailer format, e.g. [{ filename, content: Buffer, contentType }]
+ * ("file": info.path is the saved .eml)
+ */
+export async function sendMail(to, subject, html, text, attachments) {
+  const info = await deliver({ from: MAIL_FROM, to, subject, html, text, attachments });
+
+  if (MAIL_TRANSPORT === "file") {
+    fs.mkdirSync(MAIL_OUTPUT_DIR, { recursive: true });
+    const safeTo = String(to).replace(/[^a-zA-Z0-9@._-]/g, "_");
+    const file = path.join(MAIL_OUTPUT_DIR, `${new Date().toISOString().replace(/[:.]/g, "-")}-${safeTo}.eml`);
+    fs.writeFileSync(file, info.message);
+    return { ...info, path: file };
+  }
+  if (MAIL_TRANSPORT === "console") {
+    const files = attachments?.length ? `\n[attachments: ${attachments.map(a => a.filename).join(", ")}]` : "";
+    console.log(`📧 Mail to ${to}: ${subject}\n${text || html}${files}`);
+  }
+  return info;
 }
@@ -0,0 +1,30 @@
+// config/payment.js
+import dotenv from "dotenv";
+dotenv.config();
+
+export const MIDTRANS_SERVER_KEY = process.env.MIDTRANS_SERVER_KEY || "";
+export const MIDTRANS_IS_PRODUCTION = process.env.MIDTRANS_IS_PRODUCTION === "true";
+// MIDTRANS_API_URL bisa diarahkan ke stub lokal saat testing
+export const MIDTRANS_API = (process.env.MIDTRANS_API_URL || (MIDTRANS_IS_PRODUCTION
+  ? "https://api.midtrans.com/v2"
+  : "https://api.sandbox.midtrans.com/v2")).replace(/\/+$/, "");
+export const MIDTRANS_TIMEOUT_MS = parseInt(process.env.MIDTRANS_TIMEOUT_MS || "15000", 10);
+
+// rekonsiliasi: cek status order pending ke Midtrans bila webhook tidak datang
+export const PAYMENT_RECONCILE_INTERVAL_MS = parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_MS || String(5 * 60 * 1000), 10);
+export const PAYMENT_RECONCILE_MIN_AGE_MS = parseInt(process.env.PAYMENT_RECONCILE_MIN_AGE_MS || String(2 * 60 * 1000), 10); // beri waktu webhook datang dulu
+// order yang masih pending setelah ini ditandai expire
+export const PAYMENT_PENDING_TTL_HOURS = parseInt(process.env.PAYMENT_PENDING_TTL_HOURS || "24", 10);
+
+// metode checkout (POST /api/payment/checkout { method }), bisa dibatasi lewat PAYMENT_METHODS
+export const PAYMENT_METHODS = (process.env.PAYMENT_METHODS || "qris,bca_va,bni_va,bri_va,permata_va,gopay,shopeepay")
+  .split(",").map(m => m.trim()).filter(Boolean);
+// batas waktu bayar (menit): VA lebih lama, QRIS / e-wallet singkat
+export const PAYMENT_EXPIRY_MINUTES = {
+  va: parseInt(process.env.PAYMENT_VA_EXPIRY_MINUTES || "1440", 10),
+  qris: parseInt(process.env.PAYMENT_QRIS_EXPIRY_MINUTES || "15", 10),
+  ewallet: parseInt(process.env.PAYMENT_EWALLET_EXPIRY_MINUTES || "15", 10)
+};
+// kembali ke halaman ini setelah bayar di aplikasi GoPay / ShopeePay
+export const PAYMENT_CALLBACK_URL = process.env.PAYMENT_CALLBACK_URL
+  || (process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/billing` : "");
@@ -0,0 +1,68 @@
+// config/plans.js
+// Batasan fitur per plan. "premium" berlaku selama premium=true dan premiumUntil belum lewat.
+export const PLAN_LIMITS = {
+  free: {
+    dailyMessages: parseInt(process.env.FREE_DAILY_MESSAGES || "100", 10),
+    maxBroadcastRecipients: parseInt(process.env.FREE_MAX_BROADCAST || "50", 10),
+    maxSessions: parseInt(process.env.FREE_MAX_SESSIONS || "1", 10),
+    media: false,
+    groups: false
+  },
+  premium: {
+    dailyMessages: parseInt(process.env.PREMIUM_DAILY_MESSAGES || "5000", 10),
+    maxBroadcastRecipients: parseInt(process.env.PREMIUM_MAX_BROADCAST || "5000", 10),
+    maxSessions: parseInt(process.env.PREMIUM_MAX_SESSIONS || "5", 10),
+    media: true,
+    groups: true
+  }
+};
+
+// hitungan kuota harian direset tengah malam zona waktu ini
+export const USAGE_TIMEZONE = process.env.USAGE_TIMEZONE || "Asia/Jakarta";
+
+export function isPremiumActive(user) {
+  return !!user?.premium && (!user.premiumUntil || new Date(user.premiumUntil) > new Date());
+}
+
+// plan berbayar bawaan, dipakai untuk mengisi tabel Plan saat masih kosong.
+// Setelah itu plan diatur lewat /api/admin/plans.
+export const DEFAULT_PLANS = [
+  {
+    name: "Premium",
+    slug: "premium-monthly",
+    price: parseInt(process.env.PREMIUM_PRICE || "35000", 10),
+    duration: 1,
+    durationUnit: "month",
+    limits: null // null = PLAN_LIMITS.premium
+  }
+];
+
+// plan berbayar dari database (id -> { name, limits }), diisi oleh services/planService.js
+const paidPlans = new Map();
+
+export function setPaidPlans(plans) {
+  paidPlans.clear();
+  for (const p of plans) paidPlans.set(p.id, { name: p.slug, limits: p.limits || {} });
+}
+
+/**
+ * -> { name, limits }. Premium users get the limits of the plan they bought
+ * (on top of PLAN_LIMITS.premium); users without a plan get plain "premium".
+ */
+export function getPlan(user) {
+  if (!isPremiumActive(user)) return { name: "free", limits: PLAN_LIMITS.free };
+  const paid = user.planId ? paidPlans.get(user.planId) : null;
+  if (!paid) return { name: "premium", limits: PLAN_LIMITS.premium };
+  return { name: paid.name, limits: { ...PLAN_LIMITS.premium, ...paid.limits } };
+}
+
+// pengingat & downgrade premium yang berakhir (services/premiumExpiry.js)
+// pengingat dikirim N hari sebelum premiumUntil, sekali per angka per masa premium
+export const PREMIUM_REMINDER_DAYS = (process.env.PREMIUM_REMINDER_DAYS || "7,1")
+  .split(",").map(d => parseInt(d, 10)).filter(d => d > 0).sort((a, b) => b - a);
+export const PREMIUM_CHECK_INTERVAL_MS = parseInt(process.env.PREMIUM_CHECK_INTERVAL_MS || String(60 * 60 * 1000), 10);
+// opsional: pengingat juga lewat WhatsApp dari session ini ("userId:sessionId", biasanya milik admin)
+export const PREMIUM_REMINDER_WA_SESSION = process.env.PREMIUM_REMINDER_WA_SESSION || "";
+// link perpanjang di pengingat, {planId} diganti plan terakhir user
+export const PREMIUM_RENEW_URL = process.env.PREMIUM_RENEW_URL
+  || `${process.env.FRONTEND_URL || ""}/billing/checkout?planId={planId}`;
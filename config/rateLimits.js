@@ -0,0 +1,38 @@
+// config/rateLimits.js
+// Batas request: { max, windowMs }. Hitungan disimpan di memori proses (reset saat restart).
+const MINUTE = 60 * 1000;
+
+function limit(envPrefix, max, windowMs) {
+  return {
+    max: parseInt(process.env[`${envPrefix}_MAX`] || String(max), 10),
+    windowMs: parseInt(process.env[`${envPrefix}_WINDOW_MS`] || String(windowMs), 10)
+  };
+}
+
+// /api/auth, per IP
+export const AUTH_RATE_LIMITS = {
+  login: limit("RATE_LOGIN", 10, 15 * MINUTE),
+  register: limit("RATE_REGISTER", 5, 60 * MINUTE),
+  forgot: limit("RATE_FORGOT", 5, 60 * MINUTE),
+  reset: limit("RATE_RESET", 10, 60 * MINUTE),
+  verifyEmail: limit("RATE_VERIFY_EMAIL", 10, 60 * MINUTE),
+  refresh: limit("RATE_REFRESH", 60, 15 * MINUTE)
+};
+
+// /api/v1 & /api/webhooks, per IP untuk semua endpoint: dicek sebelum limit per API key,
+// jadi banjir request dengan API key acak tetap tertahan
+export const API_IP_RATE_LIMIT = limit("RATE_API_IP", 600, MINUTE);
+
+// /api/v1 & /api/webhooks, per API key per endpoint ("METHOD /path", :id = angka / jid).
+// Endpoint yang tidak ada di daftar memakai "default".
+export const API_RATE_LIMITS = {
+  default: limit("RATE_API", 120, MINUTE),
+  "POST /send-text": limit("RATE_API_SEND", 60, MINUTE),
+  "POST /send-media": limit("RATE_API_SEND_MEDIA", 20, MINUTE),
+  "POST /send-buttons": limit("RATE_API_SEND", 60, MINUTE),
+  "POST /send-template": limit("RATE_API_SEND", 60, MINUTE),
+  "POST /broadcast": limit("RATE_API_BROADCAST", 5, MINUTE),
+  "POST /otp/send": limit("RATE_API_OTP", 20, MINUTE),
+  "POST /otp/verify": limit("RATE_API_OTP_VERIFY", 60, MINUTE),
+  "POST /connect": limit("RATE_API_CONNECT", 10, MINUTE)
+};
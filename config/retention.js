@@ -0,0 +1,14 @@
+// config/retention.js
+// Retensi log bawaan (hari), dipakai untuk mengisi tabel LogRetentionPolicy saat masih kosong.
+// Setelah itu kebijakan diatur lewat /api/admin/log-retention.
+// scope: "type" (nama event), "category" (lihat services/eventLog.js) atau "default".
+export const DEFAULT_RETENTION_POLICIES = [
+  { scope: "type", target: "presence_update", freeDays: 7, premiumDays: 14, archive: false },
+  { scope: "type", target: "connection_update", freeDays: 7, premiumDays: 30, archive: false },
+  { scope: "category", target: "message", freeDays: 90, premiumDays: 365, archive: true },
+  { scope: "category", target: "connection", freeDays: 30, premiumDays: 90, archive: true },
+  { scope: "default", target: "*", freeDays: 30, premiumDays: 180, archive: true }
+];
+
+// folder arsip NDJSON (gzip) dari log yang sudah lewat masa retensi
+export const LOG_ARCHIVE_DIR = process.env.LOG_ARCHIVE_DIR || "archives/logs";
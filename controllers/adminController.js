@@ -0,0 +1,217 @@
+// controllers/adminController.js
+import { Op } from "sequelize";
+import WaSession from "../models/WaSession.js";
+import User from "../models/User.js";
+import LogRetentionPolicy from "../models/LogRetentionPolicy.js";
+import Payment from "../models/Payment.js";
+import { restoreSessions, isRestoreRunning } from "../services/sessionRestore.js";
+import {
+  runLogRetention, getRetentionStatus, listArchives, archivePath
+} from "../services/logRetention.js";
+import { runPaymentReconcile, getReconcileStatus } from "../services/paymentService.js";
+import { runPremiumExpiry, getPremiumExpiryStatus } from "../services/premiumExpiry.js";
+
+// SESSION RESTORE STATUS (Admin)
+export async function getSessionRestoreStatus(req, res) {
+  try {
+    const where = { restoreStatus: { [Op.ne]: null } };
+    if (req.query.status) where.restoreStatus = req.query.status;
+
+    const rows = await WaSession.findAll({ where, order: [["restoredAt", "DESC"]] });
+    const users = await User.findAll({
+      where: { id: [...new Set(rows.map(r => r.userId))] },
+      attributes: ["id", "username", "email"]
+    });
+    const byId = new Map(users.map(u => [u.id, u]));
+
+    const summary = { restored: 0, needs_qr: 0, failed: 0, pending: 0 };
+    const sessions = rows.map(r => {
+      summary[r.restoreStatus] = (summary[r.restoreStatus] || 0) + 1;
+      const u = byId.get(r.userId);
+      return {
+        userId: r.userId,
+        username: u?.username,
+        email: u?.email,
+        sessionId: r.sessionId,
+        status: r.status,
+        restoreStatus: r.restoreStatus,
+        restoreError: r.restoreError,
+        restoredAt: r.restoredAt
+      };
+    });
+
+    return res.json({ summary, sessions });
+  } catch (err) {
+    console.error("getSessionRestoreStatus err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// RE-RUN SESSION RESTORE (Admin)
+export async function runSessionRestore(req, res) {
+  try {
+    const running = isRestoreRunning();
+    restoreSessions().catch(err => console.error("restoreSessions err:", err));
+    return res.status(202).json({
+      success: true,
+      message: `${running ? "Restore already running" : "Restore started"}. Check GET /api/admin/sessions for results.`
+    });
+  } catch (err) {
+    console.error("runSessionRestore err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * Validate a retention policy body -> { fields } or { error }
+ */
+function buildPolicy(body, current = null) {
+  const scope = body.scope ?? current?.scope;
+  const target = scope === "default" ? "*" : (body.target ?? current?.target);
+  const freeDays = parseInt(body.freeDays ?? current?.freeDays, 10);
+  const premiumDays = parseInt(body.premiumDays ?? current?.premiumDays ?? freeDays, 10);
+  const archive = body.archive !== undefined ? !!body.archive : (current ? current.archive : true);
+
+  if (!["type", "category", "default"].includes(scope)) return { error: "scope must be type, category or default" };
+  if (scope !== "default" && !/^[a-z0-9_.-]{1,64}$/i.test(target || "")) return { error: "target required (log type or category)" };
+  if (!(freeDays >= 1)) return { error: "freeDays must be at least 1" };
+  if (!(premiumDays >= 1)) return { error: "premiumDays must be at least 1" };
+  return { fields: { scope, target, freeDays, premiumDays, archive } };
+}
+
+// LOG RETENTION POLICIES + STATUS (Admin)
+export async function getLogRetention(req, res) {
+  try {
+    const policies = await LogRetentionPolicy.findAll({ order: [["scope", "ASC"], ["target", "ASC"]] });
+    return res.json({ policies, ...getRetentionStatus() });
+  } catch (err) {
+    console.error("getLogRetention err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// CREATE RETENTION POLICY (Admin)  body: { scope, target, freeDays, premiumDays, archive }
+export async function createLogRetentionPolicy(req, res) {
+  try {
+    const { fields, error } = buildPolicy(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const exists = await LogRetentionPolicy.findOne({ where: { scope: fields.scope, target: fields.target } });
+    if (exists) return res.status(409).json({ error: "A policy for this scope/target already exists", policy: exists });
+
+    const policy = await LogRetentionPolicy.create(fields);
+    return res.json({ success: true, policy });
+  } catch (err) {
+    console.error("createLogRetentionPolicy err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// UPDATE RETENTION POLICY (Admin)
+export async function updateLogRetentionPolicy(req, res) {
+  try {
+    const policy = await LogRetentionPolicy.findByPk(req.params.id);
+    if (!policy) return res.status(404).json({ error: "Policy not found" });
+
+    const { fields, error } = buildPolicy({ ...req.body, scope: policy.scope, target: policy.target }, policy);
+    if (error) return res.status(400).json({ error });
+
+    await policy.update(fields);
+    return res.json({ success: true, policy });
+  } catch (err) {
+    console.error("updateLogRetentionPolicy err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// DELETE RETENTION POLICY (Admin) - the default policy can only be changed
+export async function deleteLogRetentionPolicy(req, res) {
+  try {
+    const policy = await LogRetentionPolicy.findByPk(req.params.id);
+    if (!policy) return res.status(404).json({ error: "Policy not found" });
+    if (policy.scope === "default") return res.status(400).json({ error: "The default policy cannot be deleted" });
+
+    await policy.destroy();
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("deleteLogRetentionPolicy err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// RUN RETENTION NOW (Admin) -> waits for the run and returns its summary
+export async function runLogRetentionNow(req, res) {
+  try {
+    const summary = await runLogRetention();
+    return res.json({ success: !summary.error, summary });
+  } catch (err) {
+    console.error("runLogRetentionNow err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// LIST LOG ARCHIVES (Admin)
+export async function getLogArchives(req, res) {
+  try {
+    return res.json({ archives: listArchives() });
+  } catch (err) {
+    console.error("getLogArchives err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// DOWNLOAD LOG ARCHIVE (Admin)
+export async function downloadLogArchive(req, res) {
+  try {
+    const file = archivePath(req.params.name);
+    if (!file) return res.status(404).json({ error: "Archive not found" });
+    return res.download(file);
+  } catch (err) {
+    console.error("downloadLogArchive err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// PAYMENT RECONCILER STATUS (Admin)
+export async function getPaymentReconcile(req, res) {
+  try {
+    const pending = await Payment.count({ where: { status: "pending" } });
+    return res.json({ pending, ...getReconcileStatus() });
+  } catch (err) {
+    console.error("getPaymentReconcile err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// RUN PAYMENT RECONCILER NOW (Admin) -> waits for the run and returns its summary
+export async function runPaymentReconcileNow(req, res) {
+  try {
+    const summary = await runPaymentReconcile();
+    return res.json({ success: true, summary });
+  } catch (err) {
+    console.error("runPaymentReconcileNow err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// PREMIUM EXPIRY JOB STATUS (Admin)
+export async function getPremiumExpiry(req, res) {
+  try {
+    const expiredActive = await User.count({ where: { premium: true, premiumUntil: { [Op.lte]: new Date() } } });
+    return res.json({ expiredActive, ...getPremiumExpiryStatus() });
+  } catch (err) {
+    console.error("getPremiumExpiry err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// RUN PREMIUM EXPIRY JOB NOW (Admin) -> reminders + downgrades, returns the run summary
+export async function runPremiumExpiryNow(req, res) {
+  try {
+    const summary = await runPremiumExpiry();
+    return res.json({ success: true, summary });
+  } catch (err) {
+    console.error("runPremiumExpiryNow err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
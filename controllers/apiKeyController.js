@@ -0,0 +1,165 @@
+// controllers/apiKeyController.js
+import ApiKey from "../models/ApiKey.js";
+import {
+  API_KEY_SCOPES, generateApiKey, isValidIpRule, closeKeyResponses
+} from "../services/apiKeys.js";
+
+const SESSION_ID_RE = /^[a-zA-Z0-9_-]{1,32}$/;
+const MAX_KEYS_PER_USER = parseInt(process.env.MAX_API_KEYS_PER_USER || "20", 10);
+
+async function findOwnKey(req) {
+  return ApiKey.findOne({ where: { id: req.params.id, userId: req.user.id } });
+}
+
+// what the API returns about a key (never the hash)
+function present(key) {
+  const now = new Date();
+  return {
+    id: key.id,
+    name: key.name,
+    prefix: key.prefix,
+    scopes: key.scopes,
+    sessions: key.sessions,
+    ipAllowlist: key.ipAllowlist,
+    expiresAt: key.expiresAt,
+    lastUsedAt: key.lastUsedAt,
+    lastUsedIp: key.lastUsedIp,
+    revokedAt: key.revokedAt,
+    status: key.revokedAt ? "revoked" : (key.expiresAt && new Date(key.expiresAt) <= now ? "expired" : "active"),
+    createdAt: key.createdAt
+  };
+}
+
+/**
+ * Validate body -> { fields } or { error }
+ *   name, scopes: [...], sessions: [...] | null, ipAllowlist: [...] | null,
+ *   expiresAt (ISO) | expiresInDays | null
+ */
+function buildKey(body, current = null) {
+  const fields = {};
+
+  if (body.name !== undefined || !current) {
+    if (!body.name || String(body.name).length > 64) return { error: "name required (max 64 chars)" };
+    fields.name = String(body.name);
+  }
+
+  if (body.scopes !== undefined || !current) {
+    const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes)] : [];
+    if (!scopes.length) return { error: `scopes required (${API_KEY_SCOPES.join(", ")})` };
+    const bad = scopes.find(s => !API_KEY_SCOPES.includes(s));
+    if (bad) return { error: `Unknown scope "${bad}" (${API_KEY_SCOPES.join(", ")})` };
+    fields.scopes = scopes;
+  }
+
+  if (body.sessions !== undefined) {
+    if (body.sessions !== null && (!Array.isArray(body.sessions) || body.sessions.some(s => !SESSION_ID_RE.test(s)))) {
+      return { error: "sessions must be an array of sessionIds or null" };
+    }
+    fields.sessions = body.sessions?.length ? [...new Set(body.sessions)] : null;
+  }
+
+  if (body.ipAllowlist !== undefined) {
+    if (body.ipAllowlist !== null && !Array.isArray(body.ipAllowlist)) return { error: "ipAllowlist must be an array or null" };
+    const bad = (body.ipAllowlist || []).find(rule => !isValidIpRule(rule));
+    if (bad) return { error: `Invalid IP or CIDR in ipAllowlist: ${bad}` };
+    fields.ipAllowlist = body.ipAllowlist?.length ? body.ipAllowlist : null;
+  }
+
+  if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+    const days = Number(body.expiresInDays);
+    if (!(days > 0)) return { error: "expiresInDays must be a positive number" };
+    fields.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  } else if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null) {
+      fields.expiresAt = null;
+    } else {
+      const at = new Date(body.expiresAt);
+      if (isNaN(at)) return { error: "Invalid expiresAt (use ISO 8601)" };
+      if (at <= new Date()) return { error: "expiresAt must be in the future" };
+      fields.expiresAt = at;
+    }
+  }
+
+  return { fields };
+}
+
+// LIST KEYS
+export async function listKeys(req, res) {
+  try {
+    const keys = await ApiKey.findAll({ where: { userId: req.user.id }, order: [["createdAt", "DESC"]] });
+    return res.json({ keys: keys.map(present), scopes: API_KEY_SCOPES });
+  } catch (err) {
+    console.error("listKeys err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// CREATE KEY -> the key itself is only returned here
+export async function createKey(req, res) {
+  try {
+    const { fields, error } = buildKey(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const active = await ApiKey.count({ where: { userId: req.user.id, revokedAt: null } });
+    if (active >= MAX_KEYS_PER_USER) return res.status(409).json({ error: `Limit of ${MAX_KEYS_PER_USER} active API keys reached` });
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const row = await ApiKey.create({ userId: req.user.id, ...fields, prefix, keyHash });
+    return res.json({ success: true, apiKey: key, key: present(row), message: "Store this key now, it will not be shown again." });
+  } catch (err) {
+    console.error("createKey err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// UPDATE KEY (name, scopes, sessions, ipAllowlist, expiry) - applies immediately
+export async function updateKey(req, res) {
+  try {
+    const row = await findOwnKey(req);
+    if (!row) return res.status(404).json({ error: "API key not found" });
+    if (row.revokedAt) return res.status(409).json({ error: "API key is revoked" });
+
+    const { fields, error } = buildKey(req.body || {}, row);
+    if (error) return res.status(400).json({ error });
+
+    await row.update(fields);
+    // open streams were authorized with the old settings
+    closeKeyResponses(row.id);
+    return res.json({ success: true, key: present(row) });
+  } catch (err) {
+    console.error("updateKey err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// ROTATE KEY -> new secret, same settings; the old secret stops working now
+export async function rotateKey(req, res) {
+  try {
+    const row = await findOwnKey(req);
+    if (!row) return res.status(404).json({ error: "API key not found" });
+    if (row.revokedAt) return res.status(409).json({ error: "API key is revoked" });
+
+    const { key, prefix, keyHash } = generateApiKey();
+    await row.update({ prefix, keyHash, lastUsedAt: null, lastUsedIp: null });
+    const closed = closeKeyResponses(row.id);
+    return res.json({ success: true, apiKey: key, key: present(row), closedStreams: closed, message: "Store this key now, it will not be shown again." });
+  } catch (err) {
+    console.error("rotateKey err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// REVOKE KEY
+export async function revokeKey(req, res) {
+  try {
+    const row = await findOwnKey(req);
+    if (!row) return res.status(404).json({ error: "API key not found" });
+
+    if (!row.revokedAt) await row.update({ revokedAt: new Date() });
+    const closed = closeKeyResponses(row.id);
+    return res.json({ success: true, key: present(row), closedStreams: closed });
+  } catch (err) {
+    console.error("revokeKey err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -1,13 +1,70 @@
 // controllers/authController.js
+import crypto from "crypto";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 import { v4 as uuidv4 } from "uuid";
+import { Op, literal } from "sequelize";
 import User from "../models/User.js";
-import { sendMail } from "../config/mailer.js";
+import ApiKey from "../models/ApiKey.js";
+import RefreshToken from "../models/RefreshToken.js";
+import { generateApiKey, closeKeyResponses } from "../services/apiKeys.js";
+import {
+  issueTokens, refreshTokens, revokeRefreshToken, revokeUserTokens, listUserSessions
+} from "../services/authTokens.js";
+import { sendTemplateMail, resolveLocale } from "../services/emailService.js";
+import { EMAIL_LOCALES, DEFAULT_EMAIL_LOCALE } from "../config/emailTemplates.js";
+import {
+  REQUIRE_EMAIL_VERIFICATION, EMAIL_VERIFY_TTL_HOURS, EMAIL_VERIFY_RESEND_COOLDOWN,
+  LOGIN_MAX_FAILED, LOGIN_LOCK_MINUTES
+} from "../config/auth.js";
 
 dotenv.config();
-const SECRET = process.env.JWT_SECRET || "changemejwtsecret";
+
+function clientMeta(req) {
+  return { userAgent: req.headers["user-agent"], ip: req.ip };
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * New verification link (replaces the previous one) -> email with the token;
+ * only its hash is stored
+ */
+async function sendVerificationEmail(user) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  user.emailVerifyToken = hashToken(token);
+  user.emailVerifyExp = new Date(Date.now() + EMAIL_VERIFY_TTL_HOURS * 3600 * 1000);
+  user.emailVerifySentAt = new Date();
+  await user.save();
+
+  const link = `${process.env.FRONTEND_URL}/verify-email/${token}`;
+  await sendTemplateMail(user, "verify_email", { link, hours: EMAIL_VERIFY_TTL_HOURS });
+}
+
+/**
+ * Wrong password -> count it, lock the account after LOGIN_MAX_FAILED in a row.
+ * Both steps are single UPDATEs, so parallel guesses all count.
+ * -> true when the account is locked now
+ */
+async function recordFailedLogin(user) {
+  const now = new Date();
+  const notLocked = { [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lte]: now } }] };
+  await User.update({ failedLogins: literal("failedLogins + 1") }, { where: { id: user.id, ...notLocked } });
+  await User.update(
+    { failedLogins: 0, lockedUntil: new Date(now.getTime() + LOGIN_LOCK_MINUTES * 60 * 1000) },
+    { where: { id: user.id, failedLogins: { [Op.gte]: LOGIN_MAX_FAILED }, ...notLocked } }
+  );
+  await user.reload({ attributes: ["id", "lockedUntil"] });
+  return !!user.lockedUntil && new Date(user.lockedUntil) > now;
+}
+
+function lockedResponse(res, lockedUntil) {
+  const retryAfter = Math.max(Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000), 1);
+  res.setHeader("Retry-After", String(retryAfter));
+  return res.status(423).json({ error: "Account temporarily locked after too many failed logins", lockedUntil, retryAfter });
+}
 
 /**
  * Helper to safely get body params
@@ -24,10 +81,13 @@ function getBody(req) {
 // REGISTER
 export async function register(req, res) {
   try {
-    const { username, email, phone, password } = getBody(req);
+    const { username, email, phone, password, locale } = getBody(req);
     if (!username || !email || !password) {
       return res.status(400).json({ error: "username, email, password required" });
     }
+    if (locale !== undefined && !EMAIL_LOCALES.includes(locale)) {
+      return res.status(400).json({ error: `locale must be one of: ${EMAIL_LOCALES.join(", ")}` });
+    }
 
     const existEmail = await User.findOne({ where: { email } });
     if (existEmail) return res.status(409).json({ error: "Email already registered" });
@@ -36,22 +96,41 @@ export async function register(req, res) {
     if (existPhone) return res.status(409).json({ error: "Phone already registered" });
 
     const hashed = await bcrypt.hash(password, 10);
-    const apiKey = uuidv4().replace(/-/g, "");
     const user = await User.create({
       username,
       email,
       phone,
       password: hashed,
-      apiKey,
-      role: "user"
+      apiKey: uuidv4().replace(/-/g, ""), // internal id only, API access uses ApiKey
+      role: "user",
+      locale: locale || resolveLocale(req.headers["accept-language"]) || DEFAULT_EMAIL_LOCALE,
+      emailVerified: false
     });
 
+    // first API key, full access; more keys via /api/keys
+    const { key, prefix, keyHash } = generateApiKey();
+    await ApiKey.create({ userId: user.id, name: "default", prefix, keyHash, scopes: ["full"] });
+
+    // the account exists even if the mail fails; the user can ask for a new link
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error("register verification mail err:", err);
+      verificationEmailSent = false;
+    }
+
     return res.json({
       id: user.id,
       username: user.username,
       email: user.email,
-      apiKey: user.apiKey,
-      role: user.role
+      apiKey: key,
+      role: user.role,
+      emailVerified: false,
+      verificationEmailSent,
+      message: REQUIRE_EMAIL_VERIFICATION
+        ? "Check your email to verify your account before logging in or using the API key."
+        : "Check your email to verify your account."
     });
   } catch (err) {
     console.error("register err:", err);
@@ -62,22 +141,30 @@ export async function register(req, res) {
 // LOGIN
 export async function login(req, res) {
   try {
-    console.log("📥 Body received:", req.body);
-
     const { email, password } = getBody(req);
     if (!email || !password) return res.status(400).json({ error: "email & password required" });
 
     const user = await User.findOne({ where: { email } });
     if (!user) return res.status(404).json({ error: "User not found" });
 
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) return lockedResponse(res, user.lockedUntil);
+
     const ok = await bcrypt.compare(password, user.password);
-    if (!ok) return res.status(401).json({ error: "Invalid credentials" });
+    if (!ok) {
+      if (await recordFailedLogin(user)) return lockedResponse(res, user.lockedUntil);
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+    if (user.failedLogins || user.lockedUntil) await user.update({ failedLogins: 0, lockedUntil: null });
+    if (user.disabled) return res.status(403).json({ error: "Account disabled" });
+    if (REQUIRE_EMAIL_VERIFICATION && user.emailVerified === false) {
+      return res.status(403).json({ error: "Email not verified", code: "email_not_verified" });
+    }
 
-    const token = jwt.sign({ id: user.id, apiKey: user.apiKey, role: user.role }, SECRET, { expiresIn: "7d" });
+    const tokens = await issueTokens(user, clientMeta(req));
 
+    // API keys are stored hashed: manage them with /api/keys
     return res.json({
-      token,
-      apiKey: user.apiKey,
+      ...tokens,
       role: user.role,
       id: user.id,
       username: user.username
@@ -88,6 +175,122 @@ export async function login(req, res) {
   }
 }
 
+// REFRESH  body: { refreshToken } -> new access + refresh token (the old one stops working)
+export async function refresh(req, res) {
+  try {
+    const { refreshToken } = getBody(req);
+    if (!refreshToken) return res.status(400).json({ error: "refreshToken required" });
+
+    const { error, user, ...tokens } = await refreshTokens(refreshToken, clientMeta(req));
+    if (error) return res.status(401).json({ error });
+    return res.json({ ...tokens, role: user.role, id: user.id });
+  } catch (err) {
+    console.error("refresh err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// LOGOUT (this session)  body: { refreshToken }
+export async function logout(req, res) {
+  try {
+    const { refreshToken } = getBody(req);
+    if (!refreshToken) return res.status(400).json({ error: "refreshToken required" });
+    await revokeRefreshToken(refreshToken, "logout");
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("logout err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// LOGOUT EVERYWHERE -> every access & refresh token of the account
+export async function logoutAll(req, res) {
+  try {
+    await revokeUserTokens(req.user.id, "logout_all");
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("logoutAll err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// LIST LOGIN SESSIONS
+export async function listSessions(req, res) {
+  try {
+    return res.json({ sessions: await listUserSessions(req.user.id) });
+  } catch (err) {
+    console.error("listSessions err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// REVOKE ONE LOGIN SESSION (its refresh token; access tokens expire on their own)
+export async function revokeSession(req, res) {
+  try {
+    const [count] = await RefreshToken.update(
+      { revokedAt: new Date(), revokedReason: "revoked" },
+      { where: { userId: req.user.id, familyId: req.params.id, revokedAt: null } }
+    );
+    if (!count) return res.status(404).json({ error: "Session not found" });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("revokeSession err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// VERIFY EMAIL  body: { token } (from the link in the verification email)
+export async function verifyEmail(req, res) {
+  try {
+    const { token } = getBody(req);
+    if (!token) return res.status(400).json({ error: "token required" });
+
+    const user = await User.findOne({ where: { emailVerifyToken: hashToken(token) } });
+    if (!user) return res.status(400).json({ error: "Invalid token" });
+    if (!user.emailVerifyExp || new Date() > new Date(user.emailVerifyExp)) {
+      return res.status(400).json({ error: "Token expired, request a new verification email" });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerifyToken = null;
+    user.emailVerifyExp = null;
+    await user.save();
+
+    return res.json({ success: true, message: "Email verified" });
+  } catch (err) {
+    console.error("verifyEmail err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// RESEND VERIFICATION EMAIL  body: { email }
+export async function resendVerification(req, res) {
+  try {
+    const { email } = getBody(req);
+    if (!email) return res.status(400).json({ error: "email required" });
+
+    const user = await User.findOne({ where: { email } });
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.emailVerified !== false) return res.status(409).json({ error: "Email already verified" });
+
+    const readyAt = user.emailVerifySentAt
+      ? new Date(user.emailVerifySentAt).getTime() + EMAIL_VERIFY_RESEND_COOLDOWN * 1000
+      : 0;
+    if (Date.now() < readyAt) {
+      const retryAfter = Math.ceil((readyAt - Date.now()) / 1000);
+      res.setHeader("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: "Please wait before requesting another email", retryAfter });
+    }
+
+    await sendVerificationEmail(user);
+    return res.json({ success: true, message: "Verification email sent" });
+  } catch (err) {
+    console.error("resendVerification err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
 // FORGOT PASSWORD
 export async function forgotPassword(req, res) {
   try {
@@ -103,12 +306,7 @@ export async function forgotPassword(req, res) {
     await user.save();
 
     const resetLink = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
-    const html = `
-      <p>Hi ${user.username},</p>
-      <p>Klik link berikut untuk reset password (berlaku 1 jam):</p>
-      <p><a href="${resetLink}">${resetLink}</a></p>
-    `;
-    await sendMail(user.email, "Reset Password", html);
+    await sendTemplateMail(user, "password_reset", { link: resetLink, minutes: 60 });
 
     return res.json({ success: true, message: "Reset link sent to email" });
   } catch (err) {
@@ -133,7 +331,17 @@ export async function resetPassword(req, res) {
     user.password = await bcrypt.hash(password, 10);
     user.resetToken = null;
     user.resetTokenExp = null;
+    user.failedLogins = 0;
+    user.lockedUntil = null;
+    // the reset link came by email, so the address is confirmed too
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      user.emailVerifyToken = null;
+      user.emailVerifyExp = null;
+    }
     await user.save();
+    await revokeUserTokens(user.id, "password_reset");
 
     return res.json({ success: true, message: "Password reset successful" });
   } catch (err) {
@@ -145,15 +353,25 @@ export async function resetPassword(req, res) {
 // UPDATE PROFILE
 export async function updateProfile(req, res) {
   try {
-    const { username, phone, password } = getBody(req);
+    const { username, phone, password, locale } = getBody(req);
+    if (locale !== undefined && !EMAIL_LOCALES.includes(locale)) {
+      return res.status(400).json({ error: `locale must be one of: ${EMAIL_LOCALES.join(", ")}` });
+    }
     const user = await User.findByPk(req.user.id);
     if (!user) return res.status(404).json({ error: "User not found" });
 
     if (username) user.username = username;
     if (phone) user.phone = phone;
+    if (locale) user.locale = locale;
     if (password) user.password = await bcrypt.hash(password, 10);
     await user.save();
 
+    if (password) {
+      // other devices are logged out, this one gets fresh tokens
+      await revokeUserTokens(user.id, "password_change");
+      await user.reload();
+      return res.json({ success: true, ...(await issueTokens(user, clientMeta(req))) });
+    }
     return res.json({ success: true });
   } catch (err) {
     console.error("updateProfile err:", err);
@@ -165,7 +383,10 @@ export async function updateProfile(req, res) {
 export async function getAllUsers(req, res) {
   try {
     const users = await User.findAll({
-      attributes: ["id", "username", "email", "phone", "apiKey", "role", "premium", "premiumUntil", "createdAt"]
+      attributes: [
+        "id", "username", "email", "phone", "role", "premium", "premiumUntil", "disabled",
+        "locale", "emailVerified", "emailVerifiedAt", "lockedUntil", "createdAt"
+      ]
     });
     return res.json(users);
   } catch (err) {
@@ -183,8 +404,10 @@ export async function setUserRole(req, res) {
     const user = await User.findByPk(userId);
     if (!user) return res.status(404).json({ error: "User not found" });
 
+    const changed = user.role !== role;
     user.role = role;
     await user.save();
+    if (changed) await revokeUserTokens(user.id, "role_change");
     return res.json({ success: true });
   } catch (err) {
     console.error("setUserRole err:", err);
@@ -192,6 +415,36 @@ export async function setUserRole(req, res) {
   }
 }
 
+// ENABLE / DISABLE ACCOUNT (Admin)  body: { userId, disabled }
+export async function setUserStatus(req, res) {
+  try {
+    const { userId, disabled } = getBody(req);
+    if (typeof disabled !== "boolean") return res.status(400).json({ error: "disabled (boolean) required" });
+    if (Number(userId) === req.user.id) return res.status(400).json({ error: "You cannot disable your own account" });
+
+    const user = await User.findByPk(userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    user.disabled = disabled;
+    // re-enabling also lifts a login lockout
+    if (!disabled) {
+      user.failedLogins = 0;
+      user.lockedUntil = null;
+    }
+    await user.save();
+    if (disabled) {
+      await revokeUserTokens(user.id, "account_disabled");
+      // API keys are refused while disabled; end their open streams too
+      const keys = await ApiKey.findAll({ where: { userId: user.id }, attributes: ["id"] });
+      keys.forEach(k => closeKeyResponses(k.id));
+    }
+    return res.json({ success: true, disabled });
+  } catch (err) {
+    console.error("setUserStatus err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
 // SET PREMIUM (Admin)
 export async function setPremium(req, res) {
   try {
@@ -0,0 +1,290 @@
+// controllers/autoReplyController.js
+import AutoReplyRule from "../models/AutoReplyRule.js";
+import ConversationState from "../models/ConversationState.js";
+import { getSessionId, isValidSessionId } from "./waController.js";
+import { allowedSessionsWhere } from "../middleware/authMiddleware.js";
+import { findMatchingRule, invalidateRules, compileRulePattern } from "../services/autoReply.js";
+import { isValidTimezone } from "../services/scheduler.js";
+import { renderText, resolveTemplate } from "../services/templateService.js";
+
+const MATCH_TYPES = ["exact", "contains", "regex", "any"];
+const CHAT_TYPES = ["private", "group", "any"];
+const TIME_RE = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+async function findOwnRule(req) {
+  return AutoReplyRule.findOne({ where: { id: req.params.id, userId: req.user.id, ...allowedSessionsWhere(req) } });
+}
+
+/**
+ * response: { type: text, text } | { type: media, url, filename, caption } | { type: template, templateId, variables }
+ * -> error message or null
+ */
+function checkResponse(response, label = "response") {
+  if (!response || typeof response !== "object") return `${label} required`;
+  if (response.type === "text") return response.text ? null : `${label}.text required`;
+  if (response.type === "media") return response.url ? null : `${label}.url required`;
+  if (response.type === "template") return response.templateId ? null : `${label}.templateId required`;
+  return `${label}.type must be text, media or template`;
+}
+
+function checkFlow(flow) {
+  if (!flow.steps || typeof flow.steps !== "object") return "flow.steps required";
+  if (!flow.start || !flow.steps[flow.start]) return "flow.start must be one of flow.steps";
+  for (const [id, step] of Object.entries(flow.steps)) {
+    const err = checkResponse(step?.message, `flow.steps.${id}.message`);
+    if (err) return err;
+    if (step.fallback) {
+      const fbErr = checkResponse(step.fallback, `flow.steps.${id}.fallback`);
+      if (fbErr) return fbErr;
+    }
+    for (const [i, opt] of (step.options || []).entries()) {
+      const label = `flow.steps.${id}.options[${i}]`;
+      const keys = Array.isArray(opt?.match) ? opt.match : [opt?.match];
+      if (!keys.length || keys.some(k => k === undefined || k === null || String(k).trim() === "")) return `${label}.match required`;
+      if (!opt.response && !opt.next) return `${label} needs a response or next`;
+      if (opt.response) {
+        const optErr = checkResponse(opt.response, `${label}.response`);
+        if (optErr) return optErr;
+      }
+      if (opt.next && !flow.steps[opt.next]) return `${label}.next must be one of flow.steps`;
+    }
+  }
+  return null;
+}
+
+function checkConditions(c) {
+  if (typeof c !== "object") return "conditions must be an object";
+  if (c.chatType && !CHAT_TYPES.includes(c.chatType)) return "conditions.chatType must be private, group or any";
+  if (c.senders && !Array.isArray(c.senders)) return "conditions.senders must be an array";
+  if (c.excludeSenders && !Array.isArray(c.excludeSenders)) return "conditions.excludeSenders must be an array";
+  const bh = c.businessHours;
+  if (bh) {
+    if (bh.timezone && !isValidTimezone(bh.timezone)) return `Invalid timezone: ${bh.timezone}`;
+    if (bh.start && !TIME_RE.test(bh.start)) return "conditions.businessHours.start must be HH:MM";
+    if (bh.end && !TIME_RE.test(bh.end)) return "conditions.businessHours.end must be HH:MM";
+    if (bh.days && (!Array.isArray(bh.days) || bh.days.some(d => !Number.isInteger(Number(d)) || d < 0 || d > 6))) {
+      return "conditions.businessHours.days must be numbers 0-6 (0 = Sunday)";
+    }
+    if (bh.match && !["inside", "outside"].includes(bh.match)) return "conditions.businessHours.match must be inside or outside";
+  }
+  return null;
+}
+
+/**
+ * Validate body and return rule fields -> { fields } or { error }
+ */
+function buildRule(body, current = null) {
+  const pick = (key, def = null) => body[key] !== undefined ? body[key] : (current ? current[key] : def);
+  const fields = {
+    name: pick("name"),
+    enabled: pick("enabled", true) !== false,
+    priority: parseInt(pick("priority", 0), 10) || 0,
+    matchType: pick("matchType"),
+    pattern: pick("pattern"),
+    caseSensitive: !!pick("caseSensitive", false),
+    conditions: pick("conditions"),
+    response: pick("response"),
+    flow: body.response !== undefined && body.flow === undefined ? null : pick("flow"),
+    cooldownSeconds: Math.max(parseInt(pick("cooldownSeconds", 60), 10) || 0, 0)
+  };
+
+  if (!fields.name || String(fields.name).length > 64) return { error: "name required (max 64 chars)" };
+  if (!MATCH_TYPES.includes(fields.matchType)) return { error: "matchType must be exact, contains, regex or any" };
+  if (fields.matchType !== "any" && !fields.pattern) return { error: "pattern required" };
+  if (fields.matchType === "any") fields.pattern = null;
+  if (fields.matchType === "regex") {
+    try {
+      compileRulePattern(fields.pattern);
+    } catch (err) {
+      return { error: `Invalid regex: ${err.message}` };
+    }
+  }
+  if (fields.conditions) {
+    const err = checkConditions(fields.conditions);
+    if (err) return { error: err };
+  }
+  if (fields.flow) {
+    const err = checkFlow(fields.flow);
+    if (err) return { error: err };
+    fields.response = null;
+  } else {
+    const err = checkResponse(fields.response);
+    if (err) return { error: `${err} (or flow)` };
+  }
+  return { fields };
+}
+
+/**
+ * Render a response without sending or downloading media -> { text, media } or { error }
+ */
+async function previewResponse(userId, response, variables) {
+  if (response.type === "template") {
+    const found = await resolveTemplate(userId, response.templateId, { ...variables, ...(response.variables || {}) });
+    if (found.error) return { error: found.error, missing: found.missing };
+    return { text: found.text, media: found.media };
+  }
+  const source = response.type === "media" ? response.caption || "" : response.text;
+  const text = renderText(source, variables);
+  if (text.missing) return { error: "Missing template variables", missing: text.missing };
+  const media = response.type === "media" ? { url: response.url, filename: response.filename || "file" } : null;
+  return { text: text.text, media };
+}
+
+/**
+ * POST /autoreplies
+ * body: { name, matchType, pattern, caseSensitive, priority, conditions, response | flow, cooldownSeconds, sessionId }
+ */
+export async function createRule(req, res) {
+  try {
+    const sessionId = getSessionId(req);
+    if (!isValidSessionId(sessionId)) return res.status(400).json({ error: "Invalid sessionId" });
+
+    const { fields, error } = buildRule(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const rule = await AutoReplyRule.create({ userId: req.user.id, sessionId, ...fields });
+    invalidateRules(req.user.id);
+    return res.json({ success: true, rule });
+  } catch (err) {
+    console.error("createRule err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * GET /autoreplies?sessionId=
+ */
+export async function listRules(req, res) {
+  try {
+    const where = { userId: req.user.id };
+    if (req.query.sessionId) where.sessionId = req.query.sessionId;
+    const rules = await AutoReplyRule.findAll({ where, order: [["sessionId", "ASC"], ["priority", "DESC"], ["id", "ASC"]] });
+    return res.json({ rules });
+  } catch (err) {
+    console.error("listRules err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// GET RULE
+export async function getRule(req, res) {
+  try {
+    const rule = await findOwnRule(req);
+    if (!rule) return res.status(404).json({ error: "Rule not found" });
+    return res.json({ rule });
+  } catch (err) {
+    console.error("getRule err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// UPDATE RULE (partial)
+export async function updateRule(req, res) {
+  try {
+    const rule = await findOwnRule(req);
+    if (!rule) return res.status(404).json({ error: "Rule not found" });
+
+    const { fields, error } = buildRule(req.body, rule);
+    if (error) return res.status(400).json({ error });
+
+    await rule.update(fields);
+    invalidateRules(req.user.id);
+    // flow changed -> restart conversations that were inside it
+    if (req.body.flow !== undefined) await ConversationState.destroy({ where: { ruleId: rule.id } });
+    return res.json({ success: true, rule });
+  } catch (err) {
+    console.error("updateRule err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// DELETE RULE
+export async function deleteRule(req, res) {
+  try {
+    const rule = await findOwnRule(req);
+    if (!rule) return res.status(404).json({ error: "Rule not found" });
+
+    await ConversationState.destroy({ where: { ruleId: rule.id } });
+    await rule.destroy();
+    invalidateRules(req.user.id);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("deleteRule err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * POST /autoreplies/test
+ * body: { text, from, group (bool), name, sessionId }
+ * -> which rule would answer (cooldowns and flow state ignored) and the rendered reply
+ */
+export async function testRules(req, res) {
+  try {
+    const sessionId = getSessionId(req);
+    const { text = "", from = "6280000000000@s.whatsapp.net", group = false, name } = req.body;
+    const rules = await AutoReplyRule.findAll({
+      where: { userId: req.user.id, sessionId, enabled: true },
+      order: [["priority", "DESC"], ["id", "ASC"]]
+    });
+
+    const sender = from.includes("@") ? from : `${from}@s.whatsapp.net`;
+    const ctx = {
+      userId: req.user.id,
+      sessionId,
+      jid: group ? "120363000000000000@g.us" : sender,
+      sender,
+      isGroup: !!group,
+      now: new Date()
+    };
+    const found = findMatchingRule(rules, text, ctx, { ignoreCooldown: true });
+    if (!found) return res.json({ matched: false });
+
+    const { rule, groups } = found;
+    const response = rule.flow ? rule.flow.steps[rule.flow.start].message : rule.response;
+    const variables = { text, phone: sender.split("@")[0], name: name || sender.split("@")[0], ...groups };
+    const reply = await previewResponse(req.user.id, response, variables);
+
+    return res.json({
+      matched: true,
+      rule: { id: rule.id, name: rule.name, priority: rule.priority },
+      flow: !!rule.flow,
+      variables,
+      reply
+    });
+  } catch (err) {
+    console.error("testRules err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * GET /autoreplies/conversations?sessionId=  (contacts currently inside a flow)
+ */
+export async function listConversations(req, res) {
+  try {
+    const where = { userId: req.user.id };
+    if (req.query.sessionId) where.sessionId = req.query.sessionId;
+    const conversations = await ConversationState.findAll({ where, order: [["updatedAt", "DESC"]] });
+    return res.json({ conversations });
+  } catch (err) {
+    console.error("listConversations err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * DELETE /autoreplies/conversations/:jid?sessionId=  (end a contact's flow)
+ */
+export async function resetConversation(req, res) {
+  try {
+    const count = await ConversationState.destroy({
+      where: { userId: req.user.id, sessionId: getSessionId(req), jid: req.params.jid }
+    });
+    if (!count) return res.status(404).json({ error: "Conversation not found" });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("resetConversation err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,189 @@
+// controllers/broadcastController.js
+import BroadcastJob from "../models/BroadcastJob.js";
+import BroadcastRecipient from "../models/BroadcastRecipient.js";
+import { getSessionId, isValidSessionId } from "./waController.js";
+import { loadPlan } from "../middleware/planLimits.js";
+import { allowedSessionsWhere } from "../middleware/authMiddleware.js";
+import { findTemplate, renderTemplate, renderText } from "../services/templateService.js";
+import {
+  createBroadcastJob, setJobStatus, jobProgress, subscribeProgress
+} from "../services/broadcastService.js";
+
+async function findOwnJob(req) {
+  return BroadcastJob.findOne({ where: { id: req.params.id, userId: req.user.id, ...allowedSessionsWhere(req) } });
+}
+
+/**
+ * POST /broadcast
+ * body: {
+ *   numbers: ["628xx@s.whatsapp.net", ...]  or  recipients: [{ to, variables }, ...]
+ *     or  listId and/or tags (contact list audience, see listController),
+ *   message  or  templateId + variables (shared, merged under each recipient's variables),
+ *   ratePerMinute (optional), sessionId (optional)
+ * }
+ * -> queues a background job, returns immediately with the job id
+ */
+export async function createBroadcast(req, res) {
+  try {
+    const { numbers, recipients, message, templateId, variables = {}, ratePerMinute } = req.body;
+    const list = Array.isArray(recipients)
+      ? recipients.filter(r => r?.to)
+      : Array.isArray(numbers) ? numbers.map(to => ({ to })) : [];
+    if (list.length === 0 || (!message && !templateId)) {
+      return res.status(400).json({ error: "numbers (or recipients) array & message (or templateId) required" });
+    }
+
+    const sessionId = getSessionId(req);
+    if (!isValidSessionId(sessionId)) return res.status(400).json({ error: "Invalid sessionId" });
+
+    let rows = list.map(r => ({ to: r.to, message: null }));
+    let jobMessage = message;
+    let media = null;
+    let templateRef = null;
+    if (templateId) {
+      const { template, error, status } = await findTemplate(req.user.id, templateId);
+      if (error) return res.status(status).json({ error });
+
+      // render every recipient up front; one missing variable rejects the whole broadcast
+      const missing = [];
+      rows = [];
+      for (const r of list) {
+        const rendered = renderTemplate(template, { ...variables, ...(r.variables || {}) });
+        if (rendered.missing) missing.push({ to: r.to, missing: rendered.missing });
+        else rows.push({ to: r.to, message: rendered.text });
+      }
+      if (missing.length) {
+        return res.status(400).json({ error: "Missing template variables", count: missing.length, recipients: missing.slice(0, 50) });
+      }
+
+      if (template.type === "media") {
+        const plan = await loadPlan(req);
+        if (!plan.limits.media) {
+          return res.status(402).json({ error: `The media feature is not available on the ${plan.name} plan`, plan: plan.name, upgradeRequired: true });
+        }
+        // media url placeholders use the shared variables only
+        const url = renderText(template.media.url, variables);
+        if (url.missing) return res.status(400).json({ error: "Missing template variables", missing: url.missing });
+        media = { url: url.text, filename: template.media.filename };
+      }
+      jobMessage = template.body;
+      templateRef = template.id;
+    }
+
+    const job = await createBroadcastJob(req.user.id, {
+      sessionId,
+      recipients: rows,
+      message: jobMessage,
+      templateId: templateRef,
+      media,
+      ratePerMinute
+    });
+    return res.status(202).json({ success: true, jobId: job.id, job: jobProgress(job) });
+  } catch (err) {
+    console.error("createBroadcast err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * GET /broadcast?sessionId=
+ */
+export async function listBroadcasts(req, res) {
+  try {
+    const where = { userId: req.user.id };
+    if (req.query.sessionId) where.sessionId = req.query.sessionId;
+    const jobs = await BroadcastJob.findAll({
+      where,
+      order: [["createdAt", "DESC"]],
+      limit: 100
+    });
+    return res.json({ jobs: jobs.map(jobProgress) });
+  } catch (err) {
+    console.error("listBroadcasts err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * GET /broadcast/:id?recipients=failed&limit=&offset=
+ */
+export async function getBroadcast(req, res) {
+  try {
+    const job = await findOwnJob(req);
+    if (!job) return res.status(404).json({ error: "Broadcast job not found" });
+
+    const out = { job: jobProgress(job), message: job.message };
+    if (req.query.recipients) {
+      const where = { jobId: job.id };
+      if (req.query.recipients !== "all") where.status = req.query.recipients;
+      const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 1000);
+      const offset = parseInt(req.query.offset || "0", 10) || 0;
+      out.recipients = await BroadcastRecipient.findAll({
+        where,
+        attributes: ["to", "status", "error", "messageId", "sentAt"],
+        order: [["id", "ASC"]],
+        limit,
+        offset
+      });
+    }
+    return res.json(out);
+  } catch (err) {
+    console.error("getBroadcast err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * GET /broadcast/:id/stream  (SSE, event: progress)
+ */
+export async function streamBroadcast(req, res) {
+  try {
+    const job = await findOwnJob(req);
+    if (!job) return res.status(404).json({ error: "Broadcast job not found" });
+
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.flushHeaders?.();
+
+    const unsubscribe = subscribeProgress(job.id, res);
+    const ping = setInterval(() => {
+      try { res.write(":\n\n"); } catch (e) {}
+    }, 25000);
+
+    req.on("close", () => {
+      clearInterval(ping);
+      unsubscribe();
+    });
+
+    res.write(`event: progress\n`);
+    res.write(`data: ${JSON.stringify(jobProgress(job))}\n\n`);
+  } catch (err) {
+    console.error("streamBroadcast err:", err);
+    try { res.status(500).json({ error: err.message }); } catch {}
+  }
+}
+
+/**
+ * POST /broadcast/:id/pause | /resume | /cancel
+ */
+function transition(action, from, to) {
+  return async (req, res) => {
+    try {
+      const job = await findOwnJob(req);
+      if (!job) return res.status(404).json({ error: "Broadcast job not found" });
+      if (!from.includes(job.status)) {
+        return res.status(409).json({ error: `Cannot ${action} a ${job.status} job` });
+      }
+      await setJobStatus(job, to);
+      return res.json({ success: true, job: jobProgress(job) });
+    } catch (err) {
+      console.error("broadcast transition err:", err);
+      return res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+export const pauseBroadcast = transition("pause", ["running"], "paused");
+export const resumeBroadcast = transition("resume", ["paused"], "running");
+export const cancelBroadcast = transition("cancel", ["running", "paused"], "cancelled");
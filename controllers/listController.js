@@ -0,0 +1,208 @@
+// controllers/listController.js
+import { Op } from "sequelize";
+import ContactList from "../models/ContactList.js";
+import ListContact from "../models/ListContact.js";
+import {
+  csvToContacts, importContacts, normalizePhone, normalizeTags, tagsWhere, resolveAudience
+} from "../services/audienceService.js";
+
+async function findOwnList(req) {
+  return ContactList.findOne({ where: { id: req.params.id, userId: req.user.id } });
+}
+
+// CREATE LIST
+export async function createList(req, res) {
+  try {
+    const { name, description } = req.body;
+    if (!name) return res.status(400).json({ error: "name required" });
+
+    const exists = await ContactList.findOne({ where: { userId: req.user.id, name } });
+    if (exists) return res.status(409).json({ error: "List name already used" });
+
+    const list = await ContactList.create({ userId: req.user.id, name, description });
+    return res.json({ success: true, list });
+  } catch (err) {
+    console.error("createList err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// LIST LISTS (with member counts)
+export async function listLists(req, res) {
+  try {
+    const lists = await ContactList.findAll({ where: { userId: req.user.id }, order: [["name", "ASC"]] });
+    const counts = await ListContact.count({
+      where: { userId: req.user.id },
+      group: ["listId"]
+    });
+    const countById = new Map(counts.map(c => [c.listId, c.count]));
+    return res.json({
+      lists: lists.map(l => ({ ...l.toJSON(), contacts: countById.get(l.id) || 0 }))
+    });
+  } catch (err) {
+    console.error("listLists err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// GET LIST + MEMBERS  ?tags=a,b&q=&limit=&offset=
+export async function getList(req, res) {
+  try {
+    const list = await findOwnList(req);
+    if (!list) return res.status(404).json({ error: "Contact list not found" });
+
+    const where = { listId: list.id };
+    const and = req.query.tags ? tagsWhere(req.query.tags) : [];
+    if (req.query.q) {
+      const like = { [Op.like]: `%${req.query.q}%` };
+      and.push({ [Op.or]: [{ name: like }, { phone: like }] });
+    }
+    if (and.length) where[Op.and] = and;
+
+    const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 1000);
+    const offset = parseInt(req.query.offset || "0", 10) || 0;
+    const { rows, count } = await ListContact.findAndCountAll({ where, order: [["id", "ASC"]], limit, offset });
+    return res.json({ list, contacts: rows, total: count, limit, offset });
+  } catch (err) {
+    console.error("getList err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// UPDATE LIST
+export async function updateList(req, res) {
+  try {
+    const list = await findOwnList(req);
+    if (!list) return res.status(404).json({ error: "Contact list not found" });
+
+    const { name, description } = req.body;
+    if (name && name !== list.name) {
+      const exists = await ContactList.findOne({ where: { userId: req.user.id, name } });
+      if (exists) return res.status(409).json({ error: "List name already used" });
+      list.name = name;
+    }
+    if (description !== undefined) list.description = description;
+    await list.save();
+    return res.json({ success: true, list });
+  } catch (err) {
+    console.error("updateList err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// DELETE LIST (and its contacts)
+export async function deleteList(req, res) {
+  try {
+    const list = await findOwnList(req);
+    if (!list) return res.status(404).json({ error: "Contact list not found" });
+
+    await ListContact.destroy({ where: { listId: list.id } });
+    await list.destroy();
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("deleteList err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// ADD CONTACTS  body: { contacts: [{ phone, name, tags, fields }], tags }
+export async function addContacts(req, res) {
+  try {
+    const list = await findOwnList(req);
+    if (!list) return res.status(404).json({ error: "Contact list not found" });
+
+    const { contacts, tags } = req.body;
+    if (!Array.isArray(contacts) || contacts.length === 0) return res.status(400).json({ error: "contacts array required" });
+
+    const result = await importContacts(list, contacts, { tags });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("addContacts err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// IMPORT CSV  body: { csv: "name,phone,city\n...", tags }
+export async function importCsv(req, res) {
+  try {
+    const list = await findOwnList(req);
+    if (!list) return res.status(404).json({ error: "Contact list not found" });
+
+    const { csv, tags } = req.body;
+    if (!csv) return res.status(400).json({ error: "csv required" });
+
+    const { contacts, error } = csvToContacts(csv);
+    if (error) return res.status(400).json({ error });
+
+    const result = await importContacts(list, contacts, { tags });
+    return res.json({ success: true, total: contacts.length, ...result });
+  } catch (err) {
+    console.error("importCsv err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// UPDATE CONTACT  body: { name, tags, fields }
+export async function updateContact(req, res) {
+  try {
+    const contact = await ListContact.findOne({
+      where: { id: req.params.contactId, listId: req.params.id, userId: req.user.id }
+    });
+    if (!contact) return res.status(404).json({ error: "Contact not found" });
+
+    const { name, tags, fields, phone } = req.body;
+    if (phone !== undefined) {
+      const normalized = normalizePhone(phone);
+      if (!normalized) return res.status(400).json({ error: "Invalid phone number" });
+      contact.phone = normalized;
+      contact.jid = `${normalized}@s.whatsapp.net`;
+    }
+    if (name !== undefined) contact.name = name;
+    if (tags !== undefined) contact.tags = normalizeTags(tags);
+    if (fields !== undefined) contact.fields = fields;
+    await contact.save();
+    return res.json({ success: true, contact });
+  } catch (err) {
+    console.error("updateContact err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// REMOVE CONTACT
+export async function removeContact(req, res) {
+  try {
+    const count = await ListContact.destroy({
+      where: { id: req.params.contactId, listId: req.params.id, userId: req.user.id }
+    });
+    if (!count) return res.status(404).json({ error: "Contact not found" });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("removeContact err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * Broadcast middleware: { listId } and/or { tags } -> req.body.recipients
+ * (runs before the plan limits so they see the real audience size)
+ */
+export async function resolveBroadcastAudience(req, res, next) {
+  try {
+    const { listId, tags } = req.body || {};
+    if (!listId && tags == null) return next();
+    if (tags != null && !normalizeTags(tags).length) {
+      return res.status(400).json({ error: "tags must contain at least one tag" });
+    }
+
+    const { recipients, error, status } = await resolveAudience(req.user.id, { listId, tags });
+    if (error) return res.status(status).json({ error });
+    if (!recipients.length) return res.status(400).json({ error: "No contacts match the list / tags" });
+
+    req.body.recipients = recipients;
+    delete req.body.numbers;
+    next();
+  } catch (err) {
+    console.error("resolveBroadcastAudience err:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
@@ -1,18 +1,183 @@
 // controllers/logController.js
+import { Op } from "sequelize";
+import sequelize from "../config/db.js";
 import Log from "../models/Log.js";
+import { LOG_CATEGORIES, LOG_LEVELS } from "../services/eventLog.js";
 
+const EXPORT_BATCH = 1000;
+const EXPORT_MAX = parseInt(process.env.LOG_EXPORT_MAX || "100000", 10);
+const CSV_COLUMNS = ["id", "createdAt", "userId", "sessionId", "type", "category", "level", "jid", "message", "meta"];
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+function listParam(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(",")).map(v => String(v).trim()).filter(Boolean);
+}
+
+function encodeCursor(id) {
+  return Buffer.from(JSON.stringify({ id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    return Number.isInteger(id) && id > 0 ? id : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Full-text search on message. Uses the FULLTEXT index (boolean mode, every
+ * word required, prefix match); words shorter than the index minimum (3)
+ * fall back to LIKE.
+ */
+function searchCondition(q) {
+  const terms = String(q).split(/\s+/).map(t => t.replace(/[+\-<>()~*"@]/g, "")).filter(Boolean);
+  if (!terms.length) return null;
+  if (terms.some(t => t.length < 3)) {
+    return {
+      [Op.and]: terms.map(t => ({ message: { [Op.like]: `%${t.replace(/[\\%_]/g, "\\$&")}%` } }))
+    };
+  }
+  const against = terms.map(t => `+${t}*`).join(" ");
+  return sequelize.literal(`MATCH (\`message\`) AGAINST (${sequelize.escape(against)} IN BOOLEAN MODE)`);
+}
+
+/**
+ * Filters from the query string -> { where } or { error }
+ *   type, category, level (comma separated), sessionId, jid (jid or phone number),
+ *   from, to (ISO dates), q (full-text), userId (admin only)
+ */
+function buildWhere(req) {
+  const q = req.query;
+  const where = {};
+  const and = [];
+
+  if (req.user.role === "admin") {
+    if (q.userId) where.userId = parseInt(q.userId, 10) || 0;
+  } else {
+    where.userId = req.user.id;
+  }
+
+  const types = listParam(q.type);
+  if (types.length) where.type = types;
+
+  const categories = listParam(q.category);
+  const badCategory = categories.find(c => !LOG_CATEGORIES.includes(c));
+  if (badCategory) return { error: `Unknown category "${badCategory}" (${LOG_CATEGORIES.join(", ")})` };
+  if (categories.length) where.category = categories;
+
+  const levels = listParam(q.level);
+  const badLevel = levels.find(l => !LOG_LEVELS.includes(l));
+  if (badLevel) return { error: `Unknown level "${badLevel}" (${LOG_LEVELS.join(", ")})` };
+  if (levels.length) where.level = levels;
+
+  if (q.sessionId) where.sessionId = listParam(q.sessionId);
+
+  if (q.jid) {
+    where.jid = String(q.jid).includes("@") ? String(q.jid) : `${String(q.jid).replace(/\D/g, "")}@s.whatsapp.net`;
+  }
+
+  const createdAt = {};
+  for (const [param, op] of [["from", Op.gte], ["to", Op.lte]]) {
+    if (!q[param]) continue;
+    const date = new Date(q[param]);
+    if (isNaN(date)) return { error: `Invalid ${param} date (use ISO 8601)` };
+    createdAt[op] = date;
+  }
+  if (Object.getOwnPropertySymbols(createdAt).length) where.createdAt = createdAt;
+
+  if (q.q) {
+    const search = searchCondition(q.q);
+    if (search) and.push(search);
+  }
+
+  if (and.length) where[Op.and] = and;
+  return { where };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  let s = value instanceof Date ? value.toISOString() : (typeof value === "object" ? JSON.stringify(value) : String(value));
+  // keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Stream every matching row (newest first) as CSV or NDJSON, in batches
+ */
+async function exportLogs(req, res, where, format) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson");
+  res.setHeader("Content-Disposition", `attachment; filename="logs-${stamp}.${format}"`);
+  if (format === "csv") res.write(CSV_COLUMNS.join(",") + "\n");
+
+  let aborted = false;
+  req.on("close", () => { aborted = true; });
+
+  let lastId = null;
+  let sent = 0;
+  while (!aborted && sent < EXPORT_MAX) {
+    const batchWhere = lastId ? { ...where, id: { [Op.lt]: lastId } } : where;
+    const rows = await Log.findAll({
+      where: batchWhere,
+      order: [["id", "DESC"]],
+      limit: Math.min(EXPORT_BATCH, EXPORT_MAX - sent),
+      raw: true
+    });
+    if (!rows.length) break;
+
+    const chunk = rows.map(row => format === "csv"
+      ? CSV_COLUMNS.map(col => csvValue(row[col])).join(",")
+      : JSON.stringify(row)
+    ).join("\n") + "\n";
+    if (!res.write(chunk)) await new Promise(resolve => res.once("drain", resolve));
+
+    sent += rows.length;
+    lastId = rows[rows.length - 1].id;
+    if (rows.length < EXPORT_BATCH) break;
+  }
+  res.end();
+}
+
+/**
+ * GET /api/logs
+ * query: filters (see buildWhere), limit (default 50, max 500), cursor,
+ *        format=json|csv|ndjson (csv / ndjson export every match, up to LOG_EXPORT_MAX rows)
+ * admin sees all logs, user sees own logs
+ * -> { logs, nextCursor } newest first; pass nextCursor back as ?cursor= for the next page
+ */
 export async function getLogs(req, res) {
   try {
-    // admin sees all logs, user sees own logs
-    if (req.user.role === "admin") {
-      const logs = await Log.findAll({ order: [["createdAt", "DESC"]] });
-      return res.json(logs);
-    } else {
-      const logs = await Log.findAll({ where: { userId: req.user.id }, order: [["createdAt", "DESC"]] });
-      return res.json(logs);
+    const { where, error } = buildWhere(req);
+    if (error) return res.status(400).json({ error });
+
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!["json", "csv", "ndjson"].includes(format)) return res.status(400).json({ error: "format must be json, csv or ndjson" });
+    if (format !== "json") return exportLogs(req, res, where, format);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    if (req.query.cursor) {
+      const cursorId = decodeCursor(req.query.cursor);
+      if (!cursorId) return res.status(400).json({ error: "Invalid cursor" });
+      where.id = { [Op.lt]: cursorId };
     }
+
+    const rows = await Log.findAll({ where, order: [["id", "DESC"]], limit: limit + 1 });
+    const hasMore = rows.length > limit;
+    const logs = hasMore ? rows.slice(0, limit) : rows;
+    return res.json({
+      logs,
+      limit,
+      nextCursor: hasMore ? encodeCursor(logs[logs.length - 1].id) : null
+    });
   } catch (err) {
     console.error("getLogs err:", err);
+    if (res.headersSent) return res.end();
     return res.status(500).json({ error: err.message });
   }
 }
@@ -0,0 +1,144 @@
+// controllers/otpController.js
+import { getSession, getSessionId, isValidSessionId, saveLog } from "./waController.js";
+import { normalizePhone } from "../services/audienceService.js";
+import { sendTracked } from "../services/messageStore.js";
+import {
+  OTP_DEFAULTS, OTP_LIMITS, buildOtpMessage, prepareOtp, markSent, verifyOtp as checkOtp
+} from "../services/otpService.js";
+
+const PURPOSE_RE = /^[a-zA-Z0-9_.:-]{1,64}$/;
+const MAX_MESSAGE_LENGTH = 1000;
+
+function intParam(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : NaN;
+}
+
+/**
+ * Validate /otp/send body -> { fields } or { error }
+ */
+function buildRequest(body) {
+  const phone = normalizePhone(body.to);
+  if (!phone) return { error: "to must be a valid phone number" };
+
+  const purpose = body.purpose === undefined ? "default" : String(body.purpose);
+  if (!PURPOSE_RE.test(purpose)) return { error: "purpose must be 1-64 chars (letters, digits, _ . : -)" };
+
+  const length = intParam(body.length, OTP_DEFAULTS.length);
+  if (!(length >= OTP_LIMITS.minLength && length <= OTP_LIMITS.maxLength)) {
+    return { error: `length must be an integer between ${OTP_LIMITS.minLength} and ${OTP_LIMITS.maxLength}` };
+  }
+
+  const ttlSeconds = intParam(body.ttlSeconds, OTP_DEFAULTS.ttlSeconds);
+  if (!(ttlSeconds >= OTP_LIMITS.minTtl && ttlSeconds <= OTP_LIMITS.maxTtl)) {
+    return { error: `ttlSeconds must be an integer between ${OTP_LIMITS.minTtl} and ${OTP_LIMITS.maxTtl}` };
+  }
+
+  if (body.message !== undefined && (typeof body.message !== "string" || body.message.length > MAX_MESSAGE_LENGTH)) {
+    return { error: `message must be a string (max ${MAX_MESSAGE_LENGTH} chars)` };
+  }
+  if (body.variables !== undefined && (typeof body.variables !== "object" || Array.isArray(body.variables))) {
+    return { error: "variables must be an object" };
+  }
+
+  return {
+    fields: {
+      phone,
+      purpose,
+      length,
+      ttlSeconds,
+      message: body.message,
+      templateId: body.templateId,
+      variables: body.variables || {}
+    }
+  };
+}
+
+/**
+ * POST /otp/send
+ * body: { to, purpose?, length?, ttlSeconds?, sessionId?,
+ *         message? (with {{code}}, optional {{minutes}} / {{purpose}}) | templateId + variables? }
+ * Sending again for the same number and purpose while a code is pending resends a new code.
+ * The code itself is never returned or stored.
+ */
+export async function sendOtp(req, res) {
+  try {
+    const sessionId = getSessionId(req);
+    if (!isValidSessionId(sessionId)) return res.status(400).json({ error: "Invalid sessionId" });
+    const sock = getSession(req.user.id, sessionId);
+    if (!sock) return res.status(400).json({ error: "Session not connected" });
+
+    const { fields, error } = buildRequest(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const prepared = await prepareOtp(req.user.id, { sessionId, ...fields });
+    if (prepared.error) {
+      if (prepared.retryAfter) res.setHeader("Retry-After", String(prepared.retryAfter));
+      return res.status(prepared.status).json({ error: prepared.error, retryAfter: prepared.retryAfter });
+    }
+    const { otp, code, resend } = prepared;
+
+    const built = await buildOtpMessage(req.user.id, fields, {
+      code,
+      minutes: String(Math.ceil(fields.ttlSeconds / 60)),
+      purpose: fields.purpose
+    });
+    if (built.error) return res.status(built.status).json({ error: built.error, missing: built.missing });
+
+    const to = `${fields.phone}@s.whatsapp.net`;
+    const result = await sendTracked(sock, req.user.id, sessionId, to, { text: built.text }, { redact: true });
+    await markSent(otp, result?.key?.id);
+    await saveLog(req.user.id, "otp_sent", { to, otpId: otp.id, purpose: otp.purpose, resend }, sessionId);
+
+    return res.json({
+      success: true,
+      otpId: otp.id,
+      to: otp.phone,
+      purpose: otp.purpose,
+      expiresAt: otp.expiresAt,
+      resendAvailableAt: new Date(new Date(otp.lastSentAt).getTime() + OTP_DEFAULTS.resendCooldownSeconds * 1000),
+      resendsLeft: Math.max(OTP_DEFAULTS.maxResends - otp.resends, 0),
+      attemptsLeft: Math.max(otp.maxAttempts - otp.attempts, 0)
+    });
+  } catch (err) {
+    console.error("sendOtp err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * POST /otp/verify
+ * body: { code, to + purpose? | otpId }
+ */
+export async function verifyOtp(req, res) {
+  try {
+    const body = req.body || {};
+    const code = String(body.code ?? "").trim();
+    if (!/^\d{4,10}$/.test(code)) return res.status(400).json({ error: "code must be 4-10 digits" });
+
+    const lookup = { code, sessions: req.user.sessions || null };
+    if (body.otpId !== undefined) {
+      if (!/^\d+$/.test(String(body.otpId))) return res.status(400).json({ error: "Invalid otpId" });
+      lookup.otpId = Number(body.otpId);
+    } else {
+      lookup.phone = normalizePhone(body.to);
+      if (!lookup.phone) return res.status(400).json({ error: "to (or otpId) required" });
+      lookup.purpose = body.purpose === undefined ? "default" : String(body.purpose);
+    }
+
+    const result = await checkOtp(req.user.id, lookup);
+    if (result.otp) {
+      const meta = { to: `${result.otp.phone}@s.whatsapp.net`, otpId: result.otp.id, purpose: result.otp.purpose };
+      if (result.verified) await saveLog(req.user.id, "otp_verified", meta, result.otp.sessionId);
+      else if (result.locked) await saveLog(req.user.id, "otp_failed", { ...meta, reason: "too many attempts" }, result.otp.sessionId);
+    }
+    if (!result.verified) {
+      return res.status(result.status).json({ verified: false, error: result.error, attemptsLeft: result.attemptsLeft });
+    }
+    return res.json({ success: true, verified: true, otpId: result.otp.id, purpose: result.otp.purpose });
+  } catch (err) {
+    console.error("verifyOtp err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
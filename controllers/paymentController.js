@@ -1,75 +1,215 @@
 // controllers/paymentController.js
-import axios from "axios";
 import { v4 as uuidv4 } from "uuid";
-import crypto from "crypto";
 import Payment from "../models/Payment.js";
 import User from "../models/User.js";
+import Plan from "../models/Plan.js";
+import { DEFAULT_PLANS } from "../config/plans.js";
+import { PAID_STATUSES, checkPromo, reservePromo, releasePromo } from "../services/planService.js";
+import { charge, verifySignature } from "../services/midtrans.js";
+import {
+  availableMethods, isAvailableMethod, buildChargePayload, chargeInstructions, methodLabel
+} from "../services/paymentMethods.js";
+import PaymentEvent from "../models/PaymentEvent.js";
+import Invoice from "../models/Invoice.js";
+import { applyTransactionStatus, reconcilePayment, recordPaymentEvent } from "../services/paymentService.js";
+import {
+  createInvoice, renderInvoiceHtml, renderInvoicePdf, invoiceFilename, invoiceLocaleFor
+} from "../services/invoiceService.js";
 
-const MIDTRANS_API = process.env.MIDTRANS_IS_PRODUCTION === "true"
-  ? "https://api.midtrans.com/v2"
-  : "https://api.sandbox.midtrans.com/v2";
+const PAYMENT_STATUS_RE = /^[a-z_]{1,32}$/;
 
-function getAuthHeader() {
-  const serverKey = process.env.MIDTRANS_SERVER_KEY || "";
-  const authString = Buffer.from(serverKey + ":").toString("base64");
-  return `Basic ${authString}`;
+function presentPlan(plan) {
+  return {
+    id: plan.id,
+    name: plan.name,
+    slug: plan.slug,
+    description: plan.description,
+    price: plan.price,
+    duration: plan.duration,
+    durationUnit: plan.durationUnit,
+    limits: plan.limits
+  };
 }
 
 /**
- * Create QRIS payment (charge API) and return QR detail to frontend.
+ * GET /plans -> plans and payment methods available for checkout
+ */
+export async function listPlans(req, res) {
+  try {
+    const plans = await Plan.findAll({ where: { active: true }, order: [["sortOrder", "ASC"], ["price", "ASC"]] });
+    return res.json({
+      plans: plans.map(presentPlan),
+      methods: availableMethods().map(method => ({ method, label: methodLabel(method) }))
+    });
+  } catch (err) {
+    console.error("listPlans err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function findActivePlan(planId) {
+  if (!/^\d+$/.test(String(planId ?? ""))) return null;
+  return Plan.findOne({ where: { id: planId, active: true } });
+}
+
+// plan for clients that predate plans (no planId): the default monthly plan, else the first active one
+async function findDefaultPlan() {
+  const slug = DEFAULT_PLANS[0]?.slug;
+  return (slug && await Plan.findOne({ where: { slug, active: true } }))
+    || Plan.findOne({ where: { active: true }, order: [["sortOrder", "ASC"], ["price", "ASC"]] });
+}
+
+/**
+ * POST /promo/check  body: { planId, promoCode } -> price after discount
+ */
+export async function checkPromoCode(req, res) {
+  try {
+    const { planId, promoCode } = req.body || {};
+    if (!promoCode) return res.status(400).json({ error: "promoCode required" });
+    const plan = await findActivePlan(planId);
+    if (!plan) return res.status(404).json({ error: "Plan not found" });
+
+    const promo = await checkPromo(promoCode, plan, req.user.id);
+    if (promo.error) return res.status(promo.status).json({ valid: false, error: promo.error });
+    return res.json({
+      valid: true,
+      code: promo.promo.code,
+      planId: plan.id,
+      originalAmount: plan.price,
+      discount: promo.discount,
+      amount: promo.amount
+    });
+  } catch (err) {
+    console.error("checkPromoCode err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * Create the order and charge it at Midtrans -> { payment, plan, instructions, data } or { error, status }
+ */
+async function checkout(user, { planId, promoCode, method }) {
+  if (planId === undefined) return { error: "planId required (see GET /api/payment/plans)", status: 400 };
+  if (!isAvailableMethod(method)) {
+    return { error: `method must be one of: ${availableMethods().join(", ")}`, status: 400 };
+  }
+  const plan = await findActivePlan(planId);
+  if (!plan) return { error: "Plan not found", status: 404 };
+
+  let promo = null;
+  let discount = 0;
+  if (promoCode) {
+    const checked = await checkPromo(promoCode, plan, user.id);
+    if (checked.error) return { error: checked.error, status: checked.status };
+    ({ promo, discount } = checked);
+  }
+  const amount = plan.price - discount;
+  if (amount <= 0) return { error: "Order total must be greater than zero", status: 400 };
+  if (promo && !(await reservePromo(promo))) return { error: "Promo code usage limit reached", status: 409 };
+
+  const orderId = `PREMIUM-${uuidv4()}`;
+
+  // create payment record (pending)
+  const payment = await Payment.create({
+    orderId,
+    userId: user.id,
+    amount,
+    planId: plan.id,
+    promoCodeId: promo?.id || null,
+    originalAmount: plan.price,
+    discount,
+    status: "pending",
+    provider: "midtrans",
+    method,
+    notification: null
+  });
+  await recordPaymentEvent(payment, { from: null, to: "pending", outcome: "applied", source: "checkout" });
+
+  let data;
+  try {
+    data = await charge(buildChargePayload(method, { orderId, amount, user }));
+    // Midtrans answers HTTP 200 with status_code 4xx / 5xx in the body when the charge is refused
+    if (!["200", "201"].includes(String(data.status_code))) {
+      throw new Error(`Midtrans charge failed: ${data.status_message || data.status_code}`);
+    }
+  } catch (err) {
+    // the order never reached Midtrans: give the promo use back
+    await payment.update({ status: "failure" });
+    await releasePromo(payment.promoCodeId);
+    await recordPaymentEvent(payment, { from: "pending", to: "failure", outcome: "applied", source: "checkout", reason: err.message });
+    throw err;
+  }
+
+  const instructions = chargeInstructions(method, data);
+  await payment.update({ instructions, expiresAt: instructions.expiresAt });
+  return { payment, plan, instructions, data };
+}
+
+/**
+ * POST /checkout  body: { planId, method, promoCode? }
+ * method: qris | bca_va | bni_va | bri_va | permata_va | gopay | shopeepay (PAYMENT_METHODS)
+ * -> order with payment instructions (QR, VA number or deeplink, expiresAt)
  * Protected: verifyToken (req.user)
  */
-export async function createPremiumPaymentQRIS(req, res) {
+export async function createCheckout(req, res) {
   try {
     const user = await User.findByPk(req.user.id);
     if (!user) return res.status(404).json({ error: "User not found" });
 
-    const amount = 35000;
-    const orderId = `PREMIUM-${uuidv4()}`;
-
-    // create payment record (pending)
-    await Payment.create({
-      orderId,
-      userId: user.id,
-      amount,
-      status: "pending",
-      provider: "midtrans",
-      notification: null
+    const { planId, promoCode, method = "qris" } = req.body || {};
+    const result = await checkout(user, { planId, promoCode, method: String(method).toLowerCase() });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const { payment, plan, instructions } = result;
+    return res.json({
+      success: true,
+      orderId: payment.orderId,
+      method: payment.method,
+      plan: presentPlan(plan),
+      originalAmount: payment.originalAmount,
+      discount: payment.discount,
+      amount: payment.amount,
+      expiresAt: instructions.expiresAt,
+      instructions
     });
+  } catch (err) {
+    console.error("createCheckout err:", err.response?.data || err.message);
+    return res.status(500).json({ error: err.message });
+  }
+}
 
-    // prepare payload for charge
-    const payload = {
-      payment_type: "qris",
-      transaction_details: {
-        order_id: orderId,
-        gross_amount: amount
-      }
-    };
-
-    const { data } = await axios.post(
-      `${MIDTRANS_API}/charge`,
-      payload,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: getAuthHeader()
-        }
-      }
-    );
+/**
+ * Create QRIS payment (charge API) and return QR detail to frontend.
+ * body: { planId?, promoCode? } - same as POST /checkout with method "qris";
+ * without planId (older clients) the default plan is bought
+ * Protected: verifyToken (req.user)
+ */
+export async function createPremiumPaymentQRIS(req, res) {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
 
-    // Midtrans response for QRIS usually contains actions or qr_string / qr_url
-    // Actions example: data.actions = [{name:"generate-qr-code", url:"<qr url>"}]
-    // Also there may be 'qr_string' or 'qr_code' in data
-    const qrisAction = (data.actions || []).find(a => a.name === "generate-qr-code");
-    const qrUrl = qrisAction?.url || data.qr_string || data.qr_code || null;
+    const { promoCode } = req.body || {};
+    let { planId } = req.body || {};
+    if (planId === undefined) {
+      const plan = await findDefaultPlan();
+      if (!plan) return res.status(404).json({ error: "No active plan available" });
+      planId = plan.id;
+    }
+    const result = await checkout(user, { planId, promoCode, method: "qris" });
+    if (result.error) return res.status(result.status).json({ error: result.error });
 
-    // We can also return full `data` so frontend can inspect
+    const { payment, plan, instructions, data } = result;
     return res.json({
       success: true,
-      orderId,
-      amount,
+      orderId: payment.orderId,
+      plan: presentPlan(plan),
+      originalAmount: payment.originalAmount,
+      discount: payment.discount,
+      amount: payment.amount,
+      expiresAt: instructions.expiresAt,
       qris: {
-        qrUrl,
+        qrUrl: instructions.qrUrl || instructions.qrString,
         raw: data
       }
     });
@@ -79,74 +219,145 @@ export async function createPremiumPaymentQRIS(req, res) {
   }
 }
 
+function presentPayment(payment, plan) {
+  return {
+    orderId: payment.orderId,
+    status: payment.status,
+    amount: payment.amount,
+    originalAmount: payment.originalAmount,
+    discount: payment.discount,
+    plan: plan ? { id: plan.id, name: plan.name, duration: plan.duration, durationUnit: plan.durationUnit } : null,
+    provider: payment.provider,
+    method: payment.method || (payment.provider === "midtrans" ? "qris" : null),
+    paymentType: payment.notification?.payment_type || null,
+    // how to pay, while the order can still be paid
+    instructions: ["pending", "authorize"].includes(payment.status) ? payment.instructions : null,
+    expiresAt: payment.expiresAt,
+    paidAt: payment.paidAt,
+    refundedMs: payment.revokedMs || 0,
+    createdAt: payment.createdAt,
+    updatedAt: payment.updatedAt
+  };
+}
+
+/**
+ * GET /history?status=&limit=&offset=  -> the user's orders, newest first
+ */
+export async function paymentHistory(req, res) {
+  try {
+    const where = { userId: req.user.id };
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(",").map(s => s.trim().toLowerCase());
+      if (statuses.some(s => !PAYMENT_STATUS_RE.test(s))) return res.status(400).json({ error: "Invalid status" });
+      where.status = statuses;
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "20", 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset || "0", 10) || 0, 0);
+
+    const { rows, count } = await Payment.findAndCountAll({ where, order: [["createdAt", "DESC"]], limit, offset });
+    const plans = await Plan.findAll({ where: { id: [...new Set(rows.map(p => p.planId).filter(Boolean))] } });
+    const byId = new Map(plans.map(p => [p.id, p]));
+    return res.json({ total: count, limit, offset, payments: rows.map(p => presentPayment(p, byId.get(p.planId))) });
+  } catch (err) {
+    console.error("paymentHistory err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * GET /:orderId?refresh=true -> one order of the user (admins: any order)
+ * with its status history. refresh=true asks Midtrans for the latest status
+ * while the order is pending.
+ */
+export async function getPayment(req, res) {
+  try {
+    const where = { orderId: req.params.orderId };
+    if (req.user.role !== "admin") where.userId = req.user.id;
+    const payment = await Payment.findOne({ where });
+    if (!payment) return res.status(404).json({ error: "Order not found" });
+
+    if (req.query.refresh === "true" && payment.status === "pending" && payment.provider === "midtrans") {
+      try {
+        await reconcilePayment(payment);
+      } catch (err) {
+        console.error("getPayment refresh err:", err.response?.data || err.message);
+      }
+    }
+    const plan = payment.planId ? await Plan.findByPk(payment.planId) : null;
+    const events = await PaymentEvent.findAll({
+      where: { paymentId: payment.id },
+      attributes: ["fromStatus", "toStatus", "outcome", "source", "reason", "entitlement", "createdAt"],
+      order: [["id", "ASC"]]
+    });
+    const invoice = await Invoice.findOne({ where: { paymentId: payment.id }, attributes: ["number", "issuedAt", "emailedAt"] });
+    return res.json({ payment: presentPayment(payment, plan), invoice, events });
+  } catch (err) {
+    console.error("getPayment err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
 /**
- * verify signature_key from midtrans
+ * GET /:orderId/invoice?format=pdf|html&lang=id|en -> invoice of a paid order
+ * (admins: any order). Paid orders from before invoices existed get one issued now.
  */
-function verifyMidtransSignature(notification) {
+export async function downloadInvoice(req, res) {
   try {
-    const serverKey = process.env.MIDTRANS_SERVER_KEY || "";
-    const input = notification.order_id + notification.status_code + notification.gross_amount + serverKey;
-    const signature = crypto.createHash("sha512").update(input).digest("hex");
-    return signature === notification.signature_key;
+    const format = String(req.query.format || "pdf").toLowerCase();
+    if (!["pdf", "html"].includes(format)) return res.status(400).json({ error: "format must be pdf or html" });
+
+    const where = { orderId: req.params.orderId };
+    if (req.user.role !== "admin") where.userId = req.user.id;
+    const payment = await Payment.findOne({ where });
+    if (!payment) return res.status(404).json({ error: "Order not found" });
+
+    let invoice = await Invoice.findOne({ where: { paymentId: payment.id } });
+    if (!invoice) {
+      if (!payment.grantedAt && !PAID_STATUSES.includes(payment.status)) {
+        return res.status(409).json({ error: "Order is not paid, no invoice yet", status: payment.status });
+      }
+      invoice = await createInvoice(payment);
+    }
+
+    const locale = invoiceLocaleFor(await User.findByPk(payment.userId), req.query.lang);
+    if (format === "html") {
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.setHeader("Content-Disposition", `inline; filename="${invoiceFilename(invoice, "html")}"`);
+      return res.send(renderInvoiceHtml(invoice, locale));
+    }
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${invoiceFilename(invoice, "pdf")}"`);
+    return res.send(renderInvoicePdf(invoice, locale));
   } catch (err) {
-    return false;
+    console.error("downloadInvoice err:", err);
+    return res.status(500).json({ error: err.message });
   }
 }
 
 /**
  * Webhook endpoint for Midtrans - public
- * Update Payment record and activate premium when settled
+ * Update Payment record and activate the plan when settled (see services/paymentService.js)
  */
 export async function midtransNotification(req, res) {
   try {
     const notification = req.body;
 
-    if (!verifyMidtransSignature(notification)) {
+    if (!verifySignature(notification)) {
       console.warn("Invalid Midtrans signature:", notification.order_id);
       return res.status(403).json({ error: "Invalid signature" });
     }
 
-    const orderId = notification.order_id;
-    const transaction_status = notification.transaction_status;
-    const gross_amount = parseInt(notification.gross_amount || 0, 10);
-
-    const payment = await Payment.findOne({ where: { orderId } });
+    const payment = await Payment.findOne({ where: { orderId: notification.order_id } });
     if (!payment) {
-      console.warn("Payment not found for orderId:", orderId);
+      console.warn("Payment not found for orderId:", notification.order_id);
       return res.status(404).json({ error: "Order not found" });
     }
 
-    // save notification raw
-    payment.notification = notification;
-
-    // verify amount matches expected
-    if (gross_amount !== payment.amount) {
-      payment.status = "amount_mismatch";
-      await payment.save();
-      console.warn(`Amount mismatch for ${orderId}: expected ${payment.amount}, got ${gross_amount}`);
-      return res.status(400).json({ error: "Amount mismatch" });
-    }
-
-    // update status
-    payment.status = transaction_status;
-    await payment.save();
-
-    // if success -> activate premium
-    const statusLower = (transaction_status || "").toString().toLowerCase();
-    if (statusLower === "settlement" || statusLower === "capture" || statusLower === "success") {
-      const user = await User.findByPk(payment.userId);
-      if (user) {
-        const now = new Date();
-        const expiryBase = user.premiumUntil && new Date(user.premiumUntil) > now ? new Date(user.premiumUntil) : now;
-        expiryBase.setMonth(expiryBase.getMonth() + 1);
-
-        user.premium = true;
-        user.premiumUntil = expiryBase;
-        await user.save();
-      }
-    }
+    const result = await applyTransactionStatus(payment, notification, { source: "webhook" });
+    if (result.error) return res.status(400).json({ error: result.error });
 
-    return res.json({ success: true });
+    // duplicates and ignored transitions are acknowledged too, so Midtrans stops retrying
+    return res.json({ success: true, status: result.status, outcome: result.outcome });
   } catch (err) {
     console.error("midtransNotification err:", err);
     return res.status(500).json({ error: err.message });
@@ -0,0 +1,275 @@
+// controllers/planController.js
+import Plan from "../models/Plan.js";
+import PromoCode from "../models/PromoCode.js";
+import Payment from "../models/Payment.js";
+import User from "../models/User.js";
+import { PLAN_LIMIT_KEYS, normalizeCode, refreshPlanCache } from "../services/planService.js";
+
+const SLUG_RE = /^[a-z0-9-]{1,64}$/;
+const CODE_RE = /^[A-Z0-9_-]{3,32}$/;
+
+function isInt(value, min) {
+  return Number.isInteger(value) && value >= min;
+}
+
+function optionalDate(value, name) {
+  if (value === null) return { value: null };
+  const at = new Date(value);
+  if (isNaN(at)) return { error: `Invalid ${name} (use ISO 8601)` };
+  return { value: at };
+}
+
+/**
+ * Validate a plan body -> { fields } or { error }
+ *   name, slug?, description?, price, duration, durationUnit (day|month),
+ *   limits: { dailyMessages, maxBroadcastRecipients, maxSessions, media, groups } (partial),
+ *   active?, sortOrder?
+ */
+function buildPlan(body, current = null) {
+  const fields = {};
+
+  if (body.name !== undefined || !current) {
+    if (!body.name || String(body.name).length > 64) return { error: "name required (max 64 chars)" };
+    fields.name = String(body.name);
+  }
+  if (body.slug !== undefined || !current) {
+    const slug = body.slug ?? String(body.name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    if (!SLUG_RE.test(slug)) return { error: "slug must be 1-64 chars (a-z, 0-9, -)" };
+    fields.slug = slug;
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && String(body.description).length > 500) return { error: "description max 500 chars" };
+    fields.description = body.description;
+  }
+  if (body.price !== undefined || !current) {
+    if (!isInt(body.price, 1)) return { error: "price must be a positive integer (rupiah)" };
+    fields.price = body.price;
+  }
+  if (body.duration !== undefined || !current) {
+    if (!isInt(body.duration, 1)) return { error: "duration must be a positive integer" };
+    fields.duration = body.duration;
+  }
+  if (body.durationUnit !== undefined) {
+    if (!["day", "month"].includes(body.durationUnit)) return { error: "durationUnit must be day or month" };
+    fields.durationUnit = body.durationUnit;
+  }
+  if (body.limits !== undefined) {
+    if (body.limits !== null && (typeof body.limits !== "object" || Array.isArray(body.limits))) {
+      return { error: "limits must be an object or null" };
+    }
+    const limits = {};
+    for (const [key, value] of Object.entries(body.limits || {})) {
+      if (!PLAN_LIMIT_KEYS.includes(key)) return { error: `Unknown limit "${key}" (${PLAN_LIMIT_KEYS.join(", ")})` };
+      const ok = typeof value === "boolean" ? ["media", "groups"].includes(key) : isInt(value, 0) && !["media", "groups"].includes(key);
+      if (!ok) return { error: `Invalid value for limit "${key}"` };
+      limits[key] = value;
+    }
+    fields.limits = Object.keys(limits).length ? limits : null;
+  }
+  if (body.active !== undefined) fields.active = !!body.active;
+  if (body.sortOrder !== undefined) {
+    if (!Number.isInteger(body.sortOrder)) return { error: "sortOrder must be an integer" };
+    fields.sortOrder = body.sortOrder;
+  }
+  return { fields };
+}
+
+/**
+ * Validate a promo code body -> { fields } or { error }
+ *   code, description?, discountType (percent|fixed), discountValue, planIds?,
+ *   maxUses?, maxUsesPerUser?, startsAt?, expiresAt?, active?
+ */
+async function buildPromo(body, current = null) {
+  const fields = {};
+
+  if (body.code !== undefined || !current) {
+    const code = normalizeCode(body.code);
+    if (!CODE_RE.test(code)) return { error: "code must be 3-32 chars (A-Z, 0-9, _, -)" };
+    fields.code = code;
+  }
+  if (body.description !== undefined) fields.description = body.description === null ? null : String(body.description).slice(0, 255);
+
+  const discountType = body.discountType ?? current?.discountType;
+  if (!["percent", "fixed"].includes(discountType)) return { error: "discountType must be percent or fixed" };
+  if (body.discountType !== undefined) fields.discountType = discountType;
+  if (body.discountValue !== undefined || body.discountType !== undefined || !current) {
+    const value = body.discountValue ?? current?.discountValue;
+    if (!isInt(value, 1) || (discountType === "percent" && value > 100)) {
+      return { error: discountType === "percent" ? "discountValue must be 1-100 (percent)" : "discountValue must be a positive integer (rupiah)" };
+    }
+    fields.discountValue = value;
+  }
+
+  if (body.planIds !== undefined) {
+    if (body.planIds !== null && (!Array.isArray(body.planIds) || body.planIds.some(id => !isInt(id, 1)))) {
+      return { error: "planIds must be an array of plan ids or null" };
+    }
+    if (body.planIds?.length) {
+      const found = await Plan.count({ where: { id: body.planIds } });
+      if (found !== new Set(body.planIds).size) return { error: "planIds contains an unknown plan" };
+    }
+    fields.planIds = body.planIds?.length ? [...new Set(body.planIds)] : null;
+  }
+  for (const key of ["maxUses", "maxUsesPerUser"]) {
+    if (body[key] === undefined) continue;
+    if (body[key] !== null && !isInt(body[key], 1)) return { error: `${key} must be a positive integer or null` };
+    fields[key] = body[key];
+  }
+  for (const key of ["startsAt", "expiresAt"]) {
+    if (body[key] === undefined) continue;
+    const { value, error } = optionalDate(body[key], key);
+    if (error) return { error };
+    fields[key] = value;
+  }
+  const startsAt = fields.startsAt !== undefined ? fields.startsAt : current?.startsAt;
+  const expiresAt = fields.expiresAt !== undefined ? fields.expiresAt : current?.expiresAt;
+  if (startsAt && expiresAt && new Date(expiresAt) <= new Date(startsAt)) return { error: "expiresAt must be after startsAt" };
+  if (body.active !== undefined) fields.active = !!body.active;
+  return { fields };
+}
+
+/* ----------------------------
+   Plans
+   ---------------------------- */
+// LIST PLANS (Admin) - including inactive ones, with subscriber counts
+export async function listPlansAdmin(req, res) {
+  try {
+    const plans = await Plan.findAll({ order: [["sortOrder", "ASC"], ["price", "ASC"]] });
+    const counts = await User.count({ where: { planId: plans.map(p => p.id), premium: true }, group: ["planId"] });
+    const byPlan = new Map(counts.map(c => [c.planId, c.count]));
+    return res.json({
+      plans: plans.map(p => ({ ...p.toJSON(), subscribers: byPlan.get(p.id) || 0 })),
+      limitKeys: PLAN_LIMIT_KEYS
+    });
+  } catch (err) {
+    console.error("listPlansAdmin err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// CREATE PLAN (Admin)
+export async function createPlan(req, res) {
+  try {
+    const { fields, error } = buildPlan(req.body || {});
+    if (error) return res.status(400).json({ error });
+    if (await Plan.findOne({ where: { slug: fields.slug } })) return res.status(409).json({ error: "slug already used" });
+
+    const plan = await Plan.create(fields);
+    await refreshPlanCache();
+    return res.json({ success: true, plan });
+  } catch (err) {
+    console.error("createPlan err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// UPDATE PLAN (Admin) - new limits apply to current subscribers at once,
+// price / duration only to new orders
+export async function updatePlan(req, res) {
+  try {
+    const plan = await Plan.findByPk(req.params.id);
+    if (!plan) return res.status(404).json({ error: "Plan not found" });
+
+    const { fields, error } = buildPlan(req.body || {}, plan);
+    if (error) return res.status(400).json({ error });
+    if (fields.slug && fields.slug !== plan.slug && await Plan.findOne({ where: { slug: fields.slug } })) {
+      return res.status(409).json({ error: "slug already used" });
+    }
+
+    await plan.update(fields);
+    await refreshPlanCache();
+    return res.json({ success: true, plan });
+  } catch (err) {
+    console.error("updatePlan err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// DELETE PLAN (Admin) - plans that were bought are only deactivated
+export async function deletePlan(req, res) {
+  try {
+    const plan = await Plan.findByPk(req.params.id);
+    if (!plan) return res.status(404).json({ error: "Plan not found" });
+
+    const used = await Payment.count({ where: { planId: plan.id } }) + await User.count({ where: { planId: plan.id } });
+    if (used) {
+      await plan.update({ active: false });
+      return res.json({ success: true, deactivated: true, message: "Plan has orders or subscribers, it was deactivated instead" });
+    }
+    await plan.destroy();
+    await refreshPlanCache();
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("deletePlan err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/* ----------------------------
+   Promo codes
+   ---------------------------- */
+// LIST PROMO CODES (Admin)
+export async function listPromoCodes(req, res) {
+  try {
+    const where = {};
+    if (req.query.active !== undefined) where.active = req.query.active === "true";
+    const promoCodes = await PromoCode.findAll({ where, order: [["createdAt", "DESC"]] });
+    return res.json({ promoCodes });
+  } catch (err) {
+    console.error("listPromoCodes err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// CREATE PROMO CODE (Admin)
+export async function createPromoCode(req, res) {
+  try {
+    const { fields, error } = await buildPromo(req.body || {});
+    if (error) return res.status(400).json({ error });
+    if (await PromoCode.findOne({ where: { code: fields.code } })) return res.status(409).json({ error: "Promo code already exists" });
+
+    const promoCode = await PromoCode.create(fields);
+    return res.json({ success: true, promoCode });
+  } catch (err) {
+    console.error("createPromoCode err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// UPDATE PROMO CODE (Admin)
+export async function updatePromoCode(req, res) {
+  try {
+    const promoCode = await PromoCode.findByPk(req.params.id);
+    if (!promoCode) return res.status(404).json({ error: "Promo code not found" });
+
+    const { fields, error } = await buildPromo(req.body || {}, promoCode);
+    if (error) return res.status(400).json({ error });
+    if (fields.code && fields.code !== promoCode.code && await PromoCode.findOne({ where: { code: fields.code } })) {
+      return res.status(409).json({ error: "Promo code already exists" });
+    }
+
+    await promoCode.update(fields);
+    return res.json({ success: true, promoCode });
+  } catch (err) {
+    console.error("updatePromoCode err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// DELETE PROMO CODE (Admin) - codes that were used are only deactivated
+export async function deletePromoCode(req, res) {
+  try {
+    const promoCode = await PromoCode.findByPk(req.params.id);
+    if (!promoCode) return res.status(404).json({ error: "Promo code not found" });
+
+    if (await Payment.count({ where: { promoCodeId: promoCode.id } })) {
+      await promoCode.update({ active: false });
+      return res.json({ success: true, deactivated: true, message: "Promo code was used, it was deactivated instead" });
+    }
+    await promoCode.destroy();
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("deletePromoCode err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
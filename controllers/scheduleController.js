@@ -0,0 +1,166 @@
+// controllers/scheduleController.js
+import ScheduledMessage from "../models/ScheduledMessage.js";
+import { getSessionId, isValidSessionId } from "./waController.js";
+import { loadPlan } from "../middleware/planLimits.js";
+import { allowedSessionsWhere } from "../middleware/authMiddleware.js";
+import { DEFAULT_TIMEZONE, isValidTimezone, nextCronRun } from "../services/scheduler.js";
+
+async function findOwnSchedule(req) {
+  return ScheduledMessage.findOne({ where: { id: req.params.id, userId: req.user.id, ...allowedSessionsWhere(req) } });
+}
+
+/**
+ * Validate { text | media, sendAt | cron, timezone } and return the fields to save,
+ * or { error }.
+ */
+async function buildSchedule(req, current = null) {
+  const { text, media, sendAt, cron } = req.body;
+  const timezone = req.body.timezone || current?.timezone || DEFAULT_TIMEZONE;
+  const out = { timezone };
+
+  if (!isValidTimezone(timezone)) return { error: `Invalid timezone: ${timezone}` };
+
+  if (text !== undefined || media !== undefined || !current) {
+    if (media) {
+      if (!media.url && !media.base64) return { error: "media.url or media.base64 required" };
+      const plan = await loadPlan(req);
+      if (!plan.limits.media) return { error: `The media feature is not available on the ${plan.name} plan`, status: 402 };
+      out.type = "media";
+      out.content = { url: media.url, base64: media.base64, filename: media.filename || "file", caption: media.caption };
+    } else if (text) {
+      out.type = "text";
+      out.content = { text };
+    } else {
+      return { error: "text or media required" };
+    }
+  }
+
+  if (sendAt !== undefined || cron !== undefined || req.body.timezone !== undefined || !current) {
+    if (sendAt && cron) return { error: "Use either sendAt or cron, not both" };
+    const useCron = cron !== undefined ? cron : (sendAt ? null : current?.cron);
+    const useSendAt = sendAt !== undefined ? sendAt : (cron ? null : current?.sendAt);
+
+    if (useCron) {
+      try {
+        out.nextRunAt = nextCronRun(useCron, timezone);
+      } catch (err) {
+        return { error: `Invalid cron expression: ${err.message}` };
+      }
+      out.cron = useCron;
+      out.sendAt = null;
+    } else if (useSendAt) {
+      const at = new Date(useSendAt);
+      if (isNaN(at)) return { error: "Invalid sendAt (use ISO 8601, e.g. 2026-01-31T09:00:00+07:00)" };
+      if (at <= new Date()) return { error: "sendAt must be in the future" };
+      out.sendAt = at;
+      out.cron = null;
+      out.nextRunAt = at;
+    } else {
+      return { error: "sendAt or cron required" };
+    }
+  }
+
+  return { fields: out };
+}
+
+/**
+ * POST /schedules
+ * body: { to, text | media: { url|base64, filename, caption }, sendAt | cron, timezone, sessionId }
+ */
+export async function createSchedule(req, res) {
+  try {
+    const { to } = req.body;
+    if (!to) return res.status(400).json({ error: "to required" });
+    const sessionId = getSessionId(req);
+    if (!isValidSessionId(sessionId)) return res.status(400).json({ error: "Invalid sessionId" });
+
+    const { fields, error, status } = await buildSchedule(req);
+    if (error) return res.status(status || 400).json({ error });
+
+    const schedule = await ScheduledMessage.create({
+      userId: req.user.id,
+      sessionId,
+      to,
+      ...fields,
+      status: "active"
+    });
+    return res.json({ success: true, schedule });
+  } catch (err) {
+    console.error("createSchedule err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * GET /schedules?status=&sessionId=
+ */
+export async function listSchedules(req, res) {
+  try {
+    const where = { userId: req.user.id };
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.sessionId) where.sessionId = req.query.sessionId;
+
+    const schedules = await ScheduledMessage.findAll({ where, order: [["nextRunAt", "ASC"], ["id", "DESC"]] });
+    return res.json({ schedules });
+  } catch (err) {
+    console.error("listSchedules err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * GET /schedules/:id
+ */
+export async function getSchedule(req, res) {
+  try {
+    const schedule = await findOwnSchedule(req);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+    return res.json({ schedule });
+  } catch (err) {
+    console.error("getSchedule err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * PUT /schedules/:id
+ * body: any of { to, text | media, sendAt | cron, timezone, sessionId }
+ */
+export async function updateSchedule(req, res) {
+  try {
+    const schedule = await findOwnSchedule(req);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+    if (schedule.status !== "active") return res.status(409).json({ error: `Cannot edit a ${schedule.status} schedule` });
+
+    const { fields, error, status } = await buildSchedule(req, schedule);
+    if (error) return res.status(status || 400).json({ error });
+
+    if (req.body.to) fields.to = req.body.to;
+    if (req.body.sessionId) {
+      if (!isValidSessionId(req.body.sessionId)) return res.status(400).json({ error: "Invalid sessionId" });
+      fields.sessionId = req.body.sessionId;
+    }
+    await schedule.update(fields);
+    return res.json({ success: true, schedule });
+  } catch (err) {
+    console.error("updateSchedule err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * DELETE /schedules/:id  -> cancel (kept for history)
+ */
+export async function cancelSchedule(req, res) {
+  try {
+    const schedule = await findOwnSchedule(req);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+    if (schedule.status !== "active") return res.status(409).json({ error: `Schedule already ${schedule.status}` });
+
+    await schedule.update({ status: "cancelled", nextRunAt: null });
+    return res.json({ success: true, schedule });
+  } catch (err) {
+    console.error("cancelSchedule err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,120 @@
+// controllers/templateController.js
+import MessageTemplate from "../models/MessageTemplate.js";
+import { extractPlaceholders, findTemplate, renderTemplate } from "../services/templateService.js";
+
+const NAME_RE = /^(?!\d+$)[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Validate body and return template fields -> { fields } or { error }
+ */
+function buildTemplate(body, current = null) {
+  const name = body.name ?? current?.name;
+  const type = body.type ?? current?.type ?? "text";
+  const text = body.body ?? current?.body;
+  const media = body.media !== undefined ? body.media : current?.media;
+
+  if (!name || !NAME_RE.test(name)) {
+    return { error: "name required (letters, numbers, _ or -, max 64 chars, not only digits)" };
+  }
+  if (!["text", "media"].includes(type)) return { error: "type must be text or media" };
+  if (!text) return { error: "body required" };
+  if (type === "media" && !media?.url) return { error: "media.url required for media templates" };
+
+  const fields = {
+    name,
+    type,
+    body: text,
+    media: type === "media" ? { url: media.url, filename: media.filename || "file" } : null
+  };
+  fields.variables = extractPlaceholders(fields.body, fields.media?.url);
+  return { fields };
+}
+
+// CREATE TEMPLATE
+export async function createTemplate(req, res) {
+  try {
+    const { fields, error } = buildTemplate(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const exists = await MessageTemplate.findOne({ where: { userId: req.user.id, name: fields.name } });
+    if (exists) return res.status(409).json({ error: "Template name already used" });
+
+    const template = await MessageTemplate.create({ userId: req.user.id, ...fields });
+    return res.json({ success: true, template });
+  } catch (err) {
+    console.error("createTemplate err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// LIST TEMPLATES
+export async function listTemplates(req, res) {
+  try {
+    const templates = await MessageTemplate.findAll({ where: { userId: req.user.id }, order: [["name", "ASC"]] });
+    return res.json({ templates });
+  } catch (err) {
+    console.error("listTemplates err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// GET TEMPLATE (id or name)
+export async function getTemplate(req, res) {
+  try {
+    const { template, error, status } = await findTemplate(req.user.id, req.params.id);
+    if (error) return res.status(status).json({ error });
+    return res.json({ template });
+  } catch (err) {
+    console.error("getTemplate err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// UPDATE TEMPLATE
+export async function updateTemplate(req, res) {
+  try {
+    const { template, error: findErr, status } = await findTemplate(req.user.id, req.params.id);
+    if (findErr) return res.status(status).json({ error: findErr });
+
+    const { fields, error } = buildTemplate(req.body, template);
+    if (error) return res.status(400).json({ error });
+
+    if (fields.name !== template.name) {
+      const exists = await MessageTemplate.findOne({ where: { userId: req.user.id, name: fields.name } });
+      if (exists) return res.status(409).json({ error: "Template name already used" });
+    }
+    await template.update(fields);
+    return res.json({ success: true, template });
+  } catch (err) {
+    console.error("updateTemplate err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// DELETE TEMPLATE
+export async function deleteTemplate(req, res) {
+  try {
+    const { template, error, status } = await findTemplate(req.user.id, req.params.id);
+    if (error) return res.status(status).json({ error });
+    await template.destroy();
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("deleteTemplate err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// PREVIEW TEMPLATE  body: { variables }
+export async function previewTemplate(req, res) {
+  try {
+    const { template, error, status } = await findTemplate(req.user.id, req.params.id);
+    if (error) return res.status(status).json({ error });
+
+    const rendered = renderTemplate(template, req.body.variables || {});
+    if (rendered.missing) return res.status(400).json({ error: "Missing template variables", missing: rendered.missing });
+    return res.json({ success: true, ...rendered });
+  } catch (err) {
+    console.error("previewTemplate err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -2,6 +2,7 @@
 import express from "express";
 import makeWASocket, {
   useMultiFileAuthState,
+  downloadMediaMessage,
   fetchLatestBaileysVersion,
   DisconnectReason
 } from "@whiskeysockets/baileys";
@@ -9,42 +10,130 @@ import qrcode from "qrcode";
 import fs from "fs";
 import path from "path";
 import axios from "axios";
+import { Op } from "sequelize";
 import User from "../models/User.js";
-import Log from "../models/Log.js";
+import WaSession from "../models/WaSession.js";
+import Message from "../models/Message.js";
+import Chat from "../models/Chat.js";
+import Contact from "../models/Contact.js";
+import { dispatchWebhookEvent } from "../services/webhookService.js";
+import { recordEvent } from "../services/eventLog.js";
+import {
+  storeMessages, applyMessageEdits, upsertChats, deleteChats, upsertContacts, fromPlain,
+  sendTracked, applyStatusUpdates, applyReceipts, isRedacted
+} from "../services/messageStore.js";
+import { resolveTemplate } from "../services/templateService.js";
+import { handleIncoming } from "../services/autoReply.js";
+import { normalizePhone } from "../services/audienceService.js";
+import { requireScope } from "../middleware/authMiddleware.js";
+import {
+  loadPlan, getUsageToday, requireFeature, messageQuota, sessionLimit
+} from "../middleware/planLimits.js";
 
 /**
  * WA Controller - Full features
  *
  * Mount this router under /api/wa (recommended) and protect routes with verifyApiKey
- * Except /qr-stream which can accept ?apiKey=... without auth for EventSource clients.
+ * Except /qr-stream and /qr.png which also accept ?apiKey=... (EventSource / <img> clients).
+ *
+ * Linking a device: scan the QR (SSE "qr" event or GET /qr.png), or call
+ * POST /connect with a phoneNumber and enter the returned pairing code on the phone.
+ *
+ * Every account can own several named sessions (one WhatsApp number each).
+ * Pick the session with `sessionId` in the body or query string; when omitted
+ * the "default" session is used.
  */
 
 /* ----------------------------
    Internal state
    ---------------------------- */
-const sessions = {};      // apiKey -> socket
-const reconnecting = {};  // apiKey -> boolean
-const sseClients = new Map(); // apiKey -> Set(res) for SSE
+export const DEFAULT_SESSION = "default";
+const SESSION_ID_RE = /^[a-zA-Z0-9_-]{1,32}$/;
+
+const sessions = {};      // "userId:sessionId" -> socket
+const opening = new Map(); // "userId:sessionId" -> Promise<socket> while the socket is being set up
+const reconnecting = {};  // "userId:sessionId" -> boolean
+const stopping = new Set(); // "userId:sessionId" closed on purpose, skip auto-reconnect
+const sseClients = new Map(); // userId -> Set({ res, sessionId }) for SSE
+const latestQr = new Map(); // "userId:sessionId" -> { qr, ts } while waiting to be linked
+const pairingRequests = new Map(); // "userId:sessionId" -> { phoneNumber, resolve, reject }
 
 /* ----------------------------
    Helpers
    ---------------------------- */
-async function saveLog(userId, event, meta = {}) {
-  try {
-    await Log.create({ userId, event, meta });
-  } catch (err) {
-    console.error("saveLog error:", err);
+/**
+ * Structured event log entry, see services/eventLog.js
+ */
+export async function saveLog(userId, event, meta = {}, sessionId = null) {
+  await recordEvent(userId, event, meta, sessionId);
+}
+
+function sessionKey(userId, sessionId) {
+  return `${userId}:${sessionId}`;
+}
+
+export function isValidSessionId(sessionId) {
+  return typeof sessionId === "string" && SESSION_ID_RE.test(sessionId);
+}
+
+/**
+ * sessionId from body or query, falls back to "default"
+ */
+export function getSessionId(req) {
+  return req.body?.sessionId || req.query?.sessionId || DEFAULT_SESSION;
+}
+
+export function getSession(userId, sessionId = DEFAULT_SESSION) {
+  return sessions[sessionKey(userId, sessionId)];
+}
+
+/**
+ * { url | base64, filename, caption } -> Baileys message content (type picked from the file extension)
+ */
+export async function buildMediaMessage({ url, base64, filename = "file", caption }) {
+  let buffer;
+  if (url) {
+    const resp = await axios.get(url, { responseType: "arraybuffer" });
+    buffer = Buffer.from(resp.data);
+  } else if (base64) {
+    buffer = Buffer.from(base64, "base64");
+  } else {
+    throw new Error("url or base64 required");
+  }
+
+  const ext = path.extname(filename).toLowerCase();
+  if ([".jpg", ".jpeg", ".png", ".webp"].includes(ext)) {
+    return { image: buffer, caption };
+  } else if ([".mp4", ".mkv", ".mov"].includes(ext)) {
+    return { video: buffer, caption, mimetype: "video/mp4" };
+  } else if ([".mp3", ".wav", ".ogg"].includes(ext)) {
+    return { audio: buffer };
   }
+  return { document: buffer, fileName: filename, mimetype: "application/octet-stream", caption };
+}
+
+/**
+ * ?limit=&offset= with sane bounds
+ */
+function parsePaging(query, defaultLimit = 50, maxLimit = 500) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return { limit, offset };
 }
 
-function sendSSE(apiKey, eventName, data) {
-  const clients = sseClients.get(apiKey);
+export function isConnected(sock) {
+  return !!sock && sock?.ws?.readyState === 1;
+}
+
+function sendSSE(userId, sessionId, eventName, data) {
+  const clients = sseClients.get(userId);
   if (!clients) return;
-  const payload = typeof data === "string" ? data : JSON.stringify(data);
-  for (const res of clients) {
+  const payload = typeof data === "string" ? data : JSON.stringify({ sessionId, ...data });
+  for (const client of clients) {
+    if (client.sessionId && client.sessionId !== sessionId) continue;
     try {
-      res.write(`event: ${eventName}\n`);
-      res.write(`data: ${payload}\n\n`);
+      client.res.write(`event: ${eventName}\n`);
+      client.res.write(`data: ${payload}\n\n`);
     } catch (err) {
       // ignore
     }
@@ -60,27 +149,138 @@ async function qrStringToDataUrl(qrString) {
   }
 }
 
-function ensureSessionDir(apiKey) {
-  const sessionPath = path.join("baileys", "sessions", apiKey);
+function sessionDir(userId, sessionId) {
+  return path.join("baileys", "sessions", String(userId), sessionId);
+}
+
+/**
+ * Session files live in baileys/sessions/<userId>/<sessionId>.
+ * Older installs kept a single session in baileys/sessions/<apiKey>; that
+ * folder is moved into the "default" session the first time it is used.
+ */
+function ensureSessionDir(user, sessionId) {
+  const sessionPath = sessionDir(user.id, sessionId);
+  const legacyPath = path.join("baileys", "sessions", user.apiKey);
+  if (sessionId === DEFAULT_SESSION && !fs.existsSync(sessionPath) && fs.existsSync(legacyPath)) {
+    fs.mkdirSync(path.dirname(sessionPath), { recursive: true });
+    fs.renameSync(legacyPath, sessionPath);
+  }
   if (!fs.existsSync(sessionPath)) fs.mkdirSync(sessionPath, { recursive: true });
   return sessionPath;
 }
 
+async function updateSessionRow(userId, sessionId, fields) {
+  try {
+    await WaSession.update(fields, { where: { userId, sessionId } });
+  } catch (err) {
+    console.error("updateSessionRow err:", err);
+  }
+}
+
+async function destroySocket(userId, sessionId, { logout = true } = {}) {
+  const key = sessionKey(userId, sessionId);
+  const sock = sessions[key];
+  if (sock) {
+    if (logout) await sock.logout().catch(()=>{});
+    delete sessions[key];
+  }
+  // never remove anything outside baileys/sessions/<userId>
+  if (!isValidSessionId(sessionId)) return;
+  try { fs.rmSync(sessionDir(userId, sessionId), { recursive: true, force: true }); } catch {}
+}
+
+/**
+ * Close a socket without logging out; credentials stay on disk.
+ */
+export function stopSocket(userId, sessionId) {
+  const key = sessionKey(userId, sessionId);
+  const sock = sessions[key];
+  if (!sock) return;
+  stopping.add(key);
+  delete sessions[key];
+  try { sock.end(undefined); } catch {}
+}
+
+/**
+ * Resolve with the first meaningful connection outcome of a socket:
+ * "open", "qr" (credentials not accepted), "logged_out", "closed" or "timeout".
+ */
+export function waitForConnection(sock, timeoutMs = 30000) {
+  return new Promise((resolve) => {
+    const done = (result) => {
+      clearTimeout(timer);
+      sock.ev.off("connection.update", onUpdate);
+      resolve(result);
+    };
+    const onUpdate = (update) => {
+      if (update.connection === "open") return done("open");
+      if (update.qr) return done("qr");
+      if (update.connection === "close") {
+        const statusCode = update.lastDisconnect?.error?.output?.statusCode;
+        return done(statusCode === DisconnectReason.loggedOut ? "logged_out" : "closed");
+      }
+    };
+    const timer = setTimeout(() => done("timeout"), timeoutMs);
+    sock.ev.on("connection.update", onUpdate);
+  });
+}
+
+/**
+ * Ask WhatsApp for a pairing code for phoneNumber (digits, country code first).
+ * The socket must be waiting to be linked: if no QR was issued yet the
+ * request is made as soon as the first one arrives.
+ */
+function requestPairingCode(sock, key, phoneNumber, timeoutMs = 30000) {
+  if (latestQr.has(key)) return sock.requestPairingCode(phoneNumber);
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pairingRequests.delete(key);
+      reject(new Error("Timed out waiting for the session to be ready for pairing"));
+    }, timeoutMs);
+    pairingRequests.get(key)?.reject(new Error("Superseded by a newer pairing request"));
+    pairingRequests.set(key, {
+      phoneNumber,
+      resolve: (code) => { clearTimeout(timer); resolve(code); },
+      reject: (err) => { clearTimeout(timer); reject(err); }
+    });
+  });
+}
+
+// "ABCD1234" -> "ABCD-1234" (as shown on the phone)
+function formatPairingCode(code) {
+  return String(code).match(/.{1,4}/g).join("-");
+}
+
 /* ----------------------------
-   Create or reuse socket for a user
+   Create or reuse socket for a user session
    ---------------------------- */
-export async function createSocketForUser(user) {
-  const apiKey = user.apiKey;
-  if (sessions[apiKey]) return sessions[apiKey];
+export async function createSocketForUser(user, sessionId = DEFAULT_SESSION) {
+  const key = sessionKey(user.id, sessionId);
+  if (sessions[key]) return sessions[key];
 
-  ensureSessionDir(apiKey);
+  // concurrent callers (two /connect, /connect during restore) share one socket per auth dir
+  if (!opening.has(key)) {
+    opening.set(key, openSocket(user, sessionId).finally(() => opening.delete(key)));
+  }
+  return opening.get(key);
+}
+
+async function openSocket(user, sessionId) {
+  const key = sessionKey(user.id, sessionId);
+  const [row] = await WaSession.findOrCreate({
+    where: { userId: user.id, sessionId },
+    defaults: { userId: user.id, sessionId }
+  });
+  await row.update({ status: "connecting" });
+
+  const authDir = ensureSessionDir(user, sessionId);
 
   // fetch latest Baileys version (best-effort)
   let versionInfo;
   try { versionInfo = await fetchLatestBaileysVersion(); } catch (e) { versionInfo = { version: undefined }; }
 
   // create auth state
-  const { state, saveCreds } = await useMultiFileAuthState(path.join("baileys", "sessions", apiKey));
+  const { state, saveCreds } = await useMultiFileAuthState(authDir);
 
   const sock = makeWASocket({
     auth: state,
@@ -88,54 +288,81 @@ export async function createSocketForUser(user) {
     printQRInTerminal: false
   });
 
-  sessions[apiKey] = sock;
+  sessions[key] = sock;
 
   // connection.update handler
   sock.ev.on("connection.update", async (update) => {
     try {
-      await saveLog(user.id, "connection_update", update);
+      await saveLog(user.id, "connection_update", update, sessionId);
 
       const { connection, lastDisconnect, qr } = update;
 
+      if (connection) {
+        dispatchWebhookEvent(user.id, "connection.update", {
+          sessionId,
+          connection,
+          statusCode: lastDisconnect?.error?.output?.statusCode ?? null,
+          isNewLogin: update.isNewLogin ?? false
+        });
+      }
+
       if (qr) {
+        latestQr.set(key, { qr, ts: new Date() });
+        const pending = pairingRequests.get(key);
+        if (pending) {
+          pairingRequests.delete(key);
+          sock.requestPairingCode(pending.phoneNumber).then(pending.resolve, pending.reject);
+        }
         const dataUrl = await qrStringToDataUrl(qr);
-        await saveLog(user.id, "qr_generated", { ts: new Date().toISOString() });
-        sendSSE(apiKey, "qr", { qrDataUrl: dataUrl, ts: new Date().toISOString() });
+        await saveLog(user.id, "qr_generated", { ts: new Date().toISOString() }, sessionId);
+        sendSSE(user.id, sessionId, "qr", { qrDataUrl: dataUrl, ts: new Date().toISOString() });
       }
 
+      if (connection === "open" || connection === "close") latestQr.delete(key);
+
       if (connection === "open") {
-        sendSSE(apiKey, "connected", { ts: new Date().toISOString() });
-        await saveLog(user.id, "connection_open", {});
-        sendSSE(apiKey, "qr_cleared", {});
+        sendSSE(user.id, sessionId, "connected", { ts: new Date().toISOString() });
+        await saveLog(user.id, "connection_open", {}, sessionId);
+        await updateSessionRow(user.id, sessionId, {
+          status: "open",
+          phone: sock.user?.id || null,
+          lastConnectedAt: new Date()
+        });
+        sendSSE(user.id, sessionId, "qr_cleared", {});
       }
 
       if (connection === "close") {
-        await saveLog(user.id, "connection_close", { lastDisconnect });
+        await saveLog(user.id, "connection_close", { lastDisconnect }, sessionId);
+        pairingRequests.get(key)?.reject(new Error("Connection closed before the pairing code was issued"));
+        pairingRequests.delete(key);
         const statusCode = lastDisconnect?.error?.output?.statusCode;
         if (statusCode === DisconnectReason.loggedOut) {
           // logged out -> remove session files and socket
-          await saveLog(user.id, "logged_out", {});
+          await saveLog(user.id, "logged_out", {}, sessionId);
           try {
-            if (sessions[apiKey]) {
-              await sessions[apiKey].logout().catch(()=>{});
-              delete sessions[apiKey];
-            }
-            const sessDir = path.join("baileys", "sessions", apiKey);
-            fs.rmSync(sessDir, { recursive: true, force: true });
+            await destroySocket(user.id, sessionId);
           } catch (e) { console.error("cleanup error:", e); }
-          sendSSE(apiKey, "logged_out", {});
+          await updateSessionRow(user.id, sessionId, { status: "logged_out" });
+          sendSSE(user.id, sessionId, "logged_out", {});
+        } else if (stopping.has(key)) {
+          // closed on purpose (stopSocket) -> keep credentials, no reconnect
+          stopping.delete(key);
+          await updateSessionRow(user.id, sessionId, { status: "disconnected" });
         } else {
           // try reconnect
-          if (!reconnecting[apiKey]) {
-            reconnecting[apiKey] = true;
+          if (sessions[key] === sock) delete sessions[key];
+          await updateSessionRow(user.id, sessionId, { status: "disconnected" });
+          if (!reconnecting[key]) {
+            reconnecting[key] = true;
             setTimeout(async () => {
               try {
-                const freshUser = await User.findOne({ where: { apiKey } });
-                if (freshUser) await createSocketForUser(freshUser);
+                const freshUser = await User.findByPk(user.id);
+                const stillExists = await WaSession.findOne({ where: { userId: user.id, sessionId } });
+                if (freshUser && stillExists) await createSocketForUser(freshUser, sessionId);
               } catch (e) {
                 console.error("reconnect err:", e);
               } finally {
-                reconnecting[apiKey] = false;
+                reconnecting[key] = false;
               }
             }, 3000);
           }
@@ -151,9 +378,25 @@ export async function createSocketForUser(user) {
   // incoming messages
   sock.ev.on("messages.upsert", async (m) => {
     try {
-      await saveLog(user.id, "message_in", m);
-      // push to SSE clients
-      sendSSE(apiKey, "message", { event: m });
+      await saveLog(user.id, "message_in", m, sessionId);
+      await storeMessages(user.id, sessionId, m.messages, { live: m.type === "notify" });
+      // push to SSE clients (without redacted messages, e.g. OTP codes sent by us)
+      const visible = (m.messages || []).filter(msg => !isRedacted(msg.key?.id));
+      if (visible.length) sendSSE(user.id, sessionId, "message", { event: { ...m, messages: visible } });
+      if (m.type === "notify") {
+        for (const msg of m.messages || []) {
+          if (!msg.key || msg.key.fromMe || msg.key.remoteJid === "status@broadcast") continue;
+          dispatchWebhookEvent(user.id, "message.received", {
+            sessionId,
+            key: msg.key,
+            pushName: msg.pushName,
+            messageTimestamp: msg.messageTimestamp,
+            message: msg.message
+          });
+          // keyword auto-reply / chatbot flows
+          handleIncoming(sock, user.id, sessionId, msg).catch(err => console.error("autoReply err:", err));
+        }
+      }
       // auto-read receipts for notify type
       if (m.type === "notify") {
         const messages = m.messages || [];
@@ -169,11 +412,52 @@ export async function createSocketForUser(user) {
     }
   });
 
+  // history sync, chats & contacts -> message store
+  sock.ev.on("messaging-history.set", async ({ chats, contacts, messages }) => {
+    await upsertChats(user.id, sessionId, chats);
+    await upsertContacts(user.id, sessionId, contacts);
+    await storeMessages(user.id, sessionId, messages);
+  });
+  sock.ev.on("chats.upsert", (c) => upsertChats(user.id, sessionId, c));
+  sock.ev.on("chats.update", (c) => upsertChats(user.id, sessionId, c));
+  sock.ev.on("chats.delete", (jids) => deleteChats(user.id, sessionId, jids));
+  sock.ev.on("contacts.upsert", (c) => upsertContacts(user.id, sessionId, c));
+  sock.ev.on("contacts.update", (c) => upsertContacts(user.id, sessionId, c));
+
+  // delivery / read status -> message store, SSE & webhook
+  const pushStatusChanges = (changes) => {
+    for (const { key, status, row } of changes) {
+      const data = {
+        messageId: key.id,
+        jid: key.remoteJid,
+        status,
+        deliveredAt: row.deliveredAt,
+        readAt: row.readAt,
+        ts: new Date().toISOString()
+      };
+      sendSSE(user.id, sessionId, "message_status", data);
+      dispatchWebhookEvent(user.id, "message.status", { sessionId, ...data });
+    }
+  };
+  sock.ev.on("messages.update", async (updates) => {
+    await applyMessageEdits(user.id, sessionId, updates);
+    pushStatusChanges(await applyStatusUpdates(user.id, sessionId, updates));
+  });
+  sock.ev.on("message-receipt.update", async (receipts) => {
+    pushStatusChanges(await applyReceipts(user.id, sessionId, receipts));
+  });
+
   // other events -> log
-  sock.ev.on("presence.update", (p) => saveLog(user.id, "presence_update", p).catch(()=>{}));
-  sock.ev.on("chats.set", (c) => saveLog(user.id, "chats_set", c).catch(()=>{}));
-  sock.ev.on("groups.update", (g) => saveLog(user.id, "groups_update", g).catch(()=>{}));
-  sock.ev.on("group-participants.update", (u) => saveLog(user.id, "group_participants_update", u).catch(()=>{}));
+  sock.ev.on("presence.update", (p) => saveLog(user.id, "presence_update", p, sessionId).catch(()=>{}));
+  sock.ev.on("chats.set", (c) => saveLog(user.id, "chats_set", c, sessionId).catch(()=>{}));
+  sock.ev.on("groups.update", (g) => {
+    saveLog(user.id, "groups_update", g, sessionId).catch(()=>{});
+    dispatchWebhookEvent(user.id, "group.update", { sessionId, groups: g });
+  });
+  sock.ev.on("group-participants.update", (u) => {
+    saveLog(user.id, "group_participants_update", u, sessionId).catch(()=>{});
+    dispatchWebhookEvent(user.id, "group.participants", { sessionId, ...u });
+  });
 
   return sock;
 }
@@ -184,15 +468,19 @@ export async function createSocketForUser(user) {
 const router = express.Router();
 
 /**
- * SSE endpoint: GET /qr-stream?apiKey=...
+ * SSE endpoint: GET /qr-stream?apiKey=...&sessionId=...
  * - Accepts query param apiKey for EventSource (browsers cannot send headers)
- * - Also accepts if route mounted with verifyApiKey middleware (then uses req.user)
+ * - The stream is closed when the API key is revoked, rotated or changed
+ * - Without sessionId, events of every session of the account are streamed
  */
-router.get("/qr-stream", async (req, res) => {
+router.get("/qr-stream", requireScope("session", "read"), async (req, res) => {
   try {
-    // allow either ?apiKey= or header-provided req.user (if middleware used)
-    const apiKey = req.query.apiKey || (req.user && req.user.apiKey) || req.headers["x-api-key"];
-    if (!apiKey) return res.status(401).json({ error: "apiKey query param or x-api-key required" });
+    // authenticated by verifyApiKey (header or ?apiKey=, see routes/waRoutes.js)
+    const user = req.user;
+    if (!user?.id) return res.status(401).json({ error: "apiKey query param or x-api-key required" });
+
+    const sessionId = req.query.sessionId || null;
+    if (sessionId && !isValidSessionId(sessionId)) return res.status(400).json({ error: "Invalid sessionId" });
 
     // SSE headers
     res.setHeader("Content-Type", "text/event-stream");
@@ -200,8 +488,9 @@ router.get("/qr-stream", async (req, res) => {
     res.setHeader("Connection", "keep-alive");
     res.flushHeaders?.();
 
-    if (!sseClients.has(apiKey)) sseClients.set(apiKey, new Set());
-    sseClients.get(apiKey).add(res);
+    const client = { res, sessionId };
+    if (!sseClients.has(user.id)) sseClients.set(user.id, new Set());
+    sseClients.get(user.id).add(client);
 
     // heartbeat to keep connection alive
     const ping = setInterval(() => {
@@ -211,16 +500,16 @@ router.get("/qr-stream", async (req, res) => {
     // remove on close
     req.on("close", () => {
       clearInterval(ping);
-      const setClients = sseClients.get(apiKey);
+      const setClients = sseClients.get(user.id);
       if (setClients) {
-        setClients.delete(res);
-        if (setClients.size === 0) sseClients.delete(apiKey);
+        setClients.delete(client);
+        if (setClients.size === 0) sseClients.delete(user.id);
       }
     });
 
     // initial ack
     res.write(`event: connected\n`);
-    res.write(`data: ${JSON.stringify({ ts: new Date().toISOString() })}\n\n`);
+    res.write(`data: ${JSON.stringify({ sessionId, ts: new Date().toISOString() })}\n\n`);
   } catch (err) {
     console.error("qr-stream err:", err);
     try { res.status(500).json({ error: err.message }); } catch {}
@@ -228,18 +517,110 @@ router.get("/qr-stream", async (req, res) => {
 });
 
 /**
- * POST /connect
+ * Session management
+ * GET /sessions
+ * POST /sessions  body: { sessionId, label }
+ * DELETE /sessions/:sessionId  -> logout, remove credentials and the session record
+ */
+router.get("/sessions", requireScope("read", "session"), async (req, res) => {
+  try {
+    const where = { userId: req.user.id };
+    if (req.user.sessions?.length) where.sessionId = req.user.sessions;
+    const rows = await WaSession.findAll({ where, order: [["createdAt", "ASC"]] });
+    const list = rows.map(r => ({
+      sessionId: r.sessionId,
+      label: r.label,
+      status: r.status,
+      phone: r.phone,
+      lastConnectedAt: r.lastConnectedAt,
+      suspended: r.suspended, // over the plan's session limit, see POST /connect
+      connected: isConnected(getSession(req.user.id, r.sessionId))
+    }));
+    res.json({ sessions: list });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post("/sessions", requireScope("session"), sessionLimit(getSessionId), async (req, res) => {
+  try {
+    const { sessionId, label } = req.body;
+    if (!isValidSessionId(sessionId)) {
+      return res.status(400).json({ error: "sessionId required (letters, numbers, _ or -, max 32 chars)" });
+    }
+
+    const exists = await WaSession.findOne({ where: { userId: req.user.id, sessionId } });
+    if (exists) return res.status(409).json({ error: "Session already exists" });
+
+    const row = await WaSession.create({ userId: req.user.id, sessionId, label });
+    await saveLog(req.user.id, "session_create", { label }, sessionId);
+    res.json({ success: true, session: row });
+  } catch (err) {
+    console.error("session create err:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete("/sessions/:sessionId", requireScope("session"), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const row = await WaSession.findOne({ where: { userId: req.user.id, sessionId } });
+    if (!row) return res.status(404).json({ error: "Session not found" });
+
+    await destroySocket(req.user.id, sessionId);
+    await row.destroy();
+    sendSSE(req.user.id, sessionId, "logged_out", {});
+    await saveLog(req.user.id, "session_delete", {}, sessionId);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("session delete err:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /connect  body: { sessionId (optional) }
  * Protected: expects req.user (verifyApiKey middleware)
  * -> starts socket (non-blocking). QR will be delivered via SSE if client connected.
  */
-router.post("/connect", async (req, res) => {
+router.post("/connect", requireScope("session"), sessionLimit(getSessionId), async (req, res) => {
   try {
     const user = req.user;
     if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const sessionId = getSessionId(req);
+    if (!isValidSessionId(sessionId)) return res.status(400).json({ error: "Invalid sessionId" });
+
+    let phoneNumber = null;
+    if (req.body.phoneNumber) {
+      phoneNumber = normalizePhone(req.body.phoneNumber);
+      if (!phoneNumber) return res.status(400).json({ error: "Invalid phoneNumber (use country code, e.g. 6281234567890)" });
+    }
+
     // reload full user instance if req.user contains only id/apiKey
     const fullUser = await User.findByPk(user.id);
-    await createSocketForUser(fullUser);
-    res.json({ success: true, message: "Socket initiating. Subscribe to /qr-stream to receive QR & events." });
+    const sock = await createSocketForUser(fullUser, sessionId);
+
+    if (!phoneNumber) {
+      return res.json({
+        success: true,
+        sessionId,
+        message: `Socket initiating. Subscribe to /qr-stream?sessionId=${sessionId} or fetch /qr.png?sessionId=${sessionId} to get the QR.`
+      });
+    }
+
+    if (sock.authState?.creds?.registered || isConnected(sock)) {
+      return res.status(409).json({ error: "Session already linked to a phone. Logout first to pair another number." });
+    }
+    const code = formatPairingCode(await requestPairingCode(sock, sessionKey(user.id, sessionId), phoneNumber));
+    await saveLog(user.id, "pairing_code_generated", { phoneNumber }, sessionId);
+    sendSSE(user.id, sessionId, "pairing_code", { pairingCode: code, phoneNumber, ts: new Date().toISOString() });
+    res.json({
+      success: true,
+      sessionId,
+      phoneNumber,
+      pairingCode: code,
+      message: "On the phone open WhatsApp > Linked devices > Link with phone number, then enter the code."
+    });
   } catch (err) {
     console.error("connect err:", err);
     res.status(500).json({ error: err.message });
@@ -247,34 +628,92 @@ router.post("/connect", async (req, res) => {
 });
 
 /**
- * GET /status
+ * GET /qr.png?sessionId=  -> current QR as a PNG image (for clients without EventSource)
  */
-router.get("/status", async (req, res) => {
+router.get("/qr.png", requireScope("session"), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
-    const connected = !!sock && sock?.ws?.readyState === 1;
-    res.json({ connected });
+    const sessionId = getSessionId(req);
+    if (!isValidSessionId(sessionId)) return res.status(400).json({ error: "Invalid sessionId" });
+
+    const sock = getSession(req.user.id, sessionId);
+    if (isConnected(sock) && sock.user) return res.status(409).json({ error: "Session already connected" });
+
+    const current = latestQr.get(sessionKey(req.user.id, sessionId));
+    if (!current) {
+      return res.status(404).json({ error: `No QR available. Call POST /connect with sessionId "${sessionId}" first, then retry.` });
+    }
+    const png = await qrcode.toBuffer(current.qr, { errorCorrectionLevel: "M", type: "png", margin: 2, width: 320 });
+    res.setHeader("Content-Type", "image/png");
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("X-QR-Generated-At", current.ts.toISOString());
+    res.send(png);
   } catch (err) {
+    console.error("qr.png err:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /status?sessionId=
+ */
+router.get("/status", requireScope("read", "session"), async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
+    const connected = isConnected(sock);
+    res.json({ sessionId, connected });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /usage
+ * -> current plan, its limits and today's message usage
+ */
+router.get("/usage", requireScope("read"), async (req, res) => {
+  try {
+    const plan = await loadPlan(req);
+    const used = await getUsageToday(req.user.id);
+    const sessionCount = await WaSession.count({ where: { userId: req.user.id } });
+    const user = await User.findByPk(req.user.id, { attributes: ["premium", "premiumUntil"] });
+    res.json({
+      plan: plan.name,
+      premiumUntil: user?.premiumUntil || null,
+      limits: plan.limits,
+      today: {
+        messages: used,
+        remaining: Math.max(plan.limits.dailyMessages - used, 0)
+      },
+      sessions: { used: sessionCount, max: plan.limits.maxSessions }
+    });
+  } catch (err) {
+    console.error("usage err:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
 /**
  * POST /send-text
- * body: { to, text }
+ * body: { to, text } or { to, templateId, variables }
  */
-router.post("/send-text", async (req, res) => {
+router.post("/send-text", requireScope("send"), messageQuota(), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
 
-    const { to, text } = req.body;
-    if (!to || !text) return res.status(400).json({ error: "to & text required" });
+    const { to, templateId, variables } = req.body;
+    let { text } = req.body;
+    if (templateId) {
+      const tpl = await resolveTemplate(req.user.id, templateId, variables);
+      if (tpl.error) return res.status(tpl.status).json({ error: tpl.error, missing: tpl.missing });
+      text = tpl.text;
+    }
+    if (!to || !text) return res.status(400).json({ error: "to & text (or templateId) required" });
 
-    const result = await sock.sendMessage(to, { text });
-    await saveLog(req.user.id, "message_out_text", { to, text });
+    const result = await sendTracked(sock, req.user.id, sessionId, to, { text });
+    await saveLog(req.user.id, "message_out_text", { to, text }, sessionId);
     res.json({ success: true, result });
   } catch (err) {
     console.error("send-text err:", err);
@@ -285,40 +724,33 @@ router.post("/send-text", async (req, res) => {
 /**
  * POST /send-media
  * body: { to, url (optional), base64 (optional), filename (optional), caption (optional) }
+ *   templateId + variables: media template (url, filename, caption) or text template as caption
  */
-router.post("/send-media", async (req, res) => {
+router.post("/send-media", requireScope("send"), requireFeature("media"), messageQuota(), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
 
-    const { to, url, base64, filename = "file", caption } = req.body;
+    const { to, base64, templateId, variables } = req.body;
+    let { url, filename = "file", caption } = req.body;
     if (!to) return res.status(400).json({ error: "to required" });
 
-    let buffer;
-    if (url) {
-      const resp = await axios.get(url, { responseType: "arraybuffer" });
-      buffer = Buffer.from(resp.data);
-    } else if (base64) {
-      buffer = Buffer.from(base64, "base64");
-    } else {
-      return res.status(400).json({ error: "url or base64 required" });
+    if (templateId) {
+      const tpl = await resolveTemplate(req.user.id, templateId, variables);
+      if (tpl.error) return res.status(tpl.status).json({ error: tpl.error, missing: tpl.missing });
+      if (tpl.media && !url && !base64) {
+        url = tpl.media.url;
+        filename = req.body.filename || tpl.media.filename;
+      }
+      caption = tpl.text;
     }
 
-    const ext = path.extname(filename).toLowerCase();
-    let message = {};
-    if ([".jpg", ".jpeg", ".png", ".webp"].includes(ext)) {
-      message = { image: buffer, caption };
-    } else if ([".mp4", ".mkv", ".mov"].includes(ext)) {
-      message = { video: buffer, caption, mimetype: "video/mp4" };
-    } else if ([".mp3", ".wav", ".ogg"].includes(ext)) {
-      message = { audio: buffer };
-    } else {
-      message = { document: buffer, fileName: filename, mimetype: "application/octet-stream", caption };
-    }
+    if (!url && !base64) return res.status(400).json({ error: "url or base64 required" });
 
-    const result = await sock.sendMessage(to, message);
-    await saveLog(req.user.id, "message_out_media", { to, filename, caption });
+    const message = await buildMediaMessage({ url, base64, filename, caption });
+    const result = await sendTracked(sock, req.user.id, sessionId, to, message);
+    await saveLog(req.user.id, "message_out_media", { to, filename, caption }, sessionId);
     res.json({ success: true, result });
   } catch (err) {
     console.error("send-media err:", err);
@@ -330,18 +762,18 @@ router.post("/send-media", async (req, res) => {
  * POST /send-buttons
  * body: { to, text, footer, buttons }
  */
-router.post("/send-buttons", async (req, res) => {
+router.post("/send-buttons", requireScope("send"), messageQuota(), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
 
     const { to, text, footer = "", buttons } = req.body;
     if (!to || !text || !buttons) return res.status(400).json({ error: "to, text, buttons required" });
 
     const msg = { text, footer, buttons };
-    const result = await sock.sendMessage(to, msg);
-    await saveLog(req.user.id, "message_out_buttons", { to, text, buttons });
+    const result = await sendTracked(sock, req.user.id, sessionId, to, msg);
+    await saveLog(req.user.id, "message_out_buttons", { to, text, buttons }, sessionId);
     res.json({ success: true, result });
   } catch (err) {
     console.error("send-buttons err:", err);
@@ -353,18 +785,18 @@ router.post("/send-buttons", async (req, res) => {
  * POST /send-template
  * body: { to, text, footer, hydratedButtons }
  */
-router.post("/send-template", async (req, res) => {
+router.post("/send-template", requireScope("send"), messageQuota(), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
 
     const { to, text, footer = "", hydratedButtons } = req.body;
     if (!to || !text) return res.status(400).json({ error: "to & text required" });
 
     const message = { text, footer, templateButtons: hydratedButtons };
-    const result = await sock.sendMessage(to, message);
-    await saveLog(req.user.id, "message_out_template", { to, text });
+    const result = await sendTracked(sock, req.user.id, sessionId, to, message);
+    await saveLog(req.user.id, "message_out_template", { to, text }, sessionId);
     res.json({ success: true, result });
   } catch (err) {
     console.error("send-template err:", err);
@@ -373,67 +805,85 @@ router.post("/send-template", async (req, res) => {
 });
 
 /**
- * POST /broadcast
- * body: { numbers: ["628xx@s.whatsapp.net", ...], message }
+ * GET /chats?sessionId=&q=&limit=&offset=
+ * -> from the message store, most recent first
  */
-router.post("/broadcast", async (req, res) => {
+router.get("/chats", requireScope("read"), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
-    if (!sock) return res.status(400).json({ error: "Session not connected" });
-
-    const { numbers, message } = req.body;
-    if (!Array.isArray(numbers) || !message) return res.status(400).json({ error: "numbers array & message required" });
-
-    const results = [];
-    for (const to of numbers) {
-      const r = await sock.sendMessage(to, { text: message });
-      results.push({ to, r });
-      await saveLog(req.user.id, "broadcast_out", { to });
-    }
-    res.json({ success: true, results });
+    const sessionId = getSessionId(req);
+    const where = { userId: req.user.id, sessionId };
+    if (req.query.q) where.name = { [Op.like]: `%${req.query.q}%` };
+    if (req.query.isGroup !== undefined) where.isGroup = req.query.isGroup === "true";
+
+    const { limit, offset } = parsePaging(req.query);
+    const { rows, count } = await Chat.findAndCountAll({
+      where,
+      order: [["lastMessageAt", "DESC"]],
+      limit,
+      offset
+    });
+    res.json({ chats: rows, total: count, limit, offset });
   } catch (err) {
-    console.error("broadcast err:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
 /**
- * GET /chats
+ * GET /messages?sessionId=&jid=&direction=in|out&type=&from=&to=&limit=&offset=
+ * - from / to: ISO date or date-time (inclusive range on message timestamp)
+ * - count is accepted as an alias of limit
  */
-router.get("/chats", async (req, res) => {
+router.get("/messages", requireScope("read"), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
-    if (!sock) return res.status(400).json({ error: "Session not connected" });
-    const chats = sock.chats || [];
-    res.json({ chats });
+    const sessionId = getSessionId(req);
+    const { jid, direction, type, from, to } = req.query;
+    const where = { userId: req.user.id, sessionId };
+    if (jid) where.remoteJid = jid;
+    if (direction) {
+      if (!["in", "out"].includes(direction)) return res.status(400).json({ error: "direction must be in or out" });
+      where.direction = direction;
+    }
+    if (type) where.type = type;
+    if (from || to) {
+      const range = {};
+      if (from) range[Op.gte] = new Date(from);
+      if (to) range[Op.lte] = new Date(to);
+      if (Object.values(range).some(d => isNaN(d))) return res.status(400).json({ error: "Invalid from/to date" });
+      where.timestamp = range;
+    }
+
+    const { limit, offset } = parsePaging({ ...req.query, limit: req.query.limit || req.query.count });
+    const { rows, count } = await Message.findAndCountAll({
+      where,
+      attributes: { exclude: ["raw"] },
+      order: [["timestamp", "DESC"], ["id", "DESC"]],
+      limit,
+      offset
+    });
+    res.json({ messages: rows, total: count, limit, offset });
   } catch (err) {
+    console.error("messages err:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
 /**
- * GET /messages?jid=&count=
+ * GET /messages/:id/status?sessionId=
+ * -> delivery status of an outbound message by its WhatsApp message id
  */
-router.get("/messages", async (req, res) => {
+router.get("/messages/:id/status", requireScope("read"), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
-    if (!sock) return res.status(400).json({ error: "Session not connected" });
-
-    const jid = req.query.jid;
-    const count = parseInt(req.query.count || "20");
-    if (!jid) return res.status(400).json({ error: "jid required" });
+    const where = { userId: req.user.id, messageId: req.params.id };
+    if (req.query.sessionId) where.sessionId = req.query.sessionId;
+    if (req.query.jid) where.remoteJid = req.query.jid;
 
-    if (typeof sock.fetchMessages === "function") {
-      const msgs = await sock.fetchMessages(jid, count);
-      res.json({ messages: msgs });
-    } else {
-      res.json({ messages: [] });
-    }
+    const msg = await Message.findOne({
+      where,
+      attributes: ["messageId", "sessionId", "remoteJid", "direction", "status", "statusUpdatedAt", "deliveredAt", "readAt", "error", "timestamp"]
+    });
+    if (!msg) return res.status(404).json({ error: "Message not found" });
+    res.json(msg);
   } catch (err) {
-    console.error("messages err:", err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -442,17 +892,17 @@ router.get("/messages", async (req, res) => {
  * POST /mark-read
  * body: { jid, messageId }
  */
-router.post("/mark-read", async (req, res) => {
+router.post("/mark-read", requireScope("send"), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
 
     const { jid, messageId } = req.body;
     if (!jid || !messageId) return res.status(400).json({ error: "jid & messageId required" });
 
     await sock.sendReadReceipt(jid, jid, [messageId]);
-    await saveLog(req.user.id, "mark_read", { jid, messageId });
+    await saveLog(req.user.id, "mark_read", { jid, messageId }, sessionId);
     res.json({ success: true });
   } catch (err) {
     console.error("mark-read err:", err);
@@ -463,17 +913,17 @@ router.post("/mark-read", async (req, res) => {
 /**
  * POST /presence  body: { to, presence }
  */
-router.post("/presence", async (req, res) => {
+router.post("/presence", requireScope("send"), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
 
     const { to, presence: p } = req.body;
     if (!to || !p) return res.status(400).json({ error: "to & presence required" });
 
     await sock.sendPresenceUpdate(p, to);
-    await saveLog(req.user.id, "presence_update_sent", { to, p });
+    await saveLog(req.user.id, "presence_update_sent", { to, p }, sessionId);
     res.json({ success: true });
   } catch (err) {
     console.error("presence err:", err);
@@ -484,32 +934,32 @@ router.post("/presence", async (req, res) => {
 /**
  * POST /block  /unblock  body: { jid }
  */
-router.post("/block", async (req, res) => {
+router.post("/block", requireScope("session"), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     const { jid } = req.body;
     if (!sock) return res.status(400).json({ error: "Session not connected" });
     if (!jid) return res.status(400).json({ error: "jid required" });
 
     await sock.updateBlockStatus(jid, "block");
-    await saveLog(req.user.id, "block", { jid });
+    await saveLog(req.user.id, "block", { jid }, sessionId);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-router.post("/unblock", async (req, res) => {
+router.post("/unblock", requireScope("session"), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     const { jid } = req.body;
     if (!sock) return res.status(400).json({ error: "Session not connected" });
     if (!jid) return res.status(400).json({ error: "jid required" });
 
     await sock.updateBlockStatus(jid, "unblock");
-    await saveLog(req.user.id, "unblock", { jid });
+    await saveLog(req.user.id, "unblock", { jid }, sessionId);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -519,80 +969,80 @@ router.post("/unblock", async (req, res) => {
 /**
  * Group operations
  */
-router.post("/group-create", async (req, res) => {
+router.post("/group-create", requireScope("groups"), requireFeature("groups"), async (req, res) => {
   try {
     const { subject, participants } = req.body;
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
     if (!subject || !participants) return res.status(400).json({ error: "subject & participants required" });
 
     const result = await sock.groupCreate(subject, participants);
-    await saveLog(req.user.id, "group_create", { subject, participants });
+    await saveLog(req.user.id, "group_create", { subject, participants }, sessionId);
     res.json({ success: true, result });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-router.post("/group-add", async (req, res) => {
+router.post("/group-add", requireScope("groups"), requireFeature("groups"), async (req, res) => {
   try {
     const { groupId, participants } = req.body;
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
     if (!groupId || !participants) return res.status(400).json({ error: "groupId & participants required" });
 
     const result = await sock.groupAdd(groupId, participants);
-    await saveLog(req.user.id, "group_add", { groupId, participants });
+    await saveLog(req.user.id, "group_add", { groupId, participants }, sessionId);
     res.json({ success: true, result });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-router.post("/group-remove", async (req, res) => {
+router.post("/group-remove", requireScope("groups"), requireFeature("groups"), async (req, res) => {
   try {
     const { groupId, participant } = req.body;
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
     if (!groupId || !participant) return res.status(400).json({ error: "groupId & participant required" });
 
     const result = await sock.groupRemove(groupId, [participant]);
-    await saveLog(req.user.id, "group_remove", { groupId, participant });
+    await saveLog(req.user.id, "group_remove", { groupId, participant }, sessionId);
     res.json({ success: true, result });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-router.post("/group-promote", async (req, res) => {
+router.post("/group-promote", requireScope("groups"), requireFeature("groups"), async (req, res) => {
   try {
     const { groupId, participant } = req.body;
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
     if (!groupId || !participant) return res.status(400).json({ error: "groupId & participant required" });
 
     const result = await sock.groupMakeAdmin(groupId, [participant]);
-    await saveLog(req.user.id, "group_promote", { groupId, participant });
+    await saveLog(req.user.id, "group_promote", { groupId, participant }, sessionId);
     res.json({ success: true, result });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-router.post("/group-demote", async (req, res) => {
+router.post("/group-demote", requireScope("groups"), requireFeature("groups"), async (req, res) => {
   try {
     const { groupId, participant } = req.body;
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
     if (!groupId || !participant) return res.status(400).json({ error: "groupId & participant required" });
 
     const result = await sock.groupDemoteAdmin(groupId, [participant]);
-    await saveLog(req.user.id, "group_demote", { groupId, participant });
+    await saveLog(req.user.id, "group_demote", { groupId, participant }, sessionId);
     res.json({ success: true, result });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -600,14 +1050,25 @@ router.post("/group-demote", async (req, res) => {
 });
 
 /**
- * GET /contacts
+ * GET /contacts?sessionId=&q=&limit=&offset=
  */
-router.get("/contacts", async (req, res) => {
+router.get("/contacts", requireScope("read"), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
-    if (!sock) return res.status(400).json({ error: "Session not connected" });
-    res.json({ contacts: sock.contacts || {} });
+    const sessionId = getSessionId(req);
+    const where = { userId: req.user.id, sessionId };
+    if (req.query.q) {
+      const like = { [Op.like]: `%${req.query.q}%` };
+      where[Op.or] = [{ name: like }, { notify: like }, { jid: like }];
+    }
+
+    const { limit, offset } = parsePaging(req.query);
+    const { rows, count } = await Contact.findAndCountAll({
+      where,
+      order: [["name", "ASC"], ["notify", "ASC"]],
+      limit,
+      offset
+    });
+    res.json({ contacts: rows, total: count, limit, offset });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -616,23 +1077,32 @@ router.get("/contacts", async (req, res) => {
 /**
  * POST /download-media
  * body: { message } - full message object
+ *   or  { messageId, jid (optional) } - message from the message store
  */
-router.post("/download-media", async (req, res) => {
+router.post("/download-media", requireScope("read"), requireFeature("media"), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
 
-    const { message } = req.body;
-    if (!message) return res.status(400).json({ error: "message required" });
+    const { messageId, jid } = req.body;
+    let { message } = req.body;
+    if (!message && messageId) {
+      const where = { userId: req.user.id, sessionId, messageId };
+      if (jid) where.remoteJid = jid;
+      const stored = await Message.findOne({ where });
+      if (!stored?.raw) return res.status(404).json({ error: "Message not found" });
+      message = fromPlain(stored.raw);
+    }
+    if (!message) return res.status(400).json({ error: "message or messageId required" });
 
-    const buffer = await sock.downloadMediaMessage(message, "buffer");
+    const buffer = await downloadMediaMessage(message, "buffer", {}, { reuploadRequest: sock.updateMediaMessage });
     const mediaType = Object.keys(message.message || {}).find(k => k.includes("Message")) || "media";
     const fileName = `${Date.now()}_${mediaType.replace("Message","")}`;
     if (!fs.existsSync("downloads")) fs.mkdirSync("downloads", { recursive: true });
     const filePath = path.join("downloads", fileName);
     fs.writeFileSync(filePath, buffer);
-    await saveLog(req.user.id, "media_download", { filePath });
+    await saveLog(req.user.id, "media_download", { filePath }, sessionId);
     res.json({ success: true, filePath });
   } catch (err) {
     console.error("download-media err:", err);
@@ -644,17 +1114,17 @@ router.post("/download-media", async (req, res) => {
  * POST /profile-update
  * body: { name }
  */
-router.post("/profile-update", async (req, res) => {
+router.post("/profile-update", requireScope("session"), async (req, res) => {
   try {
     const { name } = req.body;
     if (!name) return res.status(400).json({ error: "name required" });
 
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
 
     await sock.updateProfileName(name).catch(()=>null);
-    await saveLog(req.user.id, "profile_update", { name });
+    await saveLog(req.user.id, "profile_update", { name }, sessionId);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -665,18 +1135,18 @@ router.post("/profile-update", async (req, res) => {
  * POST /profile-picture
  * body: { base64 } (image base64)
  */
-router.post("/profile-picture", async (req, res) => {
+router.post("/profile-picture", requireScope("session"), async (req, res) => {
   try {
     const { base64 } = req.body;
     if (!base64) return res.status(400).json({ error: "base64 required" });
 
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
+    const sessionId = getSessionId(req);
+    const sock = getSession(req.user.id, sessionId);
     if (!sock) return res.status(400).json({ error: "Session not connected" });
 
     const buffer = Buffer.from(base64, "base64");
-    try { await sock.updateProfilePicture(req.user.apiKey + "@s.whatsapp.net", buffer); } catch {}
-    await saveLog(req.user.id, "profile_picture_update", {});
+    try { await sock.updateProfilePicture(sock.user?.id, buffer); } catch {}
+    await saveLog(req.user.id, "profile_picture_update", {}, sessionId);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -684,20 +1154,20 @@ router.post("/profile-picture", async (req, res) => {
 });
 
 /**
- * POST /logout
+ * POST /logout  body: { sessionId (optional) }
+ * -> logs the WA device out and removes its credentials; the session record is kept
  */
-router.post("/logout", async (req, res) => {
+router.post("/logout", requireScope("session"), async (req, res) => {
   try {
-    const apiKey = req.user.apiKey;
-    const sock = sessions[apiKey];
-    if (sock) {
-      try { await sock.logout(); } catch {}
-      delete sessions[apiKey];
-    }
-    const sessDir = path.join("baileys", "sessions", apiKey);
-    try { fs.rmSync(sessDir, { recursive: true, force: true }); } catch {}
-    sendSSE(apiKey, "logged_out", {});
-    await saveLog(req.user.id, "logout", {});
+    const sessionId = getSessionId(req);
+    if (!isValidSessionId(sessionId)) return res.status(400).json({ error: "Invalid sessionId" });
+    const row = await WaSession.findOne({ where: { userId: req.user.id, sessionId } });
+    if (!row) return res.status(404).json({ error: "Session not found" });
+
+    await destroySocket(req.user.id, sessionId);
+    await row.update({ status: "logged_out" });
+    sendSSE(req.user.id, sessionId, "logged_out", {});
+    await saveLog(req.user.id, "logout", {}, sessionId);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
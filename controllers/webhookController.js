@@ -0,0 +1,149 @@
+// controllers/webhookController.js
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { WEBHOOK_EVENTS, checkWebhookUrl, generateSecret, redeliver } from "../services/webhookService.js";
+
+function validateEvents(events) {
+  if (events === undefined || events === null) return null;
+  if (!Array.isArray(events)) return "events must be an array";
+  const invalid = events.filter(e => e !== "*" && !WEBHOOK_EVENTS.includes(e));
+  if (invalid.length) return `Unknown events: ${invalid.join(", ")}`;
+  return null;
+}
+
+async function findOwnWebhook(req) {
+  return Webhook.findOne({ where: { id: req.params.id, userId: req.user.id } });
+}
+
+// CREATE WEBHOOK
+export async function createWebhook(req, res) {
+  try {
+    const { url, events = [], description } = req.body;
+    if (!url) return res.status(400).json({ error: "valid http(s) url required" });
+    const urlError = await checkWebhookUrl(url);
+    if (urlError) return res.status(400).json({ error: urlError });
+
+    const eventsErr = validateEvents(events);
+    if (eventsErr) return res.status(400).json({ error: eventsErr });
+
+    const webhook = await Webhook.create({
+      userId: req.user.id,
+      url,
+      events,
+      description,
+      secret: generateSecret(),
+      active: true
+    });
+
+    // secret only returned in full here and on rotation
+    return res.json({ success: true, webhook });
+  } catch (err) {
+    console.error("createWebhook err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// LIST WEBHOOKS
+export async function listWebhooks(req, res) {
+  try {
+    const webhooks = await Webhook.findAll({
+      where: { userId: req.user.id },
+      attributes: { exclude: ["secret"] },
+      order: [["createdAt", "DESC"]]
+    });
+    return res.json({ webhooks, events: WEBHOOK_EVENTS });
+  } catch (err) {
+    console.error("listWebhooks err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// UPDATE WEBHOOK
+export async function updateWebhook(req, res) {
+  try {
+    const webhook = await findOwnWebhook(req);
+    if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+
+    const { url, events, description, active, rotateSecret } = req.body;
+    if (url !== undefined) {
+      const urlError = await checkWebhookUrl(url);
+      if (urlError) return res.status(400).json({ error: urlError });
+      webhook.url = url;
+    }
+    if (events !== undefined) {
+      const eventsErr = validateEvents(events);
+      if (eventsErr) return res.status(400).json({ error: eventsErr });
+      webhook.events = events;
+    }
+    if (description !== undefined) webhook.description = description;
+    if (active !== undefined) webhook.active = !!active;
+    if (rotateSecret) webhook.secret = generateSecret();
+    await webhook.save();
+
+    const out = webhook.toJSON();
+    if (!rotateSecret) delete out.secret;
+    return res.json({ success: true, webhook: out });
+  } catch (err) {
+    console.error("updateWebhook err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// DELETE WEBHOOK
+export async function deleteWebhook(req, res) {
+  try {
+    const webhook = await findOwnWebhook(req);
+    if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+
+    await webhook.destroy();
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("deleteWebhook err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// DELIVERY LOG
+export async function listDeliveries(req, res) {
+  try {
+    const webhook = await findOwnWebhook(req);
+    if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+
+    const where = { webhookId: webhook.id };
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.event) where.event = req.query.event;
+
+    const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 200);
+    const offset = parseInt(req.query.offset || "0", 10) || 0;
+
+    const { rows, count } = await WebhookDelivery.findAndCountAll({
+      where,
+      order: [["createdAt", "DESC"]],
+      limit,
+      offset
+    });
+    return res.json({ deliveries: rows, total: count, limit, offset });
+  } catch (err) {
+    console.error("listDeliveries err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// REDELIVER
+export async function redeliverDelivery(req, res) {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      where: { id: req.params.deliveryId, userId: req.user.id }
+    });
+    if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+
+    const webhook = await Webhook.findByPk(delivery.webhookId);
+    if (!webhook || !webhook.active) return res.status(400).json({ error: "Webhook removed or inactive" });
+
+    const result = await redeliver(delivery);
+    return res.json({ success: true, delivery: result });
+  } catch (err) {
+    console.error("redeliverDelivery err:", err);
+    return res.status(500).json({ error: err.message });
+  }
+}
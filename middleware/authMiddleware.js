@@ -1,38 +1,90 @@
-import jwt from "jsonwebtoken";
-import dotenv from "dotenv";
-import User from "../models/User.js";
-dotenv.config();
-
-const SECRET = process.env.JWT_SECRET || "changemejwtsecret";
+import { authenticateApiKey, hasScope, trackResponse } from "../services/apiKeys.js";
+import { verifyAccessToken } from "../services/authTokens.js";
 
+/**
+ * Authorization: Bearer <access token> -> req.user = { id, role }
+ * The token is checked against the user row, so revoked tokens
+ * (logout everywhere, password reset, role change, disabled account) fail at once.
+ */
 export async function verifyToken(req, res, next) {
   try {
     const token = req.headers.authorization?.split(" ")[1];
     if (!token) return res.status(401).json({ error: "No token provided" });
 
-    const decoded = jwt.verify(token, SECRET);
-    req.user = decoded;
+    const { user, error } = await verifyAccessToken(token);
+    if (error) return res.status(401).json({ error });
+
+    req.user = { id: user.id, role: user.role };
     next();
   } catch {
     res.status(401).json({ error: "Invalid token" });
   }
 }
 
+/**
+ * x-api-key -> req.user = { id, role, apiKeyId, scopes, sessions }
+ * Expired, revoked and IP-restricted keys are rejected; see services/apiKeys.js
+ */
 export async function verifyApiKey(req, res, next) {
   try {
-    const apiKey = req.headers["x-api-key"];
-    if (!apiKey) return res.status(401).json({ error: "No API key" });
+    const key = req.headers["x-api-key"];
+    if (!key) return res.status(401).json({ error: "No API key" });
 
-    const user = await User.findOne({ where: { apiKey } });
-    if (!user) return res.status(401).json({ error: "Invalid API key" });
+    const { apiKey, user, error, status } = await authenticateApiKey(key, req.ip);
+    if (error) return res.status(status).json({ error });
 
-    req.user = { id: user.id, apiKey: user.apiKey, role: user.role };
+    req.user = { id: user.id, role: user.role, apiKeyId: apiKey.id, scopes: apiKey.scopes, sessions: apiKey.sessions };
+    trackResponse(apiKey.id, res);
     next();
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 }
 
+/**
+ * Allow the request when the API key has any of the scopes (or "full"), and,
+ * for keys limited to some sessions, when the target session is one of them
+ * (requests naming no session use the key's first session).
+ * Requests authenticated with a JWT are not scoped.
+ */
+export function requireScope(...scopes) {
+  return (req, res, next) => {
+    if (!req.user?.apiKeyId) return next();
+    if (!hasScope(req.user.scopes, ...scopes)) {
+      return res.status(403).json({ error: `API key needs the ${scopes.join(" or ")} scope`, scopes });
+    }
+    const allowed = req.user.sessions;
+    if (Array.isArray(allowed) && allowed.length) {
+      const sessionId = req.params.sessionId || req.body?.sessionId || req.query?.sessionId;
+      if (sessionId && !allowed.includes(sessionId)) {
+        return res.status(403).json({ error: `API key not allowed for session "${sessionId}"` });
+      }
+      // no session given -> the key's first session instead of "default"
+      if (!sessionId) req.query.sessionId = allowed[0];
+    }
+    next();
+  };
+}
+
+/**
+ * Where clause for looking up session-bound rows by id (broadcasts,
+ * schedules, auto-reply rules): keys limited to some sessions only reach
+ * rows of those sessions.
+ */
+export function allowedSessionsWhere(req) {
+  const allowed = req.user?.apiKeyId && req.user.sessions;
+  return Array.isArray(allowed) && allowed.length ? { sessionId: allowed } : {};
+}
+
+/**
+ * For clients that cannot send headers (EventSource, <img src>):
+ * accept ?apiKey= as the x-api-key header. Use before verifyApiKey.
+ */
+export function apiKeyFromQuery(req, res, next) {
+  if (!req.headers["x-api-key"] && req.query.apiKey) req.headers["x-api-key"] = String(req.query.apiKey);
+  next();
+}
+
 export function verifyAdmin(req, res, next) {
   if (req.user.role !== "admin") {
     return res.status(403).json({ error: "Access denied. Admin only." });
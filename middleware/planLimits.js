@@ -0,0 +1,179 @@
+import { Op, literal } from "sequelize";
+import User from "../models/User.js";
+import Usage from "../models/Usage.js";
+import WaSession from "../models/WaSession.js";
+import { getPlan, USAGE_TIMEZONE } from "../config/plans.js";
+
+/**
+ * Plan limits for /api/v1 (free vs premium), see config/plans.js.
+ * Feature / size limits answer 402 (upgrade required),
+ * an exhausted daily message quota answers 429.
+ */
+
+export function usageDate(date = new Date()) {
+  // en-CA -> YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", { timeZone: USAGE_TIMEZONE }).format(date);
+}
+
+export async function getUsageToday(userId) {
+  const row = await Usage.findOne({ where: { userId, date: usageDate() } });
+  return row ? row.messages : 0;
+}
+
+export async function recordUsage(userId, messages) {
+  if (!messages) return;
+  const date = usageDate();
+  const [row] = await Usage.findOrCreate({ where: { userId, date }, defaults: { userId, date, messages: 0 } });
+  await row.increment("messages", { by: messages });
+}
+
+/**
+ * Take `messages` from the day's quota in one conditional UPDATE, so parallel
+ * requests cannot all pass a check made before any of them is recorded.
+ * -> true when reserved, false when the quota has no room left
+ */
+export async function reserveUsage(userId, messages, limit, date = usageDate()) {
+  if (!messages) return true;
+  await Usage.findOrCreate({ where: { userId, date }, defaults: { userId, date, messages: 0 } });
+  const [reserved] = await Usage.update(
+    { messages: literal(`messages + ${messages}`) },
+    { where: { userId, date, messages: { [Op.lte]: limit - messages } } }
+  );
+  return reserved > 0;
+}
+
+// give a reservation back (the send failed)
+export async function refundUsage(userId, messages, date) {
+  if (!messages) return;
+  await Usage.update(
+    { messages: literal(`GREATEST(messages - ${messages}, 0)`) },
+    { where: { userId, date } }
+  );
+}
+
+/**
+ * Load the user's plan once per request -> req.plan = { name, limits }
+ */
+export async function loadPlan(req) {
+  if (req.plan) return req.plan;
+  const user = await User.findByPk(req.user.id);
+  req.plan = getPlan(user);
+  return req.plan;
+}
+
+function upgradeRequired(res, plan, error, extra = {}) {
+  return res.status(402).json({ error, plan: plan.name, upgradeRequired: true, ...extra });
+}
+
+/**
+ * Block features not included in the plan, e.g. requireFeature("media")
+ */
+export function requireFeature(feature) {
+  return async (req, res, next) => {
+    try {
+      const plan = await loadPlan(req);
+      if (!plan.limits[feature]) {
+        return upgradeRequired(res, plan, `The ${feature} feature is not available on the ${plan.name} plan`, { feature });
+      }
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+/**
+ * Daily message quota. countFn(req) -> messages this request will send (default 1).
+ * The messages are reserved before the handler runs and given back when it
+ * responds with an error status.
+ */
+export function messageQuota(countFn = () => 1) {
+  return async (req, res, next) => {
+    try {
+      const plan = await loadPlan(req);
+      const count = Math.max(Math.floor(countFn(req)) || 0, 0);
+      const limit = plan.limits.dailyMessages;
+      const date = usageDate();
+
+      if (!(await reserveUsage(req.user.id, count, limit, date))) {
+        const used = await getUsageToday(req.user.id);
+        const remaining = Math.max(limit - used, 0);
+        return res.status(429).json({
+          error: "Daily message quota exceeded",
+          plan: plan.name,
+          limit,
+          used,
+          remaining,
+          requested: count
+        });
+      }
+
+      res.on("finish", () => {
+        if (res.statusCode >= 400) refundUsage(req.user.id, count, date).catch(err => console.error("refundUsage err:", err));
+      });
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+/**
+ * Recipients of a broadcast request ({ numbers } or { recipients })
+ */
+export function broadcastSize(req) {
+  if (Array.isArray(req.body?.recipients)) return req.body.recipients.length;
+  if (Array.isArray(req.body?.numbers)) return req.body.numbers.length;
+  return 0;
+}
+
+/**
+ * Max recipients per broadcast
+ */
+export async function broadcastSizeLimit(req, res, next) {
+  try {
+    const plan = await loadPlan(req);
+    const size = broadcastSize(req);
+    const max = plan.limits.maxBroadcastRecipients;
+    if (size > max) {
+      return upgradeRequired(res, plan, `Broadcast limited to ${max} recipients on the ${plan.name} plan`, { max, requested: size });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * Max number of WA sessions. getSessionId(req) -> session the request creates/uses;
+ * existing sessions are always allowed, except ones suspended when premium ended
+ * (services/premiumExpiry.js): those resume only while the plan has room for them.
+ */
+export function sessionLimit(getSessionId) {
+  return async (req, res, next) => {
+    try {
+      const plan = await loadPlan(req);
+      const sessionId = getSessionId(req);
+      const exists = await WaSession.findOne({ where: { userId: req.user.id, sessionId } });
+      if (exists && !exists.suspended) return next();
+      if (exists) {
+        const active = await WaSession.count({ where: { userId: req.user.id, suspended: false } });
+        const max = plan.limits.maxSessions;
+        if (active >= max) {
+          return upgradeRequired(res, plan, `Session "${sessionId}" is suspended: session limit (${max}) of the ${plan.name} plan reached`, { max, sessions: active, suspended: true });
+        }
+        await exists.update({ suspended: false });
+        return next();
+      }
+
+      const count = await WaSession.count({ where: { userId: req.user.id } });
+      const max = plan.limits.maxSessions;
+      if (count >= max) {
+        return upgradeRequired(res, plan, `Session limit reached (${max}) on the ${plan.name} plan`, { max, sessions: count });
+      }
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
@@ -0,0 +1,123 @@
+// middleware/rateLimit.js
+import crypto from "crypto";
+import { AUTH_RATE_LIMITS, API_RATE_LIMITS, API_IP_RATE_LIMIT } from "../config/rateLimits.js";
+
+/**
+ * Fixed-window rate limiting, counted in memory (one process).
+ *
+ * Every limited response carries the IETF draft headers RateLimit-Limit,
+ * RateLimit-Remaining, RateLimit-Reset (seconds) and RateLimit-Policy;
+ * throttled requests get 429 with Retry-After.
+ */
+
+const buckets = new Map(); // key -> { count, resetAt }
+const SWEEP_MS = 60 * 1000;
+
+const sweeper = setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of buckets) {
+    if (bucket.resetAt <= now) buckets.delete(key);
+  }
+}, SWEEP_MS);
+sweeper.unref?.();
+
+/**
+ * Count one hit -> { limit, remaining, resetMs, limited }
+ */
+export function hit(key, { max, windowMs }) {
+  const now = Date.now();
+  let bucket = buckets.get(key);
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + windowMs };
+    buckets.set(key, bucket);
+  }
+  bucket.count += 1;
+  return {
+    limit: max,
+    remaining: Math.max(max - bucket.count, 0),
+    resetMs: bucket.resetAt - now,
+    limited: bucket.count > max
+  };
+}
+
+function setHeaders(res, result, { max, windowMs }) {
+  const reset = Math.max(Math.ceil(result.resetMs / 1000), 0);
+  res.setHeader("RateLimit-Limit", String(result.limit));
+  res.setHeader("RateLimit-Remaining", String(result.remaining));
+  res.setHeader("RateLimit-Reset", String(reset));
+  res.setHeader("RateLimit-Policy", `${max};w=${Math.ceil(windowMs / 1000)}`);
+  if (result.limited) res.setHeader("Retry-After", String(reset));
+}
+
+/**
+ * rateLimit({ name, max, windowMs, key: (req) => string })
+ * key defaults to the client IP
+ */
+export function rateLimit({ name, max, windowMs, key = (req) => req.ip }) {
+  return (req, res, next) => {
+    const policy = { max, windowMs };
+    const result = hit(`${name}:${key(req)}`, policy);
+    setHeaders(res, result, policy);
+    if (result.limited) {
+      return res.status(429).json({ error: "Too many requests, please try again later", retryAfter: Math.ceil(result.resetMs / 1000) });
+    }
+    next();
+  };
+}
+
+/**
+ * Per-IP limit for an /api/auth route, see AUTH_RATE_LIMITS
+ */
+export function authRateLimit(name) {
+  return rateLimit({ name: `auth:${name}`, ...AUTH_RATE_LIMITS[name] });
+}
+
+/* ----------------------------
+   API keys
+   ---------------------------- */
+// "/lists/12/contacts/628123@s.whatsapp.net" -> "/lists/:id/contacts/:id"
+function endpointOf(req) {
+  const route = (req.path.replace(/\/+$/, "") || "/")
+    .split("/")
+    .map(seg => (/^\d+$/.test(seg) || seg.includes("@") ? ":id" : seg))
+    .join("/");
+  return `${req.method} ${route}`;
+}
+
+function apiKeyOf(req) {
+  const key = req.headers["x-api-key"] || req.query?.apiKey;
+  return key ? crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, 32) : null;
+}
+
+/**
+ * Per API key, per endpoint limits (API_RATE_LIMITS). Runs before verifyApiKey,
+ * so floods with an invalid key are throttled without a database lookup;
+ * requests without a key are counted per IP. Every request also counts
+ * against API_IP_RATE_LIMIT for its IP first, so a client cannot dodge the
+ * limits (or grow the buckets) by sending a new random key each time.
+ */
+export function apiRateLimit(req, res, next) {
+  const perIp = hit(`api-ip:${req.ip}`, API_IP_RATE_LIMIT);
+  if (perIp.limited) {
+    setHeaders(res, perIp, API_IP_RATE_LIMIT);
+    return res.status(429).json({
+      error: "Too many requests from this IP, please try again later",
+      retryAfter: Math.ceil(perIp.resetMs / 1000)
+    });
+  }
+
+  const endpoint = endpointOf(req);
+  const policy = API_RATE_LIMITS[endpoint] || API_RATE_LIMITS.default;
+  const client = apiKeyOf(req) || `ip:${req.ip}`;
+  const result = hit(`api:${client}:${endpoint}`, policy);
+  setHeaders(res, result, policy);
+  if (result.limited) {
+    return res.status(429).json({
+      error: `Rate limit exceeded for ${endpoint}`,
+      limit: policy.max,
+      windowSeconds: Math.ceil(policy.windowMs / 1000),
+      retryAfter: Math.ceil(result.resetMs / 1000)
+    });
+  }
+  next();
+}
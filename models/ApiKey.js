@@ -0,0 +1,21 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// API key milik user; yang disimpan hanya hash SHA-256, key asli ditampilkan sekali saat dibuat / rotate
+const ApiKey = sequelize.define("ApiKey", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  name: { type: DataTypes.STRING(64), allowNull: false },
+  prefix: { type: DataTypes.STRING(16), allowNull: false }, // awal key, untuk dikenali di dashboard
+  keyHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+  scopes: { type: DataTypes.JSON, allowNull: false }, // contoh: ["send", "read"], lihat services/apiKeys.js
+  sessions: { type: DataTypes.JSON, allowNull: true }, // batasi ke sessionId tertentu, null = semua
+  ipAllowlist: { type: DataTypes.JSON, allowNull: true }, // IP / CIDR, null = semua
+  expiresAt: { type: DataTypes.DATE, allowNull: true },
+  lastUsedAt: { type: DataTypes.DATE, allowNull: true },
+  lastUsedIp: { type: DataTypes.STRING(64), allowNull: true },
+  revokedAt: { type: DataTypes.DATE, allowNull: true }
+}, {
+  indexes: [{ fields: ["userId"] }]
+});
+
+export default ApiKey;
@@ -0,0 +1,24 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// aturan balas otomatis per session, dicek urut priority (besar duluan)
+const AutoReplyRule = sequelize.define("AutoReplyRule", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  sessionId: { type: DataTypes.STRING(32), allowNull: false, defaultValue: "default" },
+  name: { type: DataTypes.STRING(64), allowNull: false },
+  enabled: { type: DataTypes.BOOLEAN, defaultValue: true },
+  priority: { type: DataTypes.INTEGER, defaultValue: 0 },
+  matchType: { type: DataTypes.ENUM("exact", "contains", "regex", "any"), allowNull: false },
+  pattern: { type: DataTypes.STRING(500), allowNull: true }, // kosong untuk matchType any
+  caseSensitive: { type: DataTypes.BOOLEAN, defaultValue: false },
+  conditions: { type: DataTypes.JSON, allowNull: true }, // { chatType, senders, excludeSenders, businessHours }
+  response: { type: DataTypes.JSON, allowNull: true }, // { type: text|media|template, ... }
+  flow: { type: DataTypes.JSON, allowNull: true }, // menu bertingkat, lihat services/autoReply.js
+  cooldownSeconds: { type: DataTypes.INTEGER, defaultValue: 60 }, // per kontak
+  hits: { type: DataTypes.INTEGER, defaultValue: 0 },
+  lastTriggeredAt: { type: DataTypes.DATE, allowNull: true }
+}, {
+  indexes: [{ fields: ["userId", "sessionId", "enabled"] }]
+});
+
+export default AutoReplyRule;
@@ -0,0 +1,23 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+const BroadcastJob = sequelize.define("BroadcastJob", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  sessionId: { type: DataTypes.STRING(32), allowNull: false, defaultValue: "default" },
+  message: { type: DataTypes.TEXT, allowNull: false }, // text, atau body template asli
+  templateId: { type: DataTypes.INTEGER, allowNull: true },
+  media: { type: DataTypes.JSON, allowNull: true }, // { url, filename } dari template media
+  status: {
+    type: DataTypes.ENUM("running", "paused", "completed", "cancelled"),
+    defaultValue: "running"
+  },
+  ratePerMinute: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 20 },
+  total: { type: DataTypes.INTEGER, defaultValue: 0 },
+  sent: { type: DataTypes.INTEGER, defaultValue: 0 },
+  failed: { type: DataTypes.INTEGER, defaultValue: 0 },
+  lastError: { type: DataTypes.TEXT, allowNull: true }, // contoh: session belum connect
+  startedAt: { type: DataTypes.DATE, allowNull: true },
+  finishedAt: { type: DataTypes.DATE, allowNull: true }
+});
+
+export default BroadcastJob;
@@ -0,0 +1,16 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+const BroadcastRecipient = sequelize.define("BroadcastRecipient", {
+  jobId: { type: DataTypes.INTEGER, allowNull: false },
+  to: { type: DataTypes.STRING, allowNull: false },
+  message: { type: DataTypes.TEXT, allowNull: true }, // hasil render template per penerima
+  status: { type: DataTypes.ENUM("queued", "sent", "failed"), defaultValue: "queued" },
+  error: { type: DataTypes.TEXT, allowNull: true },
+  messageId: { type: DataTypes.STRING, allowNull: true },
+  sentAt: { type: DataTypes.DATE, allowNull: true }
+}, {
+  indexes: [{ fields: ["jobId", "status"] }]
+});
+
+export default BroadcastRecipient;
@@ -0,0 +1,21 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+const Chat = sequelize.define("Chat", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  sessionId: { type: DataTypes.STRING(32), allowNull: false },
+  jid: { type: DataTypes.STRING, allowNull: false },
+  name: { type: DataTypes.STRING, allowNull: true },
+  isGroup: { type: DataTypes.BOOLEAN, defaultValue: false },
+  unreadCount: { type: DataTypes.INTEGER, defaultValue: 0 },
+  archived: { type: DataTypes.BOOLEAN, defaultValue: false },
+  pinned: { type: DataTypes.BOOLEAN, defaultValue: false },
+  lastMessageAt: { type: DataTypes.DATE, allowNull: true }
+}, {
+  indexes: [
+    { unique: true, fields: ["userId", "sessionId", "jid"] },
+    { fields: ["userId", "sessionId", "lastMessageAt"] }
+  ]
+});
+
+export default Chat;
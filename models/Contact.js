@@ -0,0 +1,16 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// kontak WA yang tersinkron dari session (bukan daftar audience)
+const Contact = sequelize.define("Contact", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  sessionId: { type: DataTypes.STRING(32), allowNull: false },
+  jid: { type: DataTypes.STRING, allowNull: false },
+  name: { type: DataTypes.STRING, allowNull: true }, // nama di buku kontak HP
+  notify: { type: DataTypes.STRING, allowNull: true }, // pushName dari WA
+  verifiedName: { type: DataTypes.STRING, allowNull: true }
+}, {
+  indexes: [{ unique: true, fields: ["userId", "sessionId", "jid"] }]
+});
+
+export default Contact;
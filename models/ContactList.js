@@ -0,0 +1,13 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// daftar audience untuk broadcast
+const ContactList = sequelize.define("ContactList", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  name: { type: DataTypes.STRING, allowNull: false },
+  description: { type: DataTypes.STRING, allowNull: true }
+}, {
+  indexes: [{ unique: true, fields: ["userId", "name"] }]
+});
+
+export default ContactList;
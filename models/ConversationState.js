@@ -0,0 +1,16 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// posisi kontak di dalam flow auto-reply (menu -> pilihan -> jawaban)
+const ConversationState = sequelize.define("ConversationState", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  sessionId: { type: DataTypes.STRING(32), allowNull: false },
+  jid: { type: DataTypes.STRING, allowNull: false },
+  ruleId: { type: DataTypes.INTEGER, allowNull: false },
+  step: { type: DataTypes.STRING(64), allowNull: false },
+  expiresAt: { type: DataTypes.DATE, allowNull: false }
+}, {
+  indexes: [{ unique: true, fields: ["userId", "sessionId", "jid"] }]
+});
+
+export default ConversationState;
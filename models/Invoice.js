@@ -0,0 +1,35 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// invoice untuk pembayaran yang sudah lunas (satu per order)
+const Invoice = sequelize.define("Invoice", {
+  number: { type: DataTypes.STRING(32), allowNull: false, unique: true }, // INV/2026/000001
+  year: { type: DataTypes.INTEGER, allowNull: false },
+  sequence: { type: DataTypes.INTEGER, allowNull: false }, // urutan dalam tahun
+  paymentId: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+  orderId: { type: DataTypes.STRING, allowNull: false },
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  issuedAt: { type: DataTypes.DATE, allowNull: false },
+  currency: { type: DataTypes.STRING(3), defaultValue: "IDR" },
+  planId: { type: DataTypes.INTEGER, allowNull: true },
+  planName: { type: DataTypes.STRING, allowNull: false },
+  periodStart: { type: DataTypes.DATE, allowNull: true }, // masa premium yang dibeli
+  periodEnd: { type: DataTypes.DATE, allowNull: true },
+  items: { type: DataTypes.JSON, allowNull: false }, // [{ planId, name, duration, durationUnit, quantity, unitPrice, amount }]
+  subtotal: { type: DataTypes.INTEGER, allowNull: false }, // sebelum diskon
+  discount: { type: DataTypes.INTEGER, defaultValue: 0 },
+  promoCode: { type: DataTypes.STRING(32), allowNull: true },
+  taxName: { type: DataTypes.STRING(32), allowNull: true },
+  taxRate: { type: DataTypes.DECIMAL(5, 2), defaultValue: 0 }, // persen, sudah termasuk di total
+  taxAmount: { type: DataTypes.INTEGER, defaultValue: 0 },
+  total: { type: DataTypes.INTEGER, allowNull: false }, // yang dibayar
+  paymentMethod: { type: DataTypes.STRING(32), allowNull: true },
+  paidAt: { type: DataTypes.DATE, allowNull: true },
+  seller: { type: DataTypes.JSON, allowNull: true }, // disalin saat terbit
+  buyer: { type: DataTypes.JSON, allowNull: true }, // { name, email }
+  emailedAt: { type: DataTypes.DATE, allowNull: true }
+}, {
+  indexes: [{ unique: true, fields: ["year", "sequence"] }, { fields: ["userId"] }]
+});
+
+export default Invoice;
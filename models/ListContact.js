@@ -0,0 +1,20 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// anggota ContactList
+const ListContact = sequelize.define("ListContact", {
+  listId: { type: DataTypes.INTEGER, allowNull: false },
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  phone: { type: DataTypes.STRING(20), allowNull: false }, // format 628xxx
+  jid: { type: DataTypes.STRING, allowNull: false },
+  name: { type: DataTypes.STRING, allowNull: true },
+  fields: { type: DataTypes.JSON, allowNull: true }, // kolom custom dari CSV, bisa dipakai di template
+  tags: { type: DataTypes.JSON, allowNull: true } // ["vip", "jakarta"]
+}, {
+  indexes: [
+    { unique: true, fields: ["listId", "phone"] },
+    { fields: ["userId"] }
+  ]
+});
+
+export default ListContact;
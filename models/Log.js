@@ -1,11 +1,25 @@
 import { DataTypes } from "sequelize";
 import sequelize from "../config/db.js";
 
+// event log terstruktur, ditulis lewat services/eventLog.js
 const Log = sequelize.define("Log", {
   userId: { type: DataTypes.INTEGER, allowNull: false },
-  type: { type: DataTypes.STRING, allowNull: false }, // contoh: 'message', 'error', 'connection'
-  message: { type: DataTypes.TEXT, allowNull: false },
-  meta: { type: DataTypes.JSON, allowNull: true } // data tambahan
+  sessionId: { type: DataTypes.STRING(32), allowNull: true }, // session WA asal event
+  type: { type: DataTypes.STRING(64), allowNull: false }, // nama event, contoh: 'message_in', 'connection_open'
+  category: { type: DataTypes.STRING(32), allowNull: false, defaultValue: "system" }, // contoh: 'message', 'connection'
+  level: { type: DataTypes.ENUM("debug", "info", "warn", "error"), defaultValue: "info" },
+  message: { type: DataTypes.TEXT, allowNull: false }, // ringkasan satu baris, untuk full-text search
+  jid: { type: DataTypes.STRING, allowNull: true }, // chat / kontak terkait
+  meta: { type: DataTypes.JSON, allowNull: true } // data tambahan (ringkas)
+}, {
+  indexes: [
+    { fields: ["userId", "id"] },
+    { fields: ["userId", "type"] },
+    { fields: ["userId", "createdAt"] },
+    { fields: ["userId", "sessionId"] },
+    { fields: ["jid"] },
+    { type: "FULLTEXT", fields: ["message"] }
+  ]
 });
 
 export default Log;
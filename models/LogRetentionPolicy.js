@@ -0,0 +1,15 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// berapa lama log disimpan, per type / category / default, beda untuk free & premium
+const LogRetentionPolicy = sequelize.define("LogRetentionPolicy", {
+  scope: { type: DataTypes.ENUM("type", "category", "default"), allowNull: false },
+  target: { type: DataTypes.STRING(64), allowNull: false }, // nama type / category, "*" untuk default
+  freeDays: { type: DataTypes.INTEGER, allowNull: false },
+  premiumDays: { type: DataTypes.INTEGER, allowNull: false },
+  archive: { type: DataTypes.BOOLEAN, defaultValue: true } // arsipkan dulu sebelum dihapus
+}, {
+  indexes: [{ unique: true, fields: ["scope", "target"] }]
+});
+
+export default LogRetentionPolicy;
@@ -0,0 +1,35 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// riwayat pesan masuk & keluar per session WA
+const Message = sequelize.define("Message", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  sessionId: { type: DataTypes.STRING(32), allowNull: false },
+  messageId: { type: DataTypes.STRING(128), allowNull: false }, // key.id dari WhatsApp
+  remoteJid: { type: DataTypes.STRING, allowNull: false },
+  participant: { type: DataTypes.STRING, allowNull: true }, // pengirim di group
+  fromMe: { type: DataTypes.BOOLEAN, defaultValue: false },
+  direction: { type: DataTypes.ENUM("in", "out"), allowNull: false },
+  type: { type: DataTypes.STRING(32), allowNull: false }, // text, image, video, audio, document, ...
+  text: { type: DataTypes.TEXT, allowNull: true }, // isi text / caption
+  pushName: { type: DataTypes.STRING, allowNull: true },
+  timestamp: { type: DataTypes.DATE, allowNull: false },
+  // status pengiriman (hanya pesan keluar)
+  status: {
+    type: DataTypes.ENUM("pending", "server_ack", "delivered", "read", "failed"),
+    allowNull: true
+  },
+  statusUpdatedAt: { type: DataTypes.DATE, allowNull: true },
+  deliveredAt: { type: DataTypes.DATE, allowNull: true },
+  readAt: { type: DataTypes.DATE, allowNull: true },
+  error: { type: DataTypes.TEXT, allowNull: true },
+  raw: { type: DataTypes.JSON, allowNull: true } // WebMessageInfo (BufferJSON) untuk download media
+}, {
+  indexes: [
+    { unique: true, fields: ["userId", "sessionId", "remoteJid", "messageId"] },
+    { fields: ["userId", "sessionId", "timestamp"] },
+    { fields: ["messageId"] }
+  ]
+});
+
+export default Message;
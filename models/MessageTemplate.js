@@ -0,0 +1,16 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// template pesan dengan placeholder {{nama}}
+const MessageTemplate = sequelize.define("MessageTemplate", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  name: { type: DataTypes.STRING(64), allowNull: false },
+  type: { type: DataTypes.ENUM("text", "media"), defaultValue: "text" },
+  body: { type: DataTypes.TEXT, allowNull: false }, // text, atau caption untuk media
+  media: { type: DataTypes.JSON, allowNull: true }, // { url, filename } untuk type media
+  variables: { type: DataTypes.JSON, allowNull: true } // daftar placeholder, diisi otomatis
+}, {
+  indexes: [{ unique: true, fields: ["userId", "name"] }]
+});
+
+export default MessageTemplate;
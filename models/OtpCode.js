@@ -0,0 +1,23 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// kode OTP yang dikirim lewat WA; kode disimpan sebagai HMAC, bukan teks asli
+const OtpCode = sequelize.define("OtpCode", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  sessionId: { type: DataTypes.STRING(32), allowNull: false },
+  phone: { type: DataTypes.STRING(20), allowNull: false }, // 628xx
+  purpose: { type: DataTypes.STRING(64), allowNull: false, defaultValue: "default" }, // contoh: 'login', 'reset'
+  codeHash: { type: DataTypes.STRING(64), allowNull: false },
+  status: { type: DataTypes.ENUM("pending", "verified", "expired", "failed"), defaultValue: "pending" },
+  attempts: { type: DataTypes.INTEGER, defaultValue: 0 },
+  maxAttempts: { type: DataTypes.INTEGER, allowNull: false },
+  resends: { type: DataTypes.INTEGER, defaultValue: 0 },
+  expiresAt: { type: DataTypes.DATE, allowNull: false },
+  lastSentAt: { type: DataTypes.DATE, allowNull: false },
+  verifiedAt: { type: DataTypes.DATE, allowNull: true },
+  messageId: { type: DataTypes.STRING, allowNull: true }
+}, {
+  indexes: [{ fields: ["userId", "phone", "purpose", "status"] }]
+});
+
+export default OtpCode;
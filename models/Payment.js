@@ -4,10 +4,22 @@ import sequelize from "../config/db.js";
 const Payment = sequelize.define("Payment", {
   orderId: { type: DataTypes.STRING, allowNull: false, unique: true },
   userId: { type: DataTypes.INTEGER, allowNull: false },
-  amount: { type: DataTypes.INTEGER, allowNull: false },
+  amount: { type: DataTypes.INTEGER, allowNull: false }, // yang dibayar, setelah diskon
+  planId: { type: DataTypes.INTEGER, allowNull: true }, // null = pembayaran lama (premium 1 bulan)
+  promoCodeId: { type: DataTypes.INTEGER, allowNull: true },
+  originalAmount: { type: DataTypes.INTEGER, allowNull: true }, // harga plan sebelum diskon
+  discount: { type: DataTypes.INTEGER, defaultValue: 0 },
   status: { type: DataTypes.STRING, defaultValue: "pending" },
   provider: { type: DataTypes.STRING, defaultValue: "midtrans" },
-  notification: { type: DataTypes.JSON, allowNull: true }
+  method: { type: DataTypes.STRING(32), allowNull: true }, // 'qris', 'bca_va', 'gopay', ... (null = pembayaran lama, QRIS)
+  instructions: { type: DataTypes.JSON, allowNull: true }, // cara bayar: nomor VA, QR, deeplink
+  expiresAt: { type: DataTypes.DATE, allowNull: true }, // batas bayar dari Midtrans
+  notification: { type: DataTypes.JSON, allowNull: true },
+  paidAt: { type: DataTypes.DATE, allowNull: true },
+  grantedAt: { type: DataTypes.DATE, allowNull: true }, // premium dari order ini sudah diberikan (sekali per order)
+  grantedMs: { type: DataTypes.BIGINT, defaultValue: 0 }, // lama premium yang ditambahkan order ini
+  revokedMs: { type: DataTypes.BIGINT, defaultValue: 0 }, // yang sudah ditarik lagi (refund / chargeback / cancel)
+  lastCheckedAt: { type: DataTypes.DATE, allowNull: true } // terakhir dicek ke Midtrans (webhook / rekonsiliasi)
 });
 
 export default Payment;
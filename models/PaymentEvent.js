@@ -0,0 +1,20 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// riwayat perubahan status pembayaran (juga notifikasi yang diabaikan / ditolak)
+const PaymentEvent = sequelize.define("PaymentEvent", {
+  paymentId: { type: DataTypes.INTEGER, allowNull: false },
+  orderId: { type: DataTypes.STRING, allowNull: false },
+  fromStatus: { type: DataTypes.STRING(32), allowNull: true },
+  toStatus: { type: DataTypes.STRING(32), allowNull: false }, // status yang diminta notifikasi
+  outcome: { type: DataTypes.ENUM("applied", "duplicate", "rejected"), allowNull: false },
+  source: { type: DataTypes.STRING(16), allowNull: false }, // 'checkout', 'webhook', 'reconcile'
+  reason: { type: DataTypes.STRING(255), allowNull: true }, // alasan ditolak
+  entitlement: { type: DataTypes.JSON, allowNull: true }, // { grantedMs, premiumUntil } / { revokedMs, premiumUntil }
+  detail: { type: DataTypes.JSON, allowNull: true } // transaction_id, fraud_status, gross_amount, refund_amount
+}, {
+  updatedAt: false,
+  indexes: [{ fields: ["paymentId"] }, { fields: ["orderId"] }]
+});
+
+export default PaymentEvent;
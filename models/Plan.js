@@ -0,0 +1,17 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// paket berbayar yang bisa dibeli; limits menimpa PLAN_LIMITS.premium (config/plans.js)
+const Plan = sequelize.define("Plan", {
+  name: { type: DataTypes.STRING(64), allowNull: false },
+  slug: { type: DataTypes.STRING(64), allowNull: false, unique: true }, // contoh: 'premium-monthly'
+  description: { type: DataTypes.STRING(500), allowNull: true },
+  price: { type: DataTypes.INTEGER, allowNull: false }, // rupiah
+  duration: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+  durationUnit: { type: DataTypes.ENUM("day", "month"), defaultValue: "month" },
+  limits: { type: DataTypes.JSON, allowNull: true }, // { dailyMessages, maxBroadcastRecipients, maxSessions, media, groups }
+  active: { type: DataTypes.BOOLEAN, defaultValue: true }, // false = tidak bisa dibeli lagi, pelanggan lama tetap jalan
+  sortOrder: { type: DataTypes.INTEGER, defaultValue: 0 }
+});
+
+export default Plan;
@@ -0,0 +1,19 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// kode promo / diskon saat checkout
+const PromoCode = sequelize.define("PromoCode", {
+  code: { type: DataTypes.STRING(32), allowNull: false, unique: true }, // disimpan huruf besar
+  description: { type: DataTypes.STRING(255), allowNull: true },
+  discountType: { type: DataTypes.ENUM("percent", "fixed"), allowNull: false },
+  discountValue: { type: DataTypes.INTEGER, allowNull: false }, // persen (1-100) atau rupiah
+  planIds: { type: DataTypes.JSON, allowNull: true }, // hanya untuk plan tertentu, null = semua
+  maxUses: { type: DataTypes.INTEGER, allowNull: true }, // total pemakaian, null = tanpa batas
+  maxUsesPerUser: { type: DataTypes.INTEGER, allowNull: true, defaultValue: 1 },
+  usedCount: { type: DataTypes.INTEGER, defaultValue: 0 }, // termasuk pembayaran yang masih pending
+  startsAt: { type: DataTypes.DATE, allowNull: true },
+  expiresAt: { type: DataTypes.DATE, allowNull: true },
+  active: { type: DataTypes.BOOLEAN, defaultValue: true }
+});
+
+export default PromoCode;
@@ -0,0 +1,20 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// refresh token (hash SHA-256); familyId sama untuk semua hasil rotasi dari satu login
+const RefreshToken = sequelize.define("RefreshToken", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  tokenHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+  familyId: { type: DataTypes.STRING(36), allowNull: false },
+  expiresAt: { type: DataTypes.DATE, allowNull: false },
+  revokedAt: { type: DataTypes.DATE, allowNull: true },
+  revokedReason: { type: DataTypes.STRING(64), allowNull: true }, // rotated, logout, logout_all, password_reset, ...
+  replacedById: { type: DataTypes.INTEGER, allowNull: true }, // token baru hasil rotasi
+  userAgent: { type: DataTypes.STRING, allowNull: true },
+  ip: { type: DataTypes.STRING(64), allowNull: true },
+  lastUsedAt: { type: DataTypes.DATE, allowNull: true }
+}, {
+  indexes: [{ fields: ["userId"] }, { fields: ["familyId"] }]
+});
+
+export default RefreshToken;
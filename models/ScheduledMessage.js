@@ -0,0 +1,23 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+const ScheduledMessage = sequelize.define("ScheduledMessage", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  sessionId: { type: DataTypes.STRING(32), allowNull: false, defaultValue: "default" },
+  to: { type: DataTypes.STRING, allowNull: false },
+  type: { type: DataTypes.ENUM("text", "media"), allowNull: false },
+  content: { type: DataTypes.JSON, allowNull: false }, // { text } atau { url|base64, filename, caption }
+  sendAt: { type: DataTypes.DATE, allowNull: true }, // sekali kirim
+  cron: { type: DataTypes.STRING, allowNull: true }, // berulang, contoh: '0 9 * * 1-5'
+  timezone: { type: DataTypes.STRING, allowNull: false, defaultValue: "Asia/Jakarta" },
+  status: { type: DataTypes.ENUM("active", "completed", "cancelled"), defaultValue: "active" },
+  nextRunAt: { type: DataTypes.DATE, allowNull: true },
+  lastRunAt: { type: DataTypes.DATE, allowNull: true },
+  lastStatus: { type: DataTypes.ENUM("sent", "failed", "skipped"), allowNull: true },
+  lastError: { type: DataTypes.TEXT, allowNull: true }, // alasan gagal / skip
+  runCount: { type: DataTypes.INTEGER, defaultValue: 0 }
+}, {
+  indexes: [{ fields: ["status", "nextRunAt"] }]
+});
+
+export default ScheduledMessage;
@@ -0,0 +1,13 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// pemakaian harian per user (dipakai untuk kuota plan)
+const Usage = sequelize.define("Usage", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  date: { type: DataTypes.DATEONLY, allowNull: false },
+  messages: { type: DataTypes.INTEGER, defaultValue: 0 }
+}, {
+  indexes: [{ unique: true, fields: ["userId", "date"] }]
+});
+
+export default Usage;
@@ -10,8 +10,21 @@ const User = sequelize.define("User", {
   role: { type: DataTypes.ENUM("admin", "user"), defaultValue: "user" }, // ✅ Role baru
   premium: { type: DataTypes.BOOLEAN, defaultValue: false },
   premiumUntil: { type: DataTypes.DATE, allowNull: true },
+  planId: { type: DataTypes.INTEGER, allowNull: true }, // plan yang terakhir dibeli, limit-nya dipakai selama premium aktif
+  premiumRemindedUntil: { type: DataTypes.DATE, allowNull: true }, // premiumUntil yang sudah diingatkan
+  premiumRemindedDays: { type: DataTypes.INTEGER, allowNull: true }, // pengingat terakhir: H-7, H-1, ...
   resetToken: { type: DataTypes.STRING, allowNull: true },
-  resetTokenExp: { type: DataTypes.DATE, allowNull: true }
+  resetTokenExp: { type: DataTypes.DATE, allowNull: true },
+  tokenVersion: { type: DataTypes.INTEGER, defaultValue: 0 }, // dinaikkan = semua access token lama tidak berlaku
+  disabled: { type: DataTypes.BOOLEAN, defaultValue: false }, // dinonaktifkan admin
+  locale: { type: DataTypes.STRING(5), defaultValue: "id" }, // bahasa email: 'id' / 'en'
+  emailVerified: { type: DataTypes.BOOLEAN, defaultValue: true }, // akun lama dianggap terverifikasi, register mengisi false
+  emailVerifiedAt: { type: DataTypes.DATE, allowNull: true },
+  emailVerifyToken: { type: DataTypes.STRING(64), allowNull: true }, // sha256 dari token di link verifikasi
+  emailVerifyExp: { type: DataTypes.DATE, allowNull: true },
+  emailVerifySentAt: { type: DataTypes.DATE, allowNull: true },
+  failedLogins: { type: DataTypes.INTEGER, defaultValue: 0 }, // password salah berturut-turut
+  lockedUntil: { type: DataTypes.DATE, allowNull: true } // login dikunci sampai waktu ini
 });
 
 export default User;
@@ -0,0 +1,26 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+const WaSession = sequelize.define("WaSession", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  sessionId: { type: DataTypes.STRING(32), allowNull: false }, // nama session, contoh: 'sales', 'support'
+  label: { type: DataTypes.STRING, allowNull: true },
+  status: {
+    type: DataTypes.ENUM("disconnected", "connecting", "open", "logged_out"),
+    defaultValue: "disconnected"
+  },
+  phone: { type: DataTypes.STRING, allowNull: true }, // jid nomor WA setelah connect
+  lastConnectedAt: { type: DataTypes.DATE, allowNull: true },
+  suspended: { type: DataTypes.BOOLEAN, defaultValue: false }, // dihentikan karena melebihi batas session plan (premium berakhir)
+  // hasil auto-restore saat server start
+  restoreStatus: {
+    type: DataTypes.ENUM("pending", "restored", "needs_qr", "failed"),
+    allowNull: true
+  },
+  restoreError: { type: DataTypes.STRING, allowNull: true },
+  restoredAt: { type: DataTypes.DATE, allowNull: true }
+}, {
+  indexes: [{ unique: true, fields: ["userId", "sessionId"] }]
+});
+
+export default WaSession;
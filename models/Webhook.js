@@ -0,0 +1,13 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+const Webhook = sequelize.define("Webhook", {
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  url: { type: DataTypes.STRING(2048), allowNull: false },
+  secret: { type: DataTypes.STRING, allowNull: false }, // HMAC secret untuk signature
+  events: { type: DataTypes.JSON, allowNull: true }, // null / [] = semua event
+  description: { type: DataTypes.STRING, allowNull: true },
+  active: { type: DataTypes.BOOLEAN, defaultValue: true }
+});
+
+export default Webhook;
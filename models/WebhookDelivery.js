@@ -0,0 +1,23 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+const WebhookDelivery = sequelize.define("WebhookDelivery", {
+  webhookId: { type: DataTypes.INTEGER, allowNull: false },
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  event: { type: DataTypes.STRING, allowNull: false },
+  payload: { type: DataTypes.JSON, allowNull: false },
+  status: { type: DataTypes.ENUM("pending", "success", "failed"), defaultValue: "pending" },
+  attempts: { type: DataTypes.INTEGER, defaultValue: 0 },
+  responseStatus: { type: DataTypes.INTEGER, allowNull: true },
+  lastError: { type: DataTypes.TEXT, allowNull: true },
+  nextAttemptAt: { type: DataTypes.DATE, allowNull: true },
+  deliveredAt: { type: DataTypes.DATE, allowNull: true },
+  redeliveryOf: { type: DataTypes.INTEGER, allowNull: true } // id delivery asal jika di-redeliver
+}, {
+  indexes: [
+    { fields: ["status", "nextAttemptAt"] },
+    { fields: ["webhookId"] }
+  ]
+});
+
+export default WebhookDelivery;
@@ -0,0 +1,50 @@
+// routes/adminRoutes.js
+import express from "express";
+import {
+  getSessionRestoreStatus, runSessionRestore,
+  getLogRetention, createLogRetentionPolicy, updateLogRetentionPolicy, deleteLogRetentionPolicy,
+  runLogRetentionNow, getLogArchives, downloadLogArchive,
+  getPaymentReconcile, runPaymentReconcileNow,
+  getPremiumExpiry, runPremiumExpiryNow
+} from "../controllers/adminController.js";
+import {
+  listPlansAdmin, createPlan, updatePlan, deletePlan,
+  listPromoCodes, createPromoCode, updatePromoCode, deletePromoCode
+} from "../controllers/planController.js";
+import { verifyToken, verifyAdmin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(verifyToken, verifyAdmin);
+
+router.get("/sessions", getSessionRestoreStatus);
+router.post("/sessions/restore", runSessionRestore);
+
+// log retention & archives
+router.get("/log-retention", getLogRetention);
+router.post("/log-retention", createLogRetentionPolicy);
+router.put("/log-retention/:id", updateLogRetentionPolicy);
+router.delete("/log-retention/:id", deleteLogRetentionPolicy);
+router.post("/log-retention/run", runLogRetentionNow);
+router.get("/log-archives", getLogArchives);
+router.get("/log-archives/:name", downloadLogArchive);
+
+// plans & promo codes
+router.get("/plans", listPlansAdmin);
+router.post("/plans", createPlan);
+router.put("/plans/:id", updatePlan);
+router.delete("/plans/:id", deletePlan);
+router.get("/promo-codes", listPromoCodes);
+router.post("/promo-codes", createPromoCode);
+router.put("/promo-codes/:id", updatePromoCode);
+router.delete("/promo-codes/:id", deletePromoCode);
+
+// pending payments checked against Midtrans
+router.get("/payments/reconcile", getPaymentReconcile);
+router.post("/payments/reconcile", runPaymentReconcileNow);
+
+// premium expiry reminders & downgrades
+router.get("/premium-expiry", getPremiumExpiry);
+router.post("/premium-expiry/run", runPremiumExpiryNow);
+
+export default router;
@@ -0,0 +1,17 @@
+// routes/apiKeyRoutes.js
+import express from "express";
+import { listKeys, createKey, updateKey, rotateKey, revokeKey } from "../controllers/apiKeyController.js";
+import { verifyToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// managed from the dashboard (JWT), not with an API key
+router.use(verifyToken);
+
+router.get("/", listKeys);
+router.post("/", createKey);
+router.put("/:id", updateKey);
+router.post("/:id/rotate", rotateKey);
+router.delete("/:id", revokeKey);
+
+export default router;
@@ -1,22 +1,33 @@
 // routes/authRoutes.js
 import express from "express";
 import {
-  register, login, forgotPassword, resetPassword, updateProfile,
-  getAllUsers, setUserRole, setPremium
+  register, verifyEmail, resendVerification, login, refresh, logout, logoutAll, listSessions, revokeSession,
+  forgotPassword, resetPassword, updateProfile,
+  getAllUsers, setUserRole, setUserStatus, setPremium
 } from "../controllers/authController.js";
 import { verifyToken, verifyAdmin } from "../middleware/authMiddleware.js";
+import { authRateLimit } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
-router.post("/register", register);
-router.post("/login", login);
-router.post("/forgot", forgotPassword);
-router.post("/reset", resetPassword);
+// public routes are limited per IP (config/rateLimits.js)
+router.post("/register", authRateLimit("register"), register);
+router.post("/verify-email", authRateLimit("verifyEmail"), verifyEmail);
+router.post("/verify-email/resend", authRateLimit("verifyEmail"), resendVerification);
+router.post("/login", authRateLimit("login"), login);
+router.post("/refresh", authRateLimit("refresh"), refresh);
+router.post("/logout", logout);
+router.post("/logout-all", verifyToken, logoutAll);
+router.get("/sessions", verifyToken, listSessions);
+router.delete("/sessions/:id", verifyToken, revokeSession);
+router.post("/forgot", authRateLimit("forgot"), forgotPassword);
+router.post("/reset", authRateLimit("reset"), resetPassword);
 router.put("/profile", verifyToken, updateProfile);
 
 // admin
 router.get("/users", verifyToken, verifyAdmin, getAllUsers);
 router.put("/users/role", verifyToken, verifyAdmin, setUserRole);
+router.put("/users/status", verifyToken, verifyAdmin, setUserStatus);
 router.put("/users/premium", verifyToken, verifyAdmin, setPremium);
 
 export default router;
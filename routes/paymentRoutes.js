@@ -1,14 +1,27 @@
 // routes/paymentRoutes.js
 import express from "express";
 import { verifyToken } from "../middleware/authMiddleware.js";
-import { createPremiumPaymentQRIS, midtransNotification } from "../controllers/paymentController.js";
+import {
+  listPlans, checkPromoCode, createCheckout, createPremiumPaymentQRIS, midtransNotification,
+  paymentHistory, getPayment, downloadInvoice
+} from "../controllers/paymentController.js";
 
 const router = express.Router();
 
-// protected: create order
-router.post("/qris", verifyToken, createPremiumPaymentQRIS);
+// public: plans that can be bought
+router.get("/plans", listPlans);
+
+// protected: check a promo code, create order (QRIS, VA, GoPay, ShopeePay)
+router.post("/promo/check", verifyToken, checkPromoCode);
+router.post("/checkout", verifyToken, createCheckout);
+router.post("/qris", verifyToken, createPremiumPaymentQRIS); // = /checkout with method "qris", default plan when planId is omitted
 
 // webhook: public, set in Midtrans dashboard
 router.post("/midtrans-notification", midtransNotification);
 
+// protected: the user's orders (keep /:orderId last)
+router.get("/history", verifyToken, paymentHistory);
+router.get("/:orderId/invoice", verifyToken, downloadInvoice);
+router.get("/:orderId", verifyToken, getPayment);
+
 export default router;
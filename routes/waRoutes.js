@@ -1,12 +1,88 @@
 // routes/waRoutes.js
 import express from "express";
 import waRouter from "../controllers/waController.js"; // file must export router
-import { verifyApiKey } from "../middleware/authMiddleware.js";
+import {
+  createBroadcast, listBroadcasts, getBroadcast, streamBroadcast,
+  pauseBroadcast, resumeBroadcast, cancelBroadcast
+} from "../controllers/broadcastController.js";
+import {
+  createSchedule, listSchedules, getSchedule, updateSchedule, cancelSchedule
+} from "../controllers/scheduleController.js";
+import {
+  createTemplate, listTemplates, getTemplate, updateTemplate, deleteTemplate, previewTemplate
+} from "../controllers/templateController.js";
+import {
+  createList, listLists, getList, updateList, deleteList,
+  addContacts, importCsv, updateContact, removeContact, resolveBroadcastAudience
+} from "../controllers/listController.js";
+import {
+  createRule, listRules, getRule, updateRule, deleteRule, testRules, listConversations, resetConversation
+} from "../controllers/autoReplyController.js";
+import { sendOtp, verifyOtp } from "../controllers/otpController.js";
+import { apiKeyFromQuery, verifyApiKey, requireScope } from "../middleware/authMiddleware.js";
+import { broadcastSize, broadcastSizeLimit, messageQuota } from "../middleware/planLimits.js";
 
 const router = express.Router();
 
-// allow qr-stream (EventSource) via query param ?apiKey=
-router.use("/qr-stream", waRouter);
+// allow qr-stream (EventSource) and qr.png (<img src>) via query param ?apiKey=
+router.get(["/qr-stream", "/qr.png"], apiKeyFromQuery, verifyApiKey, waRouter);
+
+// broadcast jobs (background queue)
+router.post(
+  "/broadcast",
+  verifyApiKey,
+  requireScope("send"),
+  resolveBroadcastAudience,
+  broadcastSizeLimit,
+  messageQuota(broadcastSize),
+  createBroadcast
+);
+router.get("/broadcast", verifyApiKey, requireScope("read"), listBroadcasts);
+router.get("/broadcast/:id", verifyApiKey, requireScope("read"), getBroadcast);
+router.get("/broadcast/:id/stream", verifyApiKey, requireScope("read"), streamBroadcast);
+router.post("/broadcast/:id/pause", verifyApiKey, requireScope("send"), pauseBroadcast);
+router.post("/broadcast/:id/resume", verifyApiKey, requireScope("send"), resumeBroadcast);
+router.post("/broadcast/:id/cancel", verifyApiKey, requireScope("send"), cancelBroadcast);
+
+// scheduled & recurring messages
+router.post("/schedules", verifyApiKey, requireScope("send"), createSchedule);
+router.get("/schedules", verifyApiKey, requireScope("read"), listSchedules);
+router.get("/schedules/:id", verifyApiKey, requireScope("read"), getSchedule);
+router.put("/schedules/:id", verifyApiKey, requireScope("send"), updateSchedule);
+router.delete("/schedules/:id", verifyApiKey, requireScope("send"), cancelSchedule);
+
+// message templates
+router.post("/templates", verifyApiKey, requireScope("session"), createTemplate);
+router.get("/templates", verifyApiKey, requireScope("read"), listTemplates);
+router.get("/templates/:id", verifyApiKey, requireScope("read"), getTemplate);
+router.put("/templates/:id", verifyApiKey, requireScope("session"), updateTemplate);
+router.delete("/templates/:id", verifyApiKey, requireScope("session"), deleteTemplate);
+router.post("/templates/:id/preview", verifyApiKey, requireScope("read"), previewTemplate);
+
+// contact lists (audiences)
+router.post("/lists", verifyApiKey, requireScope("session"), createList);
+router.get("/lists", verifyApiKey, requireScope("read"), listLists);
+router.get("/lists/:id", verifyApiKey, requireScope("read"), getList);
+router.put("/lists/:id", verifyApiKey, requireScope("session"), updateList);
+router.delete("/lists/:id", verifyApiKey, requireScope("session"), deleteList);
+router.post("/lists/:id/contacts", verifyApiKey, requireScope("session"), addContacts);
+router.post("/lists/:id/import", verifyApiKey, requireScope("session"), importCsv);
+router.put("/lists/:id/contacts/:contactId", verifyApiKey, requireScope("session"), updateContact);
+router.delete("/lists/:id/contacts/:contactId", verifyApiKey, requireScope("session"), removeContact);
+
+// auto-reply rules & chatbot flows
+router.post("/autoreplies", verifyApiKey, requireScope("session"), createRule);
+router.get("/autoreplies", verifyApiKey, requireScope("read"), listRules);
+router.post("/autoreplies/test", verifyApiKey, requireScope("read"), testRules);
+router.get("/autoreplies/conversations", verifyApiKey, requireScope("read"), listConversations);
+router.delete("/autoreplies/conversations/:jid", verifyApiKey, requireScope("session"), resetConversation);
+router.get("/autoreplies/:id", verifyApiKey, requireScope("read"), getRule);
+router.put("/autoreplies/:id", verifyApiKey, requireScope("session"), updateRule);
+router.delete("/autoreplies/:id", verifyApiKey, requireScope("session"), deleteRule);
+
+// one-time codes over WhatsApp
+router.post("/otp/send", verifyApiKey, requireScope("send"), messageQuota(), sendOtp);
+router.post("/otp/verify", verifyApiKey, requireScope("send"), verifyOtp);
 
 // protect other WA endpoints with API key
 router.use("/", verifyApiKey, waRouter);
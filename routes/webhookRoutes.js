@@ -0,0 +1,20 @@
+// routes/webhookRoutes.js
+import express from "express";
+import {
+  createWebhook, listWebhooks, updateWebhook, deleteWebhook,
+  listDeliveries, redeliverDelivery
+} from "../controllers/webhookController.js";
+import { verifyApiKey, requireScope } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(verifyApiKey, requireScope("session"));
+
+router.get("/", listWebhooks);
+router.post("/", createWebhook);
+router.put("/:id", updateWebhook);
+router.delete("/:id", deleteWebhook);
+router.get("/:id/deliveries", listDeliveries);
+router.post("/deliveries/:deliveryId/redeliver", redeliverDelivery);
+
+export default router;
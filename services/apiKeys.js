@@ -0,0 +1,163 @@
+// services/apiKeys.js
+import crypto from "crypto";
+import net from "net";
+import ApiKey from "../models/ApiKey.js";
+import User from "../models/User.js";
+import { REQUIRE_EMAIL_VERIFICATION } from "../config/auth.js";
+
+/**
+ * Scoped API keys.
+ *
+ * Keys are random strings ("wak_..."); only their SHA-256 hash is stored, so
+ * a key is shown once, when it is created or rotated. Every request looks the
+ * key up again, so revocation, rotation and scope changes apply immediately.
+ * Long-lived responses (SSE streams) opened with a key are tracked and closed
+ * when that key changes.
+ *
+ * Scopes:
+ *   send    - send messages, broadcasts, schedules, OTP codes, read receipts / presence
+ *   read    - chats, messages, contacts, status, usage, job / config listings
+ *   groups  - group management
+ *   session - connect / logout / sessions, profile, contacts blocking and
+ *             session configuration (webhooks, templates, lists, auto-replies)
+ *   full    - everything
+ */
+
+export const API_KEY_SCOPES = ["send", "read", "groups", "session", "full"];
+const KEY_PREFIX = "wak_";
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+const openResponses = new Map(); // apiKeyId -> Set(res)
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+export function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+export function generateApiKey() {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  return { key, prefix: key.slice(0, 10), keyHash: hashApiKey(key) };
+}
+
+function normalizeIp(ip) {
+  const s = String(ip || "");
+  return s.startsWith("::ffff:") && net.isIPv4(s.slice(7)) ? s.slice(7) : s;
+}
+
+/**
+ * "203.0.113.5", "10.0.0.0/8", "2001:db8::/32" -> true when valid
+ */
+export function isValidIpRule(rule) {
+  const [addr, bits] = String(rule).split("/");
+  const family = net.isIP(addr);
+  if (!family) return false;
+  if (bits === undefined) return true;
+  const n = Number(bits);
+  return Number.isInteger(n) && n >= 0 && n <= (family === 4 ? 32 : 128);
+}
+
+export function ipAllowed(allowlist, ip) {
+  if (!Array.isArray(allowlist) || !allowlist.length) return true;
+  const addr = normalizeIp(ip);
+  const family = net.isIP(addr);
+  if (!family) return false;
+
+  const list = new net.BlockList();
+  for (const rule of allowlist) {
+    const [base, bits] = String(rule).split("/");
+    const ruleFamily = net.isIP(base);
+    if (!ruleFamily) continue;
+    const type = ruleFamily === 4 ? "ipv4" : "ipv6";
+    if (bits === undefined) list.addAddress(base, type);
+    else list.addSubnet(base, Number(bits), type);
+  }
+  return list.check(addr, family === 4 ? "ipv4" : "ipv6");
+}
+
+export function hasScope(scopes, ...wanted) {
+  if (!Array.isArray(scopes)) return false;
+  return scopes.includes("full") || wanted.some(s => scopes.includes(s));
+}
+
+/* ----------------------------
+   Lookup
+   ---------------------------- */
+/**
+ * Plain key + client ip -> { apiKey, user } or { error, status }
+ */
+export async function authenticateApiKey(key, ip) {
+  const apiKey = await ApiKey.findOne({ where: { keyHash: hashApiKey(key) } });
+  if (!apiKey) return { error: "Invalid API key", status: 401 };
+  if (apiKey.revokedAt) return { error: "API key revoked", status: 401 };
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return { error: "API key expired", status: 401 };
+  if (!ipAllowed(apiKey.ipAllowlist, ip)) return { error: "IP address not allowed for this API key", status: 403 };
+
+  const user = await User.findByPk(apiKey.userId, { attributes: ["id", "role", "disabled", "emailVerified"] });
+  if (!user) return { error: "Invalid API key", status: 401 };
+  if (user.disabled) return { error: "Account disabled", status: 403 };
+  if (REQUIRE_EMAIL_VERIFICATION && user.emailVerified === false) return { error: "Email not verified", status: 403 };
+
+  if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() > LAST_USED_THROTTLE_MS) {
+    ApiKey.update({ lastUsedAt: new Date(), lastUsedIp: normalizeIp(ip) }, { where: { id: apiKey.id } })
+      .catch(err => console.error("apiKey lastUsed err:", err));
+  }
+  return { apiKey, user };
+}
+
+/* ----------------------------
+   Open streams
+   ---------------------------- */
+export function trackResponse(apiKeyId, res) {
+  if (!openResponses.has(apiKeyId)) openResponses.set(apiKeyId, new Set());
+  openResponses.get(apiKeyId).add(res);
+  res.on("close", () => {
+    const set = openResponses.get(apiKeyId);
+    if (!set) return;
+    set.delete(res);
+    if (set.size === 0) openResponses.delete(apiKeyId);
+  });
+}
+
+/**
+ * End every response still open for a key (after revoke / rotate / update)
+ */
+export function closeKeyResponses(apiKeyId) {
+  const set = openResponses.get(apiKeyId);
+  if (!set) return 0;
+  const count = set.size;
+  for (const res of set) {
+    try {
+      if (res.headersSent) {
+        res.write(`event: revoked\ndata: ${JSON.stringify({ reason: "API key changed or revoked" })}\n\n`);
+      }
+      res.end();
+    } catch {}
+  }
+  openResponses.delete(apiKeyId);
+  return count;
+}
+
+/* ----------------------------
+   Legacy keys
+   ---------------------------- */
+/**
+ * Users created before scoped keys only have User.apiKey. Register it as a
+ * "full" key named "default" so it keeps working (and can be revoked).
+ */
+export async function migrateLegacyApiKeys() {
+  const users = await User.findAll({ attributes: ["id", "apiKey"] });
+  const withKeys = new Set((await ApiKey.findAll({ attributes: ["userId"], group: ["userId"], raw: true })).map(r => r.userId));
+  const rows = users
+    .filter(u => u.apiKey && !withKeys.has(u.id))
+    .map(u => ({
+      userId: u.id,
+      name: "default",
+      prefix: u.apiKey.slice(0, 10),
+      keyHash: hashApiKey(u.apiKey),
+      scopes: ["full"]
+    }));
+  if (rows.length) await ApiKey.bulkCreate(rows, { ignoreDuplicates: true });
+  return rows.length;
+}
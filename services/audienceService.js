@@ -0,0 +1,222 @@
+// services/audienceService.js
+import { Op } from "sequelize";
+import sequelize from "../config/db.js";
+import ContactList from "../models/ContactList.js";
+import ListContact from "../models/ListContact.js";
+
+/**
+ * Contact lists (audiences): CSV parsing, phone normalization, import with
+ * dedupe, and resolving a list / tag filter into broadcast recipients.
+ */
+
+const NAME_COLUMNS = ["name", "nama", "full_name", "fullname"];
+const PHONE_COLUMNS = ["phone", "phone_number", "telepon", "telp", "no_hp", "nohp", "hp", "whatsapp", "wa", "number", "nomor"];
+const TAG_COLUMNS = ["tags", "tag", "label", "labels"];
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and
+ * newlines inside quotes. Delimiter "," or ";" (detected from the header).
+ * -> array of rows (array of strings)
+ */
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0] || "";
+  const delimiter = (firstLine.split(";").length > firstLine.split(",").length) ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => v.trim() !== ""));
+}
+
+function normalizeKey(key) {
+  return String(key).trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+
+/**
+ * "0812-3456-789", "+62 812...", "812..." -> "62812..." (Indonesia default), null if invalid
+ */
+export function normalizePhone(input) {
+  let digits = String(input || "").split("@")[0].replace(/\D/g, "");
+  if (digits.startsWith("0")) digits = "62" + digits.slice(1);
+  else if (digits.startsWith("8")) digits = "62" + digits;
+  if (digits.length < 8 || digits.length > 15) return null;
+  return digits;
+}
+
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(/[;,|]/);
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * CSV text -> [{ name, phone, tags, fields, row }] using the header row
+ */
+export function csvToContacts(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { error: "CSV is empty" };
+  const keys = header.map(normalizeKey);
+  const phoneIdx = keys.findIndex(k => PHONE_COLUMNS.includes(k));
+  if (phoneIdx === -1) return { error: `CSV needs a phone column (${PHONE_COLUMNS.slice(0, 4).join(", ")}, ...)` };
+  const nameIdx = keys.findIndex(k => NAME_COLUMNS.includes(k));
+  const tagIdx = keys.findIndex(k => TAG_COLUMNS.includes(k));
+
+  const contacts = rows.map((values, i) => {
+    const fields = {};
+    keys.forEach((k, idx) => {
+      if (!k || idx === phoneIdx || idx === nameIdx || idx === tagIdx) return;
+      const v = (values[idx] ?? "").trim();
+      if (v !== "") fields[k] = v;
+    });
+    return {
+      row: i + 2, // 1-based, after header
+      phone: values[phoneIdx],
+      name: nameIdx >= 0 ? (values[nameIdx] || "").trim() || null : null,
+      tags: tagIdx >= 0 ? normalizeTags(values[tagIdx]) : [],
+      fields
+    };
+  });
+  return { contacts };
+}
+
+/* ----------------------------
+   Import
+   ---------------------------- */
+/**
+ * Add / update contacts in a list. Same phone (after normalization) is merged:
+ * name and fields are overwritten when given, tags are added.
+ * -> { created, updated, skipped: [{ row, phone, reason }] }
+ */
+export async function importContacts(list, contacts, { tags = [] } = {}) {
+  const extraTags = normalizeTags(tags);
+  const skipped = [];
+  const byPhone = new Map();
+
+  contacts.forEach((c, i) => {
+    const phone = normalizePhone(c.phone);
+    const row = c.row ?? i + 1;
+    if (!phone) return skipped.push({ row, phone: c.phone ?? null, reason: "Invalid phone number" });
+    const prev = byPhone.get(phone);
+    const merged = {
+      name: c.name || prev?.name || null,
+      fields: { ...(prev?.fields || {}), ...(c.fields || {}) },
+      tags: normalizeTags([...(prev?.tags || []), ...normalizeTags(c.tags), ...extraTags])
+    };
+    if (prev) skipped.push({ row, phone, reason: "Duplicate in import (merged)" });
+    byPhone.set(phone, merged);
+  });
+
+  const phones = [...byPhone.keys()];
+  const existing = phones.length
+    ? await ListContact.findAll({ where: { listId: list.id, phone: phones } })
+    : [];
+  const existingByPhone = new Map(existing.map(e => [e.phone, e]));
+
+  let created = 0;
+  let updated = 0;
+  const toCreate = [];
+  await sequelize.transaction(async (transaction) => {
+    for (const [phone, c] of byPhone) {
+      const current = existingByPhone.get(phone);
+      if (current) {
+        await current.update({
+          name: c.name || current.name,
+          fields: { ...(current.fields || {}), ...c.fields },
+          tags: normalizeTags([...(current.tags || []), ...c.tags])
+        }, { transaction });
+        updated++;
+      } else {
+        toCreate.push({
+          listId: list.id,
+          userId: list.userId,
+          phone,
+          jid: `${phone}@s.whatsapp.net`,
+          name: c.name,
+          fields: c.fields,
+          tags: c.tags
+        });
+      }
+    }
+    const CHUNK = 500;
+    for (let i = 0; i < toCreate.length; i += CHUNK) {
+      await ListContact.bulkCreate(toCreate.slice(i, i + CHUNK), { transaction });
+    }
+    created = toCreate.length;
+  });
+
+  return { created, updated, skipped };
+}
+
+/* ----------------------------
+   Targeting
+   ---------------------------- */
+/**
+ * where clause for "contact has every tag"
+ */
+export function tagsWhere(tags) {
+  return normalizeTags(tags).map(tag =>
+    sequelize.where(sequelize.fn("JSON_CONTAINS", sequelize.col("tags"), JSON.stringify(tag)), 1)
+  );
+}
+
+/**
+ * { listId, tags } -> { recipients: [{ to, variables }] } or { error, status }
+ * Variables per recipient: name, phone and every custom field.
+ */
+export async function resolveAudience(userId, { listId, tags }) {
+  const where = { userId };
+  if (listId) {
+    const list = await ContactList.findOne({ where: { id: listId, userId } });
+    if (!list) return { error: "Contact list not found", status: 404 };
+    where.listId = list.id;
+  }
+  const tagFilter = tags ? tagsWhere(tags) : [];
+  if (tagFilter.length) where[Op.and] = tagFilter;
+  // never fall back to "every contact of the user"
+  if (!where.listId && !tagFilter.length) return { error: "listId or at least one tag required", status: 400 };
+
+  const contacts = await ListContact.findAll({ where, order: [["id", "ASC"]] });
+  const seen = new Set();
+  const recipients = [];
+  for (const c of contacts) {
+    if (seen.has(c.jid)) continue;
+    seen.add(c.jid);
+    recipients.push({
+      to: c.jid,
+      variables: { ...(c.fields || {}), name: c.name || "", phone: c.phone }
+    });
+  }
+  return { recipients };
+}
@@ -0,0 +1,186 @@
+// services/authTokens.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { Op } from "sequelize";
+import User from "../models/User.js";
+import RefreshToken from "../models/RefreshToken.js";
+import { JWT_SECRET, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS } from "../config/auth.js";
+
+/**
+ * Dashboard auth: short-lived JWT access tokens + rotating refresh tokens.
+ *
+ * Access tokens carry the user's tokenVersion ("tv"); verifyToken compares it
+ * with the database, so bumping tokenVersion (logout everywhere, password
+ * reset, role change, account disabled) invalidates every access token at
+ * once. Refresh tokens are random strings stored as SHA-256 hashes. Each use
+ * replaces the token with a new one of the same family; presenting a token
+ * that was already rotated is treated as theft and revokes the whole family.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+export function signAccessToken(user) {
+  return jwt.sign({ id: user.id, role: user.role, tv: user.tokenVersion || 0 }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+/**
+ * Verify an access token against the current user row -> { user } or { error }
+ */
+export async function verifyAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return { error: err.name === "TokenExpiredError" ? "Token expired" : "Invalid token" };
+  }
+  const user = await User.findByPk(decoded.id, { attributes: ["id", "role", "tokenVersion", "disabled"] });
+  if (!user || user.disabled) return { error: "Invalid token" };
+  if ((decoded.tv ?? 0) !== (user.tokenVersion || 0)) return { error: "Token revoked" };
+  return { user };
+}
+
+async function createRefreshToken(user, { familyId, userAgent, ip } = {}) {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const row = await RefreshToken.create({
+    userId: user.id,
+    tokenHash: hashToken(token),
+    familyId: familyId || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+    userAgent: userAgent ? String(userAgent).slice(0, 255) : null,
+    ip: ip || null
+  });
+  return { token, row };
+}
+
+function tokenResponse(user, refresh) {
+  const accessToken = signAccessToken(user);
+  return {
+    token: accessToken, // kept for older clients
+    accessToken,
+    accessTokenExpiresIn: ACCESS_TOKEN_TTL,
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.row.expiresAt
+  };
+}
+
+/* ----------------------------
+   Login / refresh / logout
+   ---------------------------- */
+/**
+ * New login session -> { token, accessToken, refreshToken, ... }
+ */
+export async function issueTokens(user, meta = {}) {
+  const refresh = await createRefreshToken(user, meta);
+  return tokenResponse(user, refresh);
+}
+
+/**
+ * Rotate a refresh token -> new token pair, or { error }
+ */
+export async function refreshTokens(token, meta = {}) {
+  const current = await RefreshToken.findOne({ where: { tokenHash: hashToken(token) } });
+  if (!current) return { error: "Invalid refresh token" };
+
+  if (current.revokedAt) {
+    if (current.revokedReason === "rotated") {
+      // an old token came back: someone else may hold the newer one
+      await revokeFamily(current.familyId, "reuse_detected");
+      return { error: "Refresh token reuse detected, please login again" };
+    }
+    return { error: "Refresh token revoked" };
+  }
+  if (new Date(current.expiresAt) <= new Date()) return { error: "Refresh token expired" };
+
+  const user = await User.findByPk(current.userId);
+  if (!user || user.disabled) {
+    await revokeFamily(current.familyId, "account_disabled");
+    return { error: "Account disabled" };
+  }
+
+  const next = await createRefreshToken(user, { ...meta, familyId: current.familyId });
+  // only one concurrent refresh can win the rotation
+  const [updated] = await RefreshToken.update(
+    { revokedAt: new Date(), revokedReason: "rotated", replacedById: next.row.id, lastUsedAt: new Date() },
+    { where: { id: current.id, revokedAt: null } }
+  );
+  if (!updated) {
+    await next.row.destroy();
+    await revokeFamily(current.familyId, "reuse_detected");
+    return { error: "Refresh token reuse detected, please login again" };
+  }
+  return { user, ...tokenResponse(user, next) };
+}
+
+export async function revokeFamily(familyId, reason) {
+  return RefreshToken.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { familyId, revokedAt: null } }
+  );
+}
+
+/**
+ * Logout one session (the family of the given refresh token)
+ */
+export async function revokeRefreshToken(token, reason = "logout") {
+  const row = await RefreshToken.findOne({ where: { tokenHash: hashToken(token) } });
+  if (!row) return null;
+  await revokeFamily(row.familyId, reason);
+  return row;
+}
+
+/**
+ * Invalidate every access and refresh token of a user
+ * (logout everywhere, password reset, role change, account disabled)
+ */
+export async function revokeUserTokens(userId, reason) {
+  await User.increment("tokenVersion", { where: { id: userId } });
+  await RefreshToken.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { userId, revokedAt: null } }
+  );
+}
+
+/**
+ * Active login sessions of a user (one per refresh token family)
+ */
+export async function listUserSessions(userId) {
+  const rows = await RefreshToken.findAll({
+    where: { userId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+    order: [["createdAt", "DESC"]]
+  });
+  return rows.map(r => ({
+    id: r.familyId,
+    userAgent: r.userAgent,
+    ip: r.ip,
+    lastRefreshedAt: r.createdAt,
+    expiresAt: r.expiresAt
+  }));
+}
+
+/**
+ * Daily cleanup of refresh tokens that expired or were revoked over 30 days ago
+ * (kept that long so reuse of a rotated token is still recognized)
+ */
+async function pruneRefreshTokens() {
+  const before = new Date(Date.now() - 30 * DAY_MS);
+  return RefreshToken.destroy({
+    where: { [Op.or]: [{ expiresAt: { [Op.lt]: before } }, { revokedAt: { [Op.lt]: before } }] }
+  });
+}
+
+let cleanupTimer = null;
+
+export function startRefreshTokenCleanup() {
+  if (cleanupTimer) return;
+  const run = () => pruneRefreshTokens().catch(err => console.error("refresh token cleanup err:", err));
+  cleanupTimer = setInterval(run, DAY_MS);
+  cleanupTimer.unref?.();
+  run();
+}
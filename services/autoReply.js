@@ -0,0 +1,406 @@
+// services/autoReply.js
+import { Op } from "sequelize";
+import RE2 from "re2";
+import AutoReplyRule from "../models/AutoReplyRule.js";
+import ConversationState from "../models/ConversationState.js";
+import User from "../models/User.js";
+import { buildMediaMessage, saveLog } from "../controllers/waController.js";
+import { extractText, getMessageType, sendTracked } from "./messageStore.js";
+import { renderText, resolveTemplate } from "./templateService.js";
+import { normalizePhone } from "./audienceService.js";
+import { getUsageToday, recordUsage } from "../middleware/planLimits.js";
+import { getPlan } from "../config/plans.js";
+
+/**
+ * Keyword auto-reply / chatbot rules.
+ *
+ * Every incoming message (messages.upsert, type "notify") is checked against
+ * the session's enabled rules, highest priority first. The first rule whose
+ * pattern and conditions match, and which is not cooling down for that
+ * contact, answers with its response (text, media or template), or starts
+ * its flow: a menu whose options lead to answers or further steps. While a
+ * contact is inside a flow, their messages are answered by the flow and not
+ * by the rules.
+ *
+ * Loop / spam guards: own messages are never answered, each rule has a
+ * per-contact cooldown, and a contact gets at most AUTOREPLY_MAX_PER_MINUTE
+ * auto replies per minute. Cooldowns are kept in memory (reset on restart),
+ * flow state is stored in the DB.
+ */
+
+const MAX_PER_MINUTE = parseInt(process.env.AUTOREPLY_MAX_PER_MINUTE || "5", 10);
+const RULES_TTL_MS = 60 * 1000;
+const DEFAULT_FLOW_TIMEOUT_MIN = 30;
+const DEFAULT_EXIT_KEYWORDS = ["batal", "cancel", "exit"];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const IGNORED_TYPES = ["reaction", "protocol", "unknown"];
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+const rulesCache = new Map(); // "userId:sessionId" -> { rules, at }
+const cooldowns = new Map();  // "userId:sessionId:ruleId:jid" -> last reply (ms)
+const recentReplies = new Map(); // "userId:sessionId:jid" -> [ms, ...] within the last minute
+let pruneTimer = null;
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+export function invalidateRules(userId) {
+  for (const key of rulesCache.keys()) {
+    if (key.startsWith(`${userId}:`)) rulesCache.delete(key);
+  }
+}
+
+async function loadRules(userId, sessionId) {
+  const key = `${userId}:${sessionId}`;
+  const cached = rulesCache.get(key);
+  if (cached && Date.now() - cached.at < RULES_TTL_MS) return cached.rules;
+
+  const rules = await AutoReplyRule.findAll({
+    where: { userId, sessionId, enabled: true },
+    order: [["priority", "DESC"], ["id", "ASC"]]
+  });
+  rulesCache.set(key, { rules, at: Date.now() });
+  return rules;
+}
+
+function toMinutes(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || ""));
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+/**
+ * businessHours: { timezone, days: [1..5] (0 = Sunday), start: "08:00", end: "17:00" }
+ * end before start means the range crosses midnight.
+ */
+export function isWithinBusinessHours(businessHours, date = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone: businessHours.timezone || process.env.SCHEDULE_TIMEZONE || "Asia/Jakarta",
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(date).map(p => [p.type, p.value]));
+
+  const day = WEEKDAYS[parts.weekday];
+  const now = Number(parts.hour) * 60 + Number(parts.minute);
+  const start = toMinutes(businessHours.start ?? "00:00");
+  const end = toMinutes(businessHours.end ?? "23:59");
+  const days = Array.isArray(businessHours.days) ? businessHours.days.map(Number) : [0, 1, 2, 3, 4, 5, 6];
+
+  if (start <= end) return days.includes(day) && now >= start && now <= end;
+  // overnight: the part after midnight belongs to the previous day
+  if (now >= start) return days.includes(day);
+  return now <= end && days.includes((day + 6) % 7);
+}
+
+/**
+ * Regex patterns run on every incoming message, so they are compiled with
+ * RE2, which matches in linear time (no catastrophic backtracking). RE2 has
+ * no backreferences or lookarounds: such patterns fail to compile.
+ * -> RE2, throws on an invalid pattern
+ */
+export function compileRulePattern(pattern, caseSensitive = false) {
+  return new RE2(String(pattern), caseSensitive ? "" : "i");
+}
+
+/**
+ * Pattern match -> { groups } or null. Regex groups become template
+ * variables ({{1}}, {{2}}, ... and named groups).
+ */
+export function matchRule(rule, text) {
+  const input = String(text || "").trim();
+  const norm = (s) => rule.caseSensitive ? s : s.toLowerCase();
+
+  switch (rule.matchType) {
+    case "any":
+      return { groups: {} };
+    case "exact":
+      return norm(input) === norm(String(rule.pattern).trim()) ? { groups: {} } : null;
+    case "contains":
+      return input && norm(input).includes(norm(String(rule.pattern))) ? { groups: {} } : null;
+    case "regex": {
+      let m;
+      try {
+        m = compileRulePattern(rule.pattern, rule.caseSensitive).exec(input);
+      } catch {
+        return null;
+      }
+      if (!m) return null;
+      const groups = { ...(m.groups || {}) };
+      m.slice(1).forEach((v, i) => { if (v !== undefined) groups[String(i + 1)] = v; });
+      return { groups };
+    }
+    default:
+      return null;
+  }
+}
+
+function senderMatches(list, sender) {
+  const phone = normalizePhone(sender);
+  return list.some(s => s === sender || (phone && normalizePhone(s) === phone));
+}
+
+/**
+ * ctx: { jid, sender, isGroup, now }
+ * chatType defaults to "private" so rules don't answer in groups unless asked to.
+ */
+export function conditionsMatch(rule, ctx) {
+  const c = rule.conditions || {};
+  const chatType = c.chatType || "private";
+  if (chatType === "private" && ctx.isGroup) return false;
+  if (chatType === "group" && !ctx.isGroup) return false;
+
+  if (Array.isArray(c.senders) && c.senders.length && !senderMatches(c.senders, ctx.sender)) return false;
+  if (Array.isArray(c.excludeSenders) && senderMatches(c.excludeSenders, ctx.sender)) return false;
+
+  if (c.businessHours) {
+    const inside = isWithinBusinessHours(c.businessHours, ctx.now);
+    if ((c.businessHours.match || "inside") === "inside" ? !inside : inside) return false;
+  }
+  return true;
+}
+
+/**
+ * First rule (rules sorted by priority) matching text and conditions,
+ * skipping rules that are cooling down -> { rule, groups } or null
+ */
+export function findMatchingRule(rules, text, ctx, { ignoreCooldown = false } = {}) {
+  for (const rule of rules) {
+    if (!ignoreCooldown && isCoolingDown(ctx, rule)) continue;
+    const matched = matchRule(rule, text);
+    if (!matched || !conditionsMatch(rule, ctx)) continue;
+    return { rule, groups: matched.groups };
+  }
+  return null;
+}
+
+function cooldownKey(ctx, rule) {
+  return `${ctx.userId}:${ctx.sessionId}:${rule.id}:${ctx.jid}`;
+}
+
+function isCoolingDown(ctx, rule) {
+  const last = cooldowns.get(cooldownKey(ctx, rule));
+  return !!last && Date.now() - last < (rule.cooldownSeconds || 0) * 1000;
+}
+
+// per-contact cap across all rules and flows; true when a reply is allowed
+function takeReplySlot(ctx) {
+  const key = `${ctx.userId}:${ctx.sessionId}:${ctx.jid}`;
+  const now = Date.now();
+  const recent = (recentReplies.get(key) || []).filter(t => now - t < 60 * 1000);
+  if (recent.length >= MAX_PER_MINUTE) {
+    recentReplies.set(key, recent);
+    return false;
+  }
+  recent.push(now);
+  recentReplies.set(key, recent);
+  return true;
+}
+
+function pruneMemory() {
+  const now = Date.now();
+  for (const [key, t] of cooldowns) if (now - t > 24 * 60 * 60 * 1000) cooldowns.delete(key);
+  for (const [key, list] of recentReplies) if (!list.some(t => now - t < 60 * 1000)) recentReplies.delete(key);
+  ConversationState.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } })
+    .catch(err => console.error("autoReply prune err:", err));
+}
+
+export function startAutoReplyPruning() {
+  if (pruneTimer) return;
+  pruneTimer = setInterval(pruneMemory, PRUNE_INTERVAL_MS);
+  pruneTimer.unref?.();
+}
+
+/* ----------------------------
+   Responses
+   ---------------------------- */
+/**
+ * response -> { content } ready for sendTracked, or { error }
+ *   { type: "text", text }
+ *   { type: "media", url, filename, caption }
+ *   { type: "template", templateId, variables }
+ * Placeholders ({{name}}, {{phone}}, {{text}}, regex groups) are filled from variables.
+ */
+export async function renderResponse(userId, response, variables = {}) {
+  if (response.type === "template") {
+    const found = await resolveTemplate(userId, response.templateId, { ...variables, ...(response.variables || {}) });
+    if (found.error) return { error: found.missing ? `${found.error}: ${found.missing.join(", ")}` : found.error };
+    if (found.media) return { content: await buildMediaMessage(found.media), media: true };
+    return { content: { text: found.text } };
+  }
+
+  if (response.type === "media") {
+    const caption = response.caption ? renderText(response.caption, variables) : { text: undefined };
+    if (caption.missing) return { error: `Missing variables: ${caption.missing.join(", ")}` };
+    const content = await buildMediaMessage({ url: response.url, filename: response.filename || "file", caption: caption.text });
+    return { content, media: true };
+  }
+
+  const text = renderText(response.text, variables);
+  if (text.missing) return { error: `Missing variables: ${text.missing.join(", ")}` };
+  return { content: { text: text.text } };
+}
+
+async function sendResponse(sock, ctx, rule, response, variables) {
+  const user = await User.findByPk(ctx.userId);
+  if (!user) return false;
+  const { limits } = getPlan(user);
+  const meta = { ruleId: rule.id, to: ctx.jid };
+
+  if (await getUsageToday(user.id) >= limits.dailyMessages) {
+    await saveLog(ctx.userId, "autoreply_skipped", { ...meta, reason: "Daily message quota exceeded" }, ctx.sessionId);
+    return false;
+  }
+  if (response.type === "media" && !limits.media) {
+    await saveLog(ctx.userId, "autoreply_skipped", { ...meta, reason: "Media not available on current plan" }, ctx.sessionId);
+    return false;
+  }
+
+  try {
+    const rendered = await renderResponse(ctx.userId, response, variables);
+    if (rendered.error) {
+      await saveLog(ctx.userId, "autoreply_failed", { ...meta, error: rendered.error }, ctx.sessionId);
+      return false;
+    }
+    if (rendered.media && !limits.media) {
+      await saveLog(ctx.userId, "autoreply_skipped", { ...meta, reason: "Media not available on current plan" }, ctx.sessionId);
+      return false;
+    }
+    await sendTracked(sock, ctx.userId, ctx.sessionId, ctx.jid, rendered.content);
+    await recordUsage(ctx.userId, 1);
+    await saveLog(ctx.userId, "autoreply_sent", meta, ctx.sessionId);
+    return true;
+  } catch (err) {
+    await saveLog(ctx.userId, "autoreply_failed", { ...meta, error: err.message }, ctx.sessionId);
+    return false;
+  }
+}
+
+/* ----------------------------
+   Flows
+   ----------------------------
+   flow: {
+     start: "menu",
+     timeoutMinutes: 30,
+     exitKeywords: ["batal"],
+     steps: {
+       menu: {
+         message: { type: "text", text: "1. Harga\n2. Alamat" },
+         options: [{ match: ["1", "harga"], response: {...}, next: "stepId" (optional) }],
+         fallback: { type: "text", text: "Balas 1 atau 2" } (optional, default: message again)
+       }
+     }
+   }
+*/
+function flowExpiry(flow) {
+  return new Date(Date.now() + (flow.timeoutMinutes || DEFAULT_FLOW_TIMEOUT_MIN) * 60 * 1000);
+}
+
+async function enterStep(sock, ctx, rule, state, stepId, variables) {
+  const step = rule.flow.steps[stepId];
+  await sendResponse(sock, ctx, rule, step.message, variables);
+  if (!step.options?.length) {
+    if (state) await state.destroy();
+    return;
+  }
+  if (state) {
+    await state.update({ ruleId: rule.id, step: stepId, expiresAt: flowExpiry(rule.flow) });
+  } else {
+    await ConversationState.upsert({
+      userId: ctx.userId,
+      sessionId: ctx.sessionId,
+      jid: ctx.jid,
+      ruleId: rule.id,
+      step: stepId,
+      expiresAt: flowExpiry(rule.flow)
+    });
+  }
+}
+
+/**
+ * Answer a message from a contact inside a flow. Returns false when the
+ * conversation is over / invalid so the rules get a chance instead.
+ */
+async function continueFlow(sock, ctx, state, text, variables) {
+  const rule = await AutoReplyRule.findOne({ where: { id: state.ruleId, userId: ctx.userId, enabled: true } });
+  const step = rule?.flow?.steps?.[state.step];
+  if (!step) {
+    await state.destroy();
+    return false;
+  }
+
+  const input = String(text || "").trim().toLowerCase();
+  const exitKeywords = (rule.flow.exitKeywords || DEFAULT_EXIT_KEYWORDS).map(k => String(k).toLowerCase());
+  if (exitKeywords.includes(input)) {
+    await state.destroy();
+    return true;
+  }
+
+  const option = (step.options || []).find(o =>
+    (Array.isArray(o.match) ? o.match : [o.match]).some(k => String(k).trim().toLowerCase() === input)
+  );
+  if (!option) {
+    await sendResponse(sock, ctx, rule, step.fallback || step.message, variables);
+    await state.update({ expiresAt: flowExpiry(rule.flow) });
+    return true;
+  }
+
+  if (option.response) await sendResponse(sock, ctx, rule, option.response, variables);
+  if (option.next) {
+    await enterStep(sock, ctx, rule, state, option.next, variables);
+  } else {
+    await state.destroy();
+  }
+  return true;
+}
+
+/* ----------------------------
+   Incoming messages
+   ---------------------------- */
+/**
+ * Called for each live incoming message of a session
+ */
+export async function handleIncoming(sock, userId, sessionId, msg) {
+  const jid = msg?.key?.remoteJid;
+  if (!jid || msg.key.fromMe || jid === "status@broadcast" || !msg.message) return;
+  if (IGNORED_TYPES.includes(getMessageType(msg.message))) return;
+
+  const isGroup = jid.endsWith("@g.us");
+  const sender = isGroup ? (msg.key.participant || jid) : jid;
+  const text = extractText(msg.message) || "";
+  const ctx = { userId, sessionId, jid, sender, isGroup, now: new Date() };
+  const variables = {
+    text,
+    phone: sender.split("@")[0],
+    name: msg.pushName || sender.split("@")[0]
+  };
+
+  const state = await ConversationState.findOne({ where: { userId, sessionId, jid } });
+  if (state && new Date(state.expiresAt) <= ctx.now) {
+    await state.destroy();
+  } else if (state) {
+    if (!takeReplySlot(ctx)) return;
+    if (await continueFlow(sock, ctx, state, text, variables)) return;
+  }
+
+  const rules = await loadRules(userId, sessionId);
+  if (!rules.length) return;
+  const found = findMatchingRule(rules, text, ctx);
+  if (!found) return;
+  if (!state && !takeReplySlot(ctx)) return;
+
+  const { rule, groups } = found;
+  cooldowns.set(cooldownKey(ctx, rule), Date.now());
+  Promise.all([
+    AutoReplyRule.increment("hits", { where: { id: rule.id } }),
+    AutoReplyRule.update({ lastTriggeredAt: new Date() }, { where: { id: rule.id } })
+  ]).catch(err => console.error("autoReply stats err:", err));
+
+  const vars = { ...variables, ...groups };
+  if (rule.flow) {
+    await enterStep(sock, ctx, rule, null, rule.flow.start, vars);
+  } else {
+    await sendResponse(sock, ctx, rule, rule.response, vars);
+  }
+}
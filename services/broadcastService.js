@@ -0,0 +1,208 @@
+// services/broadcastService.js
+import BroadcastJob from "../models/BroadcastJob.js";
+import BroadcastRecipient from "../models/BroadcastRecipient.js";
+import { getSession, saveLog, buildMediaMessage } from "../controllers/waController.js";
+import { sendTracked } from "./messageStore.js";
+
+/**
+ * Background broadcast queue.
+ *
+ * Jobs and their recipients live in the DB. Each running job has one loop
+ * that sends to the next queued recipient, then sleeps 60s / ratePerMinute.
+ * The loop re-reads the job status every iteration, so pause/cancel from the
+ * API take effect before the next send. On boot every "running" job is
+ * picked up again from its remaining queued recipients.
+ */
+
+export const DEFAULT_RATE = parseInt(process.env.BROADCAST_RATE_PER_MINUTE || "20", 10);
+export const MAX_RATE = parseInt(process.env.BROADCAST_MAX_RATE_PER_MINUTE || "60", 10);
+const SESSION_WAIT_MS = 5000;
+
+const activeLoops = new Set();        // jobId
+const progressClients = new Map();    // jobId -> Set(res) for SSE
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function jobProgress(job) {
+  return {
+    id: job.id,
+    sessionId: job.sessionId,
+    status: job.status,
+    total: job.total,
+    sent: job.sent,
+    failed: job.failed,
+    queued: Math.max(job.total - job.sent - job.failed, 0),
+    ratePerMinute: job.ratePerMinute,
+    lastError: job.lastError,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+function emitProgress(job) {
+  const clients = progressClients.get(job.id);
+  if (!clients) return;
+  const payload = JSON.stringify(jobProgress(job));
+  for (const res of clients) {
+    try {
+      res.write(`event: progress\n`);
+      res.write(`data: ${payload}\n\n`);
+    } catch (err) {
+      // ignore
+    }
+  }
+}
+
+export function subscribeProgress(jobId, res) {
+  if (!progressClients.has(jobId)) progressClients.set(jobId, new Set());
+  progressClients.get(jobId).add(res);
+  return () => {
+    const clients = progressClients.get(jobId);
+    if (!clients) return;
+    clients.delete(res);
+    if (clients.size === 0) progressClients.delete(jobId);
+  };
+}
+
+/* ----------------------------
+   Job lifecycle
+   ---------------------------- */
+/**
+ * recipients: [{ to, message }] - message is the per-recipient rendered text (null = job.message).
+ * Duplicate numbers are dropped (first one wins).
+ */
+export async function createBroadcastJob(userId, { sessionId, recipients, message, templateId = null, media = null, ratePerMinute }) {
+  const seen = new Set();
+  const unique = [];
+  for (const r of recipients) {
+    const to = String(r.to).trim();
+    if (!to || seen.has(to)) continue;
+    seen.add(to);
+    unique.push({ to, message: r.message ?? null });
+  }
+  const rate = Math.min(Math.max(parseInt(ratePerMinute || DEFAULT_RATE, 10) || DEFAULT_RATE, 1), MAX_RATE);
+
+  const job = await BroadcastJob.create({
+    userId,
+    sessionId,
+    message,
+    templateId,
+    media,
+    ratePerMinute: rate,
+    total: unique.length,
+    status: "running",
+    startedAt: new Date()
+  });
+
+  const CHUNK = 500;
+  for (let i = 0; i < unique.length; i += CHUNK) {
+    await BroadcastRecipient.bulkCreate(
+      unique.slice(i, i + CHUNK).map(r => ({ jobId: job.id, to: r.to, message: r.message, status: "queued" }))
+    );
+  }
+
+  runJob(job.id);
+  return job;
+}
+
+export async function setJobStatus(job, status) {
+  job.status = status;
+  if (status === "cancelled") job.finishedAt = new Date();
+  await job.save();
+  emitProgress(job);
+  if (status === "running") runJob(job.id);
+  return job;
+}
+
+async function finishIfDone(job) {
+  const remaining = await BroadcastRecipient.count({ where: { jobId: job.id, status: "queued" } });
+  if (remaining > 0) return false;
+  job.status = "completed";
+  job.finishedAt = new Date();
+  job.lastError = null;
+  await job.save();
+  emitProgress(job);
+  return true;
+}
+
+/**
+ * Send loop for a single job. Safe to call repeatedly; only one loop per job runs.
+ */
+async function runJob(jobId) {
+  if (activeLoops.has(jobId)) return;
+  activeLoops.add(jobId);
+  try {
+    let mediaBase = null; // media downloaded once per loop, caption set per recipient
+    while (true) {
+      const job = await BroadcastJob.findByPk(jobId);
+      if (!job || job.status !== "running") break;
+
+      const recipient = await BroadcastRecipient.findOne({
+        where: { jobId, status: "queued" },
+        order: [["id", "ASC"]]
+      });
+      if (!recipient) {
+        await finishIfDone(job);
+        break;
+      }
+
+      const sock = getSession(job.userId, job.sessionId);
+      if (!sock) {
+        // keep the job running; it resumes as soon as the session reconnects
+        if (job.lastError !== "Waiting for session to connect") {
+          job.lastError = "Waiting for session to connect";
+          await job.save();
+          emitProgress(job);
+        }
+        await sleep(SESSION_WAIT_MS);
+        continue;
+      }
+
+      try {
+        const text = recipient.message ?? job.message;
+        let content = { text };
+        if (job.media) {
+          if (!mediaBase) mediaBase = await buildMediaMessage(job.media);
+          content = mediaBase.audio ? mediaBase : { ...mediaBase, caption: text };
+        }
+        const result = await sendTracked(sock, job.userId, job.sessionId, recipient.to, content);
+        recipient.status = "sent";
+        recipient.messageId = result?.key?.id || null;
+        recipient.sentAt = new Date();
+        recipient.error = null;
+        job.sent += 1;
+        await saveLog(job.userId, "broadcast_out", { jobId, to: recipient.to }, job.sessionId);
+      } catch (err) {
+        recipient.status = "failed";
+        recipient.error = err.message;
+        job.failed += 1;
+      }
+      await recipient.save();
+      job.lastError = null;
+      await job.save();
+      emitProgress(job);
+
+      await sleep(Math.ceil(60000 / job.ratePerMinute));
+    }
+  } catch (err) {
+    console.error(`broadcast job ${jobId} err:`, err);
+  } finally {
+    activeLoops.delete(jobId);
+  }
+}
+
+/**
+ * Resume every job that was running when the server stopped.
+ */
+export async function startBroadcastWorker() {
+  try {
+    const jobs = await BroadcastJob.findAll({ where: { status: "running" } });
+    for (const job of jobs) runJob(job.id);
+    if (jobs.length) console.log(`📣 Resumed ${jobs.length} broadcast job(s)`);
+  } catch (err) {
+    console.error("startBroadcastWorker err:", err);
+  }
+}
@@ -0,0 +1,115 @@
+// services/emailService.js
+import { sendMail } from "../config/mailer.js";
+import { EMAIL_TEMPLATES, EMAIL_LOCALES, DEFAULT_EMAIL_LOCALE } from "../config/emailTemplates.js";
+
+/**
+ * Transactional emails.
+ *
+ * Every email is rendered from config/emailTemplates.js in the recipient's
+ * locale (User.locale, falling back to MAIL_DEFAULT_LOCALE) into an HTML and
+ * a plain text part, and sent with the transport configured in
+ * config/mailer.js.
+ */
+
+const MAIL_TIMEZONE = process.env.MAIL_TIMEZONE || "Asia/Jakarta";
+const PLACEHOLDER_RE = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+const INTL_LOCALES = { id: "id-ID", en: "en-US" };
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+/**
+ * "en", "en-US", "en-US,en;q=0.9,id;q=0.8" -> supported locale or null
+ */
+export function resolveLocale(input) {
+  for (const part of String(input || "").split(",")) {
+    const lang = part.split(";")[0].trim().toLowerCase().split("-")[0];
+    if (EMAIL_LOCALES.includes(lang)) return lang;
+  }
+  return null;
+}
+
+export function localeOf(user) {
+  return EMAIL_LOCALES.includes(user?.locale) ? user.locale : DEFAULT_EMAIL_LOCALE;
+}
+
+export function formatAmount(amount, locale = DEFAULT_EMAIL_LOCALE) {
+  return new Intl.NumberFormat(INTL_LOCALES[locale], { style: "currency", currency: "IDR", maximumFractionDigits: 0 })
+    .format(Number(amount) || 0);
+}
+
+export function formatDate(date, locale = DEFAULT_EMAIL_LOCALE, { dateOnly = false } = {}) {
+  if (!date) return "-";
+  const style = dateOnly ? { dateStyle: "medium" } : { dateStyle: "long", timeStyle: "short" };
+  return new Intl.DateTimeFormat(INTL_LOCALES[locale], { ...style, timeZone: MAIL_TIMEZONE })
+    .format(new Date(date));
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function fill(text, vars, escape) {
+  return String(text).replace(PLACEHOLDER_RE, (_, name) => {
+    if (vars[name] === undefined || vars[name] === null) throw new Error(`Email variable "${name}" missing`);
+    return escape ? escapeHtml(vars[name]) : String(vars[name]);
+  });
+}
+
+/* ----------------------------
+   Render / send
+   ---------------------------- */
+/**
+ * (template name, locale, variables) -> { subject, html, text, locale }
+ */
+export function renderEmail(name, locale, vars = {}) {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
+  const lang = template[locale] ? locale : DEFAULT_EMAIL_LOCALE;
+  const t = template[lang];
+
+  const subject = fill(t.subject, vars, false);
+  const paragraphs = t.paragraphs || [];
+  const details = t.details || [];
+  const action = t.action ? { label: fill(t.action.label, vars, false), url: fill(t.action.url, vars, false) } : null;
+
+  const html = [
+    `<div style="font-family:Arial,sans-serif;font-size:14px;color:#222;max-width:560px;margin:0 auto">`,
+    ...paragraphs.map(p => `<p>${fill(p, vars, true)}</p>`),
+    details.length
+      ? `<table cellpadding="6" style="border-collapse:collapse">${details.map(([label, value]) =>
+        `<tr><td style="color:#666">${fill(label, vars, true)}</td><td><b>${fill(value, vars, true)}</b></td></tr>`).join("")}</table>`
+      : "",
+    action
+      ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:#25d366;color:#fff;text-decoration:none;border-radius:4px">${escapeHtml(action.label)}</a></p>
+<p style="color:#666;font-size:12px">${escapeHtml(action.url)}</p>`
+      : "",
+    `</div>`
+  ].filter(Boolean).join("\n");
+
+  const text = [
+    ...paragraphs.map(p => fill(p, vars, false)),
+    details.map(([label, value]) => `${fill(label, vars, false)}: ${fill(value, vars, false)}`).join("\n"),
+    action ? `${action.label}: ${action.url}` : ""
+  ].filter(Boolean).join("\n\n");
+
+  return { subject, html, text, locale: lang };
+}
+
+/**
+ * Render a template in the user's locale and send it to user.email.
+ * vars may be a function (locale) => vars, for locale-formatted values;
+ * attachments likewise (an array or (locale) => array).
+ */
+export async function sendTemplateMail(user, name, vars = {}, { attachments } = {}) {
+  const locale = localeOf(user);
+  const values = typeof vars === "function" ? vars(locale) : vars;
+  const files = typeof attachments === "function" ? attachments(locale) : attachments;
+  const { subject, html, text } = renderEmail(name, locale, { username: user.username, ...values });
+  return sendMail(user.email, subject, html, text, files);
+}
@@ -0,0 +1,209 @@
+// services/eventLog.js
+import Log from "../models/Log.js";
+import { extractText, getMessageType, isRedacted, toPlain } from "./messageStore.js";
+
+/**
+ * Structured event log.
+ *
+ * Every entry has the same shape: type (event name, e.g. "message_in"),
+ * category, level, a one-line human readable message (full-text searchable),
+ * the related chat / contact jid when there is one, and a compact meta object.
+ * Raw Baileys payloads are reduced to the fields worth keeping before saving.
+ */
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+export const LOG_CATEGORIES = [
+  "connection", "session", "message", "group", "contact", "profile",
+  "broadcast", "schedule", "autoreply", "otp", "system"
+];
+
+const MAX_META_BYTES = 16 * 1024;
+const MAX_MESSAGE_LENGTH = 500;
+
+// type prefix -> category (first match wins)
+const CATEGORY_PREFIXES = [
+  ["connection_", "connection"], ["qr_", "connection"], ["pairing_", "connection"],
+  ["logged_out", "connection"], ["logout", "connection"],
+  ["session_", "session"],
+  ["message_", "message"], ["mark_read", "message"], ["media_", "message"], ["presence_", "message"],
+  ["group", "group"],
+  ["block", "contact"], ["unblock", "contact"], ["chats_", "contact"],
+  ["profile_", "profile"],
+  ["broadcast_", "broadcast"],
+  ["schedule_", "schedule"],
+  ["autoreply_", "autoreply"],
+  ["otp_", "otp"]
+];
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+function categoryOf(type) {
+  const found = CATEGORY_PREFIXES.find(([prefix]) => type.startsWith(prefix));
+  return found ? found[1] : "system";
+}
+
+function defaultLevel(type) {
+  if (type.endsWith("_failed") || type.endsWith("_error")) return "error";
+  if (type.endsWith("_skipped") || type === "logged_out") return "warn";
+  if (type === "presence_update" || type === "chats_set") return "debug";
+  return "info";
+}
+
+function truncate(text, max = MAX_MESSAGE_LENGTH) {
+  const s = String(text ?? "").replace(/\s+/g, " ").trim();
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+// JSON-safe, size-capped copy of meta
+function compactMeta(meta) {
+  if (meta === undefined || meta === null) return null;
+  let plain;
+  try {
+    plain = toPlain(meta);
+  } catch {
+    return { unserializable: true };
+  }
+  const json = JSON.stringify(plain);
+  if (json.length > MAX_META_BYTES) return { truncated: true, preview: json.slice(0, 2000) };
+  return plain;
+}
+
+function summarizeMessages(messages = []) {
+  return messages.filter(msg => msg?.key).map(msg => ({
+    id: msg.key.id,
+    remoteJid: msg.key.remoteJid,
+    participant: msg.key.participant || undefined,
+    fromMe: !!msg.key.fromMe,
+    pushName: msg.pushName || undefined,
+    messageType: getMessageType(msg.message),
+    text: isRedacted(msg.key.id) ? "[redacted]" : (truncate(extractText(msg.message) || "", 1000) || undefined)
+  }));
+}
+
+/* ----------------------------
+   Per-event descriptions
+   ----------------------------
+   type -> (meta) => { message, jid, level, meta } (all optional)
+*/
+const DESCRIBE = {
+  connection_update: (m) => ({
+    message: `Connection ${m.connection || "update"}${m.qr ? " (QR issued)" : ""}`,
+    meta: {
+      connection: m.connection,
+      qr: m.qr ? true : undefined,
+      isNewLogin: m.isNewLogin,
+      receivedPendingNotifications: m.receivedPendingNotifications,
+      statusCode: m.lastDisconnect?.error?.output?.statusCode
+    },
+    level: "debug"
+  }),
+  connection_close: (m) => {
+    const statusCode = m.lastDisconnect?.error?.output?.statusCode ?? null;
+    const reason = m.lastDisconnect?.error?.message || null;
+    return {
+      message: `Connection closed${statusCode ? ` (${statusCode})` : ""}${reason ? `: ${reason}` : ""}`,
+      meta: { statusCode, reason },
+      level: "warn"
+    };
+  },
+  connection_open: () => ({ message: "Connection open" }),
+  qr_generated: () => ({ message: "QR code generated" }),
+  pairing_code_generated: (m) => ({ message: `Pairing code generated for ${m.phoneNumber}` }),
+  logged_out: () => ({ message: "Logged out from the phone, credentials removed" }),
+  logout: () => ({ message: "Session logged out" }),
+  message_in: (m) => {
+    const messages = summarizeMessages(m.messages);
+    const first = messages[0];
+    const who = first ? (first.pushName || first.remoteJid) : "unknown";
+    const text = first?.text ? `: ${first.text}` : ` (${first?.messageType || "empty"})`;
+    return {
+      message: messages.length > 1
+        ? `${messages.length} messages received (${m.type})`
+        : `${first?.fromMe ? "Message synced to" : "Message from"} ${who}${text}`,
+      jid: first?.remoteJid,
+      meta: { upsertType: m.type, messages },
+      level: m.type === "notify" ? "info" : "debug"
+    };
+  },
+  message_out_text: (m) => ({ message: `Text sent to ${m.to}: ${m.text}`, jid: m.to }),
+  message_out_media: (m) => ({ message: `Media ${m.filename || ""} sent to ${m.to}${m.caption ? `: ${m.caption}` : ""}`, jid: m.to }),
+  message_out_buttons: (m) => ({ message: `Buttons sent to ${m.to}: ${m.text}`, jid: m.to }),
+  message_out_template: (m) => ({ message: `Template message sent to ${m.to}: ${m.text}`, jid: m.to }),
+  mark_read: (m) => ({ message: `Marked ${m.messageId} as read`, jid: m.jid }),
+  media_download: (m) => ({ message: `Media downloaded to ${m.filePath}` }),
+  presence_update: (m) => ({ message: `Presence update from ${m.id}`, jid: m.id }),
+  presence_update_sent: (m) => ({ message: `Presence "${m.p}" sent to ${m.to}`, jid: m.to }),
+  chats_set: (m) => ({ message: `Chats synced (${Array.isArray(m.chats) ? m.chats.length : 0})`, meta: null }),
+  groups_update: (m) => ({
+    message: `Group update: ${(Array.isArray(m) ? m : []).map(g => g.subject || g.id).join(", ")}`,
+    jid: Array.isArray(m) && m.length === 1 ? m[0].id : null
+  }),
+  group_participants_update: (m) => ({
+    message: `Group ${m.id}: ${m.action} ${(m.participants || []).join(", ")}`,
+    jid: m.id
+  }),
+  group_create: (m) => ({ message: `Group "${m.subject}" created` }),
+  group_add: (m) => ({ message: `Added ${(m.participants || []).join(", ")} to ${m.groupId}`, jid: m.groupId }),
+  group_remove: (m) => ({ message: `Removed ${m.participant} from ${m.groupId}`, jid: m.groupId }),
+  group_promote: (m) => ({ message: `Promoted ${m.participant} in ${m.groupId}`, jid: m.groupId }),
+  group_demote: (m) => ({ message: `Demoted ${m.participant} in ${m.groupId}`, jid: m.groupId }),
+  block: (m) => ({ message: `Blocked ${m.jid}`, jid: m.jid }),
+  unblock: (m) => ({ message: `Unblocked ${m.jid}`, jid: m.jid }),
+  profile_update: (m) => ({ message: `Profile name changed to "${m.name}"` }),
+  profile_picture_update: () => ({ message: "Profile picture updated" }),
+  session_create: (m) => ({ message: `Session created${m.label ? ` (${m.label})` : ""}` }),
+  session_delete: () => ({ message: "Session deleted" }),
+  session_restore: (m) => ({
+    message: `Session restore: ${m.restoreStatus}${m.restoreError ? ` (${m.restoreError})` : ""}`,
+    level: m.restoreStatus === "failed" ? "error" : "info"
+  }),
+  broadcast_out: (m) => ({ message: `Broadcast #${m.jobId} sent to ${m.to}`, jid: m.to }),
+  schedule_sent: (m) => ({ message: `Schedule #${m.scheduleId} sent to ${m.to}`, jid: m.to }),
+  schedule_skipped: (m) => ({ message: `Schedule #${m.scheduleId} skipped: ${m.reason}`, jid: m.to }),
+  schedule_failed: (m) => ({ message: `Schedule #${m.scheduleId} failed: ${m.error}`, jid: m.to }),
+  autoreply_sent: (m) => ({ message: `Auto-reply rule #${m.ruleId} answered ${m.to}`, jid: m.to }),
+  autoreply_skipped: (m) => ({ message: `Auto-reply rule #${m.ruleId} skipped: ${m.reason}`, jid: m.to }),
+  autoreply_failed: (m) => ({ message: `Auto-reply rule #${m.ruleId} failed: ${m.error}`, jid: m.to }),
+  otp_sent: (m) => ({ message: `OTP #${m.otpId} (${m.purpose}) ${m.resend ? "resent" : "sent"} to ${m.to}`, jid: m.to }),
+  otp_verified: (m) => ({ message: `OTP #${m.otpId} (${m.purpose}) verified for ${m.to}`, jid: m.to }),
+  otp_failed: (m) => ({ message: `OTP #${m.otpId} (${m.purpose}) failed for ${m.to}: ${m.reason}`, jid: m.to, level: "warn" }),
+  premium_reminder: (m) => ({ message: `Premium expiry reminder sent (${m.daysLeft} day(s) left${m.whatsapp ? ", also via WhatsApp" : ""})` }),
+  premium_expired: (m) => ({
+    message: `Premium expired, downgraded to free${m.suspendedSessions?.length ? `; suspended sessions: ${m.suspendedSessions.join(", ")}` : ""}`,
+    level: "warn"
+  })
+};
+
+/**
+ * (type, raw meta) -> { category, level, message, jid, meta } ready to store
+ */
+export function describeEvent(type, meta = {}) {
+  const raw = meta ?? {};
+  let described = {};
+  try {
+    described = DESCRIBE[type]?.(raw) || {};
+  } catch {
+    described = {};
+  }
+  const jid = described.jid ?? raw.jid ?? raw.to ?? null;
+  return {
+    category: categoryOf(type),
+    level: described.level || defaultLevel(type),
+    message: truncate(described.message || type.replace(/_/g, " ")),
+    jid: typeof jid === "string" ? jid : null,
+    meta: compactMeta(described.meta !== undefined ? described.meta : raw)
+  };
+}
+
+/**
+ * Save one event. Never throws: logging must not break the caller.
+ */
+export async function recordEvent(userId, type, meta = {}, sessionId = null) {
+  try {
+    return await Log.create({ userId, sessionId, type, ...describeEvent(type, meta) });
+  } catch (err) {
+    console.error("recordEvent error:", err);
+    return null;
+  }
+}
@@ -0,0 +1,381 @@
+// services/invoiceService.js
+import Invoice from "../models/Invoice.js";
+import Plan from "../models/Plan.js";
+import PromoCode from "../models/PromoCode.js";
+import User from "../models/User.js";
+import { PdfPage, PAGE_WIDTH } from "./pdf.js";
+import { methodLabel } from "./paymentMethods.js";
+import {
+  sendTemplateMail, localeOf, escapeHtml, formatAmount, formatDate
+} from "./emailService.js";
+import { EMAIL_LOCALES, DEFAULT_EMAIL_LOCALE } from "../config/emailTemplates.js";
+import { INVOICE_PREFIX, INVOICE_TAX_NAME, INVOICE_TAX_RATE, INVOICE_SELLER } from "../config/invoice.js";
+
+/**
+ * Invoices.
+ *
+ * Every paid order gets one numbered invoice (INV/<year>/<sequence>, counted
+ * per year), issued when the plan is granted. Amounts, plan, period, tax and
+ * seller details are copied into the invoice when it is issued, so later
+ * changes to plans or INVOICE_* settings do not alter invoices already sent.
+ * Plan prices include tax: the tax share is calculated back from the total.
+ * Invoices render to HTML or PDF in the id / en locale.
+ */
+
+const NUMBER_RETRIES = 5;
+
+const LABELS = {
+  id: {
+    title: "INVOICE",
+    number: "No. invoice",
+    issuedAt: "Tanggal terbit",
+    orderId: "No. pesanan",
+    billTo: "Ditagihkan kepada",
+    from: "Dari",
+    taxId: "NPWP",
+    description: "Deskripsi",
+    period: "Periode",
+    quantity: "Jml",
+    unitPrice: "Harga",
+    amount: "Total",
+    subtotal: "Subtotal",
+    discount: "Diskon",
+    taxIncluded: "termasuk",
+    total: "Total dibayar",
+    paymentMethod: "Metode pembayaran",
+    paidAt: "Dibayar pada",
+    paid: "LUNAS",
+    footer: "Invoice ini dibuat otomatis dan sah tanpa tanda tangan."
+  },
+  en: {
+    title: "INVOICE",
+    number: "Invoice number",
+    issuedAt: "Issue date",
+    orderId: "Order ID",
+    billTo: "Bill to",
+    from: "From",
+    taxId: "Tax ID",
+    description: "Description",
+    period: "Period",
+    quantity: "Qty",
+    unitPrice: "Unit price",
+    amount: "Amount",
+    subtotal: "Subtotal",
+    discount: "Discount",
+    taxIncluded: "included",
+    total: "Total paid",
+    paymentMethod: "Payment method",
+    paidAt: "Paid at",
+    paid: "PAID",
+    footer: "This invoice was generated automatically and is valid without a signature."
+  }
+};
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+// "Premium (1 bulan)" / "Premium (1 month)"
+export function productName(plan, locale) {
+  if (!plan) return locale === "en" ? "Premium (1 month)" : "Premium (1 bulan)";
+  const unit = locale === "en"
+    ? (plan.durationUnit === "day" ? "day" : "month") + (plan.duration > 1 ? "s" : "")
+    : (plan.durationUnit === "day" ? "hari" : "bulan");
+  return `${plan.name} (${plan.duration} ${unit})`;
+}
+
+// tax share of a tax-inclusive total
+export function taxOf(total, rate = INVOICE_TAX_RATE) {
+  return rate > 0 ? Math.round(total * rate / (100 + rate)) : 0;
+}
+
+export function invoiceNumber(year, sequence) {
+  return `${INVOICE_PREFIX}/${year}/${String(sequence).padStart(6, "0")}`;
+}
+
+export function invoiceFilename(invoice, ext) {
+  return `${invoice.number.replace(/[^A-Za-z0-9-]+/g, "-")}.${ext}`;
+}
+
+function resolveInvoiceLocale(locale) {
+  return EMAIL_LOCALES.includes(locale) ? locale : DEFAULT_EMAIL_LOCALE;
+}
+
+/* ----------------------------
+   Issue
+   ---------------------------- */
+/**
+ * Issue the invoice of a paid order (once: returns the existing one).
+ * period: { periodStart, periodEnd } of the premium time bought, if known.
+ */
+export async function createInvoice(payment, { periodStart = null, periodEnd = null } = {}) {
+  const existing = await Invoice.findOne({ where: { paymentId: payment.id } });
+  if (existing) return existing;
+
+  const user = await User.findByPk(payment.userId);
+  const plan = payment.planId ? await Plan.findByPk(payment.planId) : null;
+  const promo = payment.promoCodeId ? await PromoCode.findByPk(payment.promoCodeId) : null;
+  const unitPrice = payment.originalAmount ?? payment.amount;
+  const paidAt = payment.paidAt || new Date();
+  const start = periodStart || paidAt;
+  const end = periodEnd || (payment.grantedMs > 0 ? new Date(new Date(start).getTime() + Number(payment.grantedMs)) : null);
+
+  const fields = {
+    paymentId: payment.id,
+    orderId: payment.orderId,
+    userId: payment.userId,
+    currency: "IDR",
+    planId: plan?.id || null,
+    planName: plan?.name || "Premium",
+    periodStart: start,
+    periodEnd: end,
+    items: [{
+      planId: plan?.id || null,
+      name: plan?.name || "Premium",
+      duration: plan?.duration || 1,
+      durationUnit: plan?.durationUnit || "month",
+      quantity: 1,
+      unitPrice,
+      amount: unitPrice
+    }],
+    subtotal: unitPrice,
+    discount: payment.discount || 0,
+    promoCode: promo?.code || null,
+    taxName: INVOICE_TAX_RATE > 0 ? INVOICE_TAX_NAME : null,
+    taxRate: INVOICE_TAX_RATE,
+    taxAmount: taxOf(payment.amount),
+    total: payment.amount,
+    paymentMethod: methodLabel(payment.method, payment.notification?.payment_type) || payment.provider,
+    paidAt,
+    seller: { ...INVOICE_SELLER },
+    buyer: user ? { name: user.username, email: user.email } : null
+  };
+
+  // sequence per year; a concurrent issue taking the same number just retries
+  const year = new Date().getFullYear();
+  for (let attempt = 1; ; attempt++) {
+    const sequence = ((await Invoice.max("sequence", { where: { year } })) || 0) + 1;
+    try {
+      return await Invoice.create({
+        ...fields,
+        year,
+        sequence,
+        number: invoiceNumber(year, sequence),
+        issuedAt: new Date()
+      });
+    } catch (err) {
+      if (err.name !== "SequelizeUniqueConstraintError" || attempt >= NUMBER_RETRIES) throw err;
+      const issued = await Invoice.findOne({ where: { paymentId: payment.id } });
+      if (issued) return issued;
+    }
+  }
+}
+
+/**
+ * Email the invoice (payment_receipt template, PDF attached) to the buyer
+ */
+export async function sendInvoiceMail(invoice, user = null) {
+  const recipient = user || await User.findByPk(invoice.userId);
+  if (!recipient) return null;
+  const info = await sendTemplateMail(recipient, "payment_receipt", (locale) => ({
+    invoiceNumber: invoice.number,
+    orderId: invoice.orderId,
+    product: productName(invoice.items[0], locale),
+    amount: formatAmount(invoice.total, locale),
+    method: invoice.paymentMethod || "-",
+    paidAt: formatDate(invoice.paidAt, locale),
+    premiumUntil: formatDate(invoice.periodEnd, locale)
+  }), {
+    attachments: (locale) => [{
+      filename: invoiceFilename(invoice, "pdf"),
+      content: renderInvoicePdf(invoice, locale),
+      contentType: "application/pdf"
+    }]
+  });
+  await invoice.update({ emailedAt: new Date() });
+  return info;
+}
+
+export function invoiceLocaleFor(user, requested) {
+  return requested && EMAIL_LOCALES.includes(requested) ? requested : localeOf(user);
+}
+
+/* ----------------------------
+   Render
+   ---------------------------- */
+/**
+ * Locale-formatted values shared by the HTML and PDF layouts
+ */
+function invoiceView(invoice, locale) {
+  const lang = resolveInvoiceLocale(locale);
+  const t = LABELS[lang];
+  const money = (value) => formatAmount(value, lang);
+  const date = (value) => (value ? formatDate(value, lang) : "-");
+  const day = (value) => (value ? formatDate(value, lang, { dateOnly: true }) : "-");
+  const period = invoice.periodStart ? `${day(invoice.periodStart)} - ${day(invoice.periodEnd)}` : "-";
+  const seller = invoice.seller || {};
+
+  const totals = [[t.subtotal, money(invoice.subtotal)]];
+  if (invoice.discount) {
+    totals.push([invoice.promoCode ? `${t.discount} (${invoice.promoCode})` : t.discount, `- ${money(invoice.discount)}`]);
+  }
+  if (invoice.taxName) {
+    totals.push([`${invoice.taxName} ${Number(invoice.taxRate)}% (${t.taxIncluded})`, money(invoice.taxAmount)]);
+  }
+
+  return {
+    t,
+    meta: [
+      [t.number, invoice.number],
+      [t.issuedAt, date(invoice.issuedAt)],
+      [t.orderId, invoice.orderId]
+    ],
+    seller: [
+      seller.name,
+      seller.address,
+      seller.taxId ? `${t.taxId}: ${seller.taxId}` : "",
+      seller.email
+    ].filter(Boolean),
+    buyer: [invoice.buyer?.name, invoice.buyer?.email].filter(Boolean),
+    items: (invoice.items || []).map(item => ({
+      description: productName(item, lang),
+      period,
+      quantity: String(item.quantity),
+      unitPrice: money(item.unitPrice),
+      amount: money(item.amount)
+    })),
+    totals,
+    total: [t.total, money(invoice.total)],
+    payment: [
+      [t.paymentMethod, invoice.paymentMethod || "-"],
+      [t.paidAt, date(invoice.paidAt)]
+    ]
+  };
+}
+
+export function renderInvoiceHtml(invoice, locale) {
+  const v = invoiceView(invoice, locale);
+  const e = escapeHtml;
+  const rows = (pairs) => pairs.map(([label, value]) =>
+    `<tr><td class="muted">${e(label)}</td><td class="right">${e(value)}</td></tr>`).join("");
+
+  return `<!DOCTYPE html>
+<html lang="${resolveInvoiceLocale(locale)}">
+<head>
+<meta charset="utf-8">
+<title>${e(v.t.title)} ${e(invoice.number)}</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 14px; color: #222; max-width: 760px; margin: 32px auto; padding: 0 16px; }
+  h1 { font-size: 24px; margin: 0; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { padding: 6px 8px; vertical-align: top; }
+  th { text-align: left; background: #f2f2f2; }
+  .items td { border-bottom: 1px solid #ddd; }
+  .right { text-align: right; }
+  .muted { color: #666; }
+  .paid { color: #25a35a; font-weight: bold; font-size: 18px; }
+  .total td { font-weight: bold; font-size: 16px; border-top: 2px solid #222; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<table>
+  <tr>
+    <td><h1>${e(v.t.title)}</h1><div class="muted">${e(invoice.number)}</div></td>
+    <td class="right"><span class="paid">${e(v.t.paid)}</span></td>
+  </tr>
+</table>
+<table style="margin-top:24px">
+  <tr>
+    <td style="width:50%"><div class="muted">${e(v.t.from)}</div>${v.seller.map(line => `<div>${e(line)}</div>`).join("")}</td>
+    <td style="width:50%"><div class="muted">${e(v.t.billTo)}</div>${v.buyer.map(line => `<div>${e(line)}</div>`).join("")}</td>
+  </tr>
+</table>
+<table style="margin-top:16px;width:auto">${v.meta.map(([label, value]) =>
+    `<tr><td class="muted">${e(label)}</td><td>${e(value)}</td></tr>`).join("")}</table>
+<table class="items" style="margin-top:24px">
+  <tr><th>${e(v.t.description)}</th><th>${e(v.t.period)}</th><th class="right">${e(v.t.quantity)}</th><th class="right">${e(v.t.unitPrice)}</th><th class="right">${e(v.t.amount)}</th></tr>
+  ${v.items.map(item => `<tr><td>${e(item.description)}</td><td>${e(item.period)}</td><td class="right">${e(item.quantity)}</td><td class="right">${e(item.unitPrice)}</td><td class="right">${e(item.amount)}</td></tr>`).join("\n  ")}
+</table>
+<table style="margin-top:16px;width:50%;margin-left:auto">
+  ${rows(v.totals)}
+  <tr class="total"><td>${e(v.total[0])}</td><td class="right">${e(v.total[1])}</td></tr>
+</table>
+<table style="margin-top:24px;width:auto">${rows(v.payment)}</table>
+<p class="muted" style="margin-top:32px;font-size:12px">${e(v.t.footer)}</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * -> PDF Buffer (A4, same content as the HTML)
+ */
+export function renderInvoicePdf(invoice, locale) {
+  const v = invoiceView(invoice, locale);
+  const page = new PdfPage();
+  const left = 50;
+  const right = PAGE_WIDTH - 50;
+  const grey = { color: [0.4, 0.4, 0.4] };
+
+  page.text(v.t.title, left, 70, { size: 22, bold: true });
+  page.text(invoice.number, left, 90, grey);
+  page.text(v.t.paid, right, 70, { size: 16, bold: true, align: "right", color: [0.15, 0.64, 0.35] });
+
+  let y = 130;
+  page.text(v.t.from, left, y, grey);
+  page.text(v.t.billTo, 310, y, grey);
+  const partyLines = Math.max(v.seller.length, v.buyer.length);
+  for (let i = 0; i < partyLines; i++) {
+    y += 15;
+    if (v.seller[i]) page.text(v.seller[i], left, y);
+    if (v.buyer[i]) page.text(v.buyer[i], 310, y);
+  }
+
+  y += 30;
+  for (const [label, value] of v.meta) {
+    page.text(label, left, y, grey);
+    page.text(value, 160, y);
+    y += 15;
+  }
+
+  // items
+  y += 20;
+  const cols = { description: left + 6, period: 215, quantity: 400, unitPrice: 470, amount: right - 6 };
+  page.rect(left, y - 13, right - left, 20);
+  page.text(v.t.description, cols.description, y, { bold: true });
+  page.text(v.t.period, cols.period, y, { bold: true });
+  page.text(v.t.quantity, cols.quantity, y, { bold: true, align: "right" });
+  page.text(v.t.unitPrice, cols.unitPrice, y, { bold: true, align: "right" });
+  page.text(v.t.amount, cols.amount, y, { bold: true, align: "right" });
+  for (const item of v.items) {
+    y += 22;
+    page.text(item.description, cols.description, y, { size: 9 });
+    page.text(item.period, cols.period, y, { size: 8 });
+    page.text(item.quantity, cols.quantity, y, { size: 9, align: "right" });
+    page.text(item.unitPrice, cols.unitPrice, y, { size: 9, align: "right" });
+    page.text(item.amount, cols.amount, y, { size: 9, align: "right" });
+    page.line(left, y + 8, right);
+  }
+
+  // totals
+  y += 30;
+  for (const [label, value] of v.totals) {
+    page.text(label, 330, y, grey);
+    page.text(value, right - 6, y, { align: "right" });
+    y += 16;
+  }
+  page.line(330, y - 8, right, { width: 1, color: [0.13, 0.13, 0.13] });
+  y += 8;
+  page.text(v.total[0], 330, y, { size: 12, bold: true });
+  page.text(v.total[1], right - 6, y, { size: 12, bold: true, align: "right" });
+
+  y += 40;
+  for (const [label, value] of v.payment) {
+    page.text(label, left, y, grey);
+    page.text(value, 160, y);
+    y += 15;
+  }
+
+  page.text(v.t.footer, left, 800, { size: 8, ...grey });
+  return page.toBuffer({ title: `${v.t.title} ${invoice.number}` });
+}
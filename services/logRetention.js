@@ -0,0 +1,229 @@
+// services/logRetention.js
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { once } from "events";
+import { Op } from "sequelize";
+import Log from "../models/Log.js";
+import LogRetentionPolicy from "../models/LogRetentionPolicy.js";
+import User from "../models/User.js";
+import { DEFAULT_RETENTION_POLICIES, LOG_ARCHIVE_DIR } from "../config/retention.js";
+
+/**
+ * Log retention.
+ *
+ * Each log row falls under the most specific policy: its type, then its
+ * category, then the default policy. Rows older than the policy's freeDays
+ * (or premiumDays for users with active premium) are removed by a background
+ * job. For policies with archive=true the rows are first written to a gzip
+ * NDJSON file in LOG_ARCHIVE_DIR (one file per run) and only deleted once
+ * that file is complete.
+ */
+
+const INTERVAL_MS = parseInt(process.env.LOG_RETENTION_INTERVAL_MS || String(6 * 60 * 60 * 1000), 10);
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+const MAX_PER_RUN = parseInt(process.env.LOG_RETENTION_MAX_PER_RUN || "200000", 10);
+const BATCH = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let currentRun = null;
+let lastRun = null;
+
+/* ----------------------------
+   Policies
+   ---------------------------- */
+export async function ensureDefaultPolicies() {
+  if (await LogRetentionPolicy.count()) return;
+  await LogRetentionPolicy.bulkCreate(DEFAULT_RETENTION_POLICIES);
+}
+
+/**
+ * Rows a policy is responsible for (more specific policies take precedence)
+ */
+function policyWhere(policy, policies) {
+  const typeTargets = policies.filter(p => p.scope === "type").map(p => p.target);
+  const categoryTargets = policies.filter(p => p.scope === "category").map(p => p.target);
+
+  if (policy.scope === "type") return { type: policy.target };
+  const where = {};
+  if (typeTargets.length) where.type = { [Op.notIn]: typeTargets };
+  if (policy.scope === "category") where.category = policy.target;
+  else if (categoryTargets.length) where.category = { [Op.notIn]: categoryTargets };
+  return where;
+}
+
+async function premiumUserIds() {
+  const users = await User.findAll({
+    where: {
+      premium: true,
+      [Op.or]: [{ premiumUntil: null }, { premiumUntil: { [Op.gt]: new Date() } }]
+    },
+    attributes: ["id"],
+    raw: true
+  });
+  return users.map(u => u.id);
+}
+
+/**
+ * Free / premium variants of a policy -> [{ where, cutoff }]
+ */
+function expiredScopes(policy, policies, premiumIds, now) {
+  const base = policyWhere(policy, policies);
+  const freeCutoff = new Date(now - policy.freeDays * DAY_MS);
+  const premiumCutoff = new Date(now - policy.premiumDays * DAY_MS);
+  if (!premiumIds.length) return [{ ...base, createdAt: { [Op.lt]: freeCutoff } }];
+  return [
+    { ...base, userId: { [Op.notIn]: premiumIds }, createdAt: { [Op.lt]: freeCutoff } },
+    { ...base, userId: premiumIds, createdAt: { [Op.lt]: premiumCutoff } }
+  ];
+}
+
+/* ----------------------------
+   Archive file
+   ---------------------------- */
+function openArchive(startedAt) {
+  let gzip = null;
+  let out = null;
+  let file = null;
+  let rows = 0;
+
+  return {
+    async write(batch) {
+      if (!gzip) {
+        fs.mkdirSync(LOG_ARCHIVE_DIR, { recursive: true });
+        file = path.join(LOG_ARCHIVE_DIR, `logs-${startedAt.toISOString().replace(/[:.]/g, "-")}.ndjson.gz`);
+        gzip = zlib.createGzip();
+        out = fs.createWriteStream(file);
+        gzip.pipe(out);
+      }
+      const chunk = batch.map(row => JSON.stringify(row)).join("\n") + "\n";
+      if (!gzip.write(chunk)) await once(gzip, "drain");
+      rows += batch.length;
+    },
+    async close() {
+      if (!gzip) return null;
+      gzip.end();
+      await once(out, "finish");
+      return { file, rows };
+    }
+  };
+}
+
+/* ----------------------------
+   Run
+   ---------------------------- */
+async function run() {
+  const startedAt = new Date();
+  const now = startedAt.getTime();
+  const summary = { startedAt, finishedAt: null, archived: 0, deleted: 0, archiveFile: null, byPolicy: [], error: null };
+  const archive = openArchive(startedAt);
+  const archivedIds = [];
+  let budget = MAX_PER_RUN;
+
+  try {
+    const policies = await LogRetentionPolicy.findAll({ order: [["id", "ASC"]] });
+    const premiumIds = await premiumUserIds();
+
+    for (const policy of policies) {
+      let count = 0;
+      for (const where of expiredScopes(policy, policies, premiumIds, now)) {
+        if (policy.archive) {
+          // archive in id order; rows are deleted after the file is complete
+          let lastId = 0;
+          while (budget > 0) {
+            const rows = await Log.findAll({
+              where: { ...where, id: { [Op.gt]: lastId } },
+              order: [["id", "ASC"]],
+              limit: Math.min(BATCH, budget),
+              raw: true
+            });
+            if (!rows.length) break;
+            await archive.write(rows);
+            rows.forEach(r => archivedIds.push(r.id));
+            lastId = rows[rows.length - 1].id;
+            count += rows.length;
+            budget -= rows.length;
+            if (rows.length < BATCH) break;
+          }
+        } else {
+          while (budget > 0) {
+            const deleted = await Log.destroy({ where, limit: Math.min(BATCH, budget) });
+            count += deleted;
+            budget -= deleted;
+            summary.deleted += deleted;
+            if (deleted < BATCH) break;
+          }
+        }
+      }
+      summary.byPolicy.push({ id: policy.id, scope: policy.scope, target: policy.target, expired: count });
+    }
+
+    const written = await archive.close();
+    if (written) {
+      summary.archiveFile = path.basename(written.file);
+      summary.archived = written.rows;
+    }
+    for (let i = 0; i < archivedIds.length; i += BATCH) {
+      summary.deleted += await Log.destroy({ where: { id: archivedIds.slice(i, i + BATCH) } });
+    }
+  } catch (err) {
+    console.error("log retention err:", err);
+    summary.error = err.message;
+    await archive.close().catch(() => {});
+  }
+
+  summary.finishedAt = new Date();
+  summary.limited = budget <= 0;
+  lastRun = summary;
+  return summary;
+}
+
+/**
+ * Run retention now. Concurrent calls share the run in progress.
+ */
+export function runLogRetention() {
+  if (!currentRun) {
+    currentRun = run().finally(() => { currentRun = null; });
+  }
+  return currentRun;
+}
+
+export function getRetentionStatus() {
+  return { running: !!currentRun, lastRun, intervalMs: INTERVAL_MS, archiveDir: LOG_ARCHIVE_DIR };
+}
+
+/**
+ * Archive files, newest first -> [{ name, size, createdAt }]
+ */
+export function listArchives() {
+  try {
+    return fs.readdirSync(LOG_ARCHIVE_DIR)
+      .filter(name => name.endsWith(".ndjson.gz"))
+      .map(name => {
+        const stat = fs.statSync(path.join(LOG_ARCHIVE_DIR, name));
+        return { name, size: stat.size, createdAt: stat.mtime };
+      })
+      .sort((a, b) => b.createdAt - a.createdAt);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Absolute path of an archive file, or null for unknown / unsafe names
+ */
+export function archivePath(name) {
+  if (!/^logs-[\w-]+\.ndjson\.gz$/.test(String(name))) return null;
+  const file = path.resolve(LOG_ARCHIVE_DIR, name);
+  return fs.existsSync(file) ? file : null;
+}
+
+export function startLogRetention() {
+  if (timer) return;
+  ensureDefaultPolicies()
+    .catch(err => console.error("log retention seed err:", err));
+  setTimeout(() => runLogRetention(), FIRST_RUN_DELAY_MS).unref?.();
+  timer = setInterval(() => runLogRetention(), INTERVAL_MS);
+  timer.unref?.();
+}
@@ -0,0 +1,378 @@
+// services/messageStore.js
+import { BufferJSON, generateMessageID } from "@whiskeysockets/baileys";
+import Message from "../models/Message.js";
+import Chat from "../models/Chat.js";
+import Contact from "../models/Contact.js";
+
+/**
+ * Persist messages, chats and contacts from Baileys socket events, so
+ * /chats, /messages and /contacts can be served from MySQL.
+ */
+
+const MESSAGE_TYPES = {
+  conversation: "text",
+  extendedTextMessage: "text",
+  imageMessage: "image",
+  videoMessage: "video",
+  audioMessage: "audio",
+  documentMessage: "document",
+  stickerMessage: "sticker",
+  locationMessage: "location",
+  liveLocationMessage: "location",
+  contactMessage: "contact",
+  contactsArrayMessage: "contact",
+  reactionMessage: "reaction",
+  pollCreationMessage: "poll",
+  buttonsMessage: "buttons",
+  templateMessage: "template",
+  listMessage: "list",
+  buttonsResponseMessage: "reply",
+  listResponseMessage: "reply",
+  templateButtonReplyMessage: "reply",
+  protocolMessage: "protocol"
+};
+
+// proto.WebMessageInfo.Status -> stored status
+const WA_STATUS = {
+  0: "failed",     // ERROR
+  1: "pending",    // PENDING
+  2: "server_ack", // SERVER_ACK
+  3: "delivered",  // DELIVERY_ACK
+  4: "read",       // READ
+  5: "read"        // PLAYED
+};
+const STATUS_RANK = { pending: 1, server_ack: 2, delivered: 3, read: 4 };
+const REDACTED_TEXT = "[redacted]";
+const REDACT_TTL_MS = 60 * 60 * 1000;
+
+// outbound message ids whose content must not be stored (e.g. OTP codes) -> expiry
+const redactedIds = new Map();
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+function toDate(ts) {
+  if (!ts) return new Date();
+  const seconds = typeof ts === "number" ? ts : (ts.toNumber?.() ?? Number(ts));
+  return new Date(seconds * 1000);
+}
+
+// JSON-safe copy (Buffers -> base64) that BufferJSON.reviver can restore
+export function toPlain(obj) {
+  return JSON.parse(JSON.stringify(obj, BufferJSON.replacer));
+}
+
+export function fromPlain(obj) {
+  return JSON.parse(JSON.stringify(obj), BufferJSON.reviver);
+}
+
+/**
+ * Strip ephemeral / view-once wrappers
+ */
+export function unwrapMessage(message) {
+  let m = message;
+  for (let i = 0; i < 5 && m; i++) {
+    const inner = m.ephemeralMessage?.message
+      || m.viewOnceMessage?.message
+      || m.viewOnceMessageV2?.message
+      || m.documentWithCaptionMessage?.message
+      || m.editedMessage?.message;
+    if (!inner) break;
+    m = inner;
+  }
+  return m;
+}
+
+export function getMessageType(message) {
+  const m = unwrapMessage(message);
+  if (!m) return "unknown";
+  const key = Object.keys(m).find(k => MESSAGE_TYPES[k]);
+  return key ? MESSAGE_TYPES[key] : (Object.keys(m)[0] || "unknown");
+}
+
+export function extractText(message) {
+  const m = unwrapMessage(message);
+  if (!m) return null;
+  return m.conversation
+    || m.extendedTextMessage?.text
+    || m.imageMessage?.caption
+    || m.videoMessage?.caption
+    || m.documentMessage?.caption
+    || m.buttonsResponseMessage?.selectedDisplayText
+    || m.listResponseMessage?.title
+    || m.templateButtonReplyMessage?.selectedDisplayText
+    || m.reactionMessage?.text
+    || null;
+}
+
+/**
+ * Mark a message id as secret: its text and raw payload are never stored,
+ * including the echo Baileys emits through messages.upsert.
+ */
+export function redactMessageId(messageId) {
+  const now = Date.now();
+  for (const [id, until] of redactedIds) {
+    if (until <= now) redactedIds.delete(id);
+  }
+  redactedIds.set(messageId, now + REDACT_TTL_MS);
+}
+
+export function isRedacted(messageId) {
+  const until = redactedIds.get(messageId);
+  return !!until && until > Date.now();
+}
+
+function isGroupJid(jid) {
+  return typeof jid === "string" && jid.endsWith("@g.us");
+}
+
+/* ----------------------------
+   Messages
+   ---------------------------- */
+export function toMessageRow(userId, sessionId, msg) {
+  if (!msg?.key?.id || !msg.key.remoteJid || !msg.message) return null;
+  if (msg.key.remoteJid === "status@broadcast") return null;
+  const type = getMessageType(msg.message);
+  if (type === "protocol") return null;
+  const redacted = isRedacted(msg.key.id);
+
+  return {
+    userId,
+    sessionId,
+    messageId: msg.key.id,
+    remoteJid: msg.key.remoteJid,
+    participant: msg.key.participant || null,
+    fromMe: !!msg.key.fromMe,
+    direction: msg.key.fromMe ? "out" : "in",
+    type,
+    text: redacted ? REDACTED_TEXT : extractText(msg.message),
+    pushName: msg.pushName || null,
+    timestamp: toDate(msg.messageTimestamp),
+    status: msg.key.fromMe ? (WA_STATUS[msg.status] || "pending") : null,
+    statusUpdatedAt: msg.key.fromMe ? new Date() : null,
+    raw: redacted ? null : toPlain(msg)
+  };
+}
+
+async function touchChat(userId, sessionId, jid, lastMessageAt, { incoming = false } = {}) {
+  const [chat, created] = await Chat.findOrCreate({
+    where: { userId, sessionId, jid },
+    defaults: { userId, sessionId, jid, isGroup: isGroupJid(jid), lastMessageAt }
+  });
+  if (created) return;
+  const fields = {};
+  if (!chat.lastMessageAt || lastMessageAt > chat.lastMessageAt) fields.lastMessageAt = lastMessageAt;
+  if (incoming) fields.unreadCount = (chat.unreadCount || 0) + 1;
+  if (Object.keys(fields).length) await chat.update(fields);
+}
+
+/**
+ * messages.upsert / messaging-history.set
+ * Existing rows (same session + jid + id) only get their content refreshed.
+ */
+export async function storeMessages(userId, sessionId, messages, { live = false } = {}) {
+  try {
+    const rows = (messages || []).map(m => toMessageRow(userId, sessionId, m)).filter(Boolean);
+    if (!rows.length) return;
+
+    await Message.bulkCreate(rows, { updateOnDuplicate: ["type", "text", "pushName", "raw", "updatedAt"] });
+
+    const latest = new Map(); // jid -> { at, incoming }
+    for (const r of rows) {
+      const cur = latest.get(r.remoteJid);
+      if (!cur || r.timestamp > cur.at) latest.set(r.remoteJid, { at: r.timestamp, incoming: live && !r.fromMe });
+    }
+    for (const [jid, { at, incoming }] of latest) {
+      await touchChat(userId, sessionId, jid, at, { incoming });
+    }
+  } catch (err) {
+    console.error("storeMessages err:", err);
+  }
+}
+
+/**
+ * messages.update -> edited content
+ */
+export async function applyMessageEdits(userId, sessionId, updates) {
+  try {
+    for (const { key, update } of updates || []) {
+      if (!key?.id || !update?.message) continue;
+      await Message.update(
+        { text: extractText(update.message), type: getMessageType(update.message) },
+        { where: { userId, sessionId, remoteJid: key.remoteJid, messageId: key.id } }
+      );
+    }
+  } catch (err) {
+    console.error("applyMessageEdits err:", err);
+  }
+}
+
+/* ----------------------------
+   Outbound tracking & delivery status
+   ---------------------------- */
+function contentType(content) {
+  const key = ["text", "image", "video", "audio", "document", "sticker", "location", "contacts", "react"]
+    .find(k => content?.[k] !== undefined);
+  return key === "react" ? "reaction" : key === "contacts" ? "contact" : (key || "unknown");
+}
+
+/**
+ * sock.sendMessage + store the outbound message under its WhatsApp id.
+ * A failed send is stored with status "failed" and the error, then rethrown.
+ * options.redact: store the message without its text (see redactMessageId).
+ */
+export async function sendTracked(sock, userId, sessionId, to, content, options = {}) {
+  const { redact, ...sendOptions } = options;
+  const messageId = sendOptions.messageId || generateMessageID();
+  if (redact) redactMessageId(messageId);
+  try {
+    const result = await sock.sendMessage(to, content, { ...sendOptions, messageId });
+    await storeMessages(userId, sessionId, [result]);
+    return result;
+  } catch (err) {
+    try {
+      await Message.create({
+        userId,
+        sessionId,
+        messageId,
+        remoteJid: to,
+        fromMe: true,
+        direction: "out",
+        type: contentType(content),
+        text: redact ? REDACTED_TEXT : (content?.text || content?.caption || null),
+        timestamp: new Date(),
+        status: "failed",
+        statusUpdatedAt: new Date(),
+        error: err.message
+      });
+    } catch (e) {
+      console.error("sendTracked store err:", e);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Move an outbound message forward (pending -> server_ack -> delivered -> read).
+ * Late or duplicate acks never move it back. Returns the updated row, or null
+ * when nothing changed.
+ */
+export async function applyStatus(userId, sessionId, key, status, at = new Date()) {
+  if (!key?.id || !status) return null;
+  const where = { userId, sessionId, messageId: key.id };
+  if (key.remoteJid) where.remoteJid = key.remoteJid;
+  const msg = await Message.findOne({ where, attributes: { exclude: ["raw"] } });
+  if (!msg || !msg.fromMe) return null;
+
+  const current = msg.status;
+  if (status === "failed") {
+    if (current && STATUS_RANK[current] >= STATUS_RANK.delivered) return null;
+  } else if (current !== "failed" && (STATUS_RANK[current] || 0) >= STATUS_RANK[status]) {
+    return null;
+  }
+
+  const fields = { status, statusUpdatedAt: at };
+  if (status === "delivered" || (status === "read" && !msg.deliveredAt)) fields.deliveredAt = at;
+  if (status === "read") fields.readAt = at;
+  await msg.update(fields);
+  return msg;
+}
+
+/**
+ * messages.update -> [{ key, status, row }] for every status that changed
+ */
+export async function applyStatusUpdates(userId, sessionId, updates) {
+  const changed = [];
+  try {
+    for (const { key, update } of updates || []) {
+      const status = WA_STATUS[update?.status];
+      if (!status) continue;
+      const row = await applyStatus(userId, sessionId, key, status);
+      if (row) changed.push({ key, status, row });
+    }
+  } catch (err) {
+    console.error("applyStatusUpdates err:", err);
+  }
+  return changed;
+}
+
+/**
+ * message-receipt.update (group / multi-device receipts) -> same shape as above
+ */
+export async function applyReceipts(userId, sessionId, receipts) {
+  const changed = [];
+  try {
+    for (const { key, receipt } of receipts || []) {
+      let status = null;
+      let ts = null;
+      if (receipt?.readTimestamp || receipt?.playedTimestamp) {
+        status = "read";
+        ts = receipt.readTimestamp || receipt.playedTimestamp;
+      } else if (receipt?.receiptTimestamp) {
+        status = "delivered";
+        ts = receipt.receiptTimestamp;
+      }
+      if (!status) continue;
+      const row = await applyStatus(userId, sessionId, key, status, toDate(ts));
+      if (row) changed.push({ key, status, row });
+    }
+  } catch (err) {
+    console.error("applyReceipts err:", err);
+  }
+  return changed;
+}
+
+/* ----------------------------
+   Chats & contacts
+   ---------------------------- */
+const pick = (obj, fields) => Object.fromEntries(fields.filter(f => obj[f] !== undefined).map(f => [f, obj[f]]));
+
+/**
+ * chats.upsert / chats.update (partial objects) / messaging-history.set
+ */
+export async function upsertChats(userId, sessionId, chats) {
+  try {
+    for (const c of chats || []) {
+      if (!c?.id) continue;
+      const fields = pick(c, ["name", "unreadCount", "archived", "pinned"]);
+      if (fields.pinned !== undefined) fields.pinned = !!fields.pinned;
+      if (c.conversationTimestamp) fields.lastMessageAt = toDate(c.conversationTimestamp);
+
+      const [chat, created] = await Chat.findOrCreate({
+        where: { userId, sessionId, jid: c.id },
+        defaults: { userId, sessionId, jid: c.id, isGroup: isGroupJid(c.id), ...fields }
+      });
+      if (!created && Object.keys(fields).length) await chat.update(fields);
+    }
+  } catch (err) {
+    console.error("upsertChats err:", err);
+  }
+}
+
+export async function deleteChats(userId, sessionId, jids) {
+  try {
+    if (!jids?.length) return;
+    await Chat.destroy({ where: { userId, sessionId, jid: jids } });
+  } catch (err) {
+    console.error("deleteChats err:", err);
+  }
+}
+
+/**
+ * contacts.upsert / contacts.update / messaging-history.set
+ */
+export async function upsertContacts(userId, sessionId, contacts) {
+  try {
+    for (const c of contacts || []) {
+      if (!c?.id) continue;
+      const fields = pick(c, ["name", "notify", "verifiedName"]);
+      const [contact, created] = await Contact.findOrCreate({
+        where: { userId, sessionId, jid: c.id },
+        defaults: { userId, sessionId, jid: c.id, ...fields }
+      });
+      if (!created && Object.keys(fields).length) await contact.update(fields);
+    }
+  } catch (err) {
+    console.error("upsertContacts err:", err);
+  }
+}
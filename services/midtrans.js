@@ -0,0 +1,52 @@
+// services/midtrans.js
+import axios from "axios";
+import crypto from "crypto";
+import { MIDTRANS_API, MIDTRANS_SERVER_KEY, MIDTRANS_TIMEOUT_MS } from "../config/payment.js";
+
+/**
+ * Midtrans Core API client (charge, transaction status, notification signature).
+ * The base URL comes from config/payment.js.
+ */
+
+function getAuthHeader() {
+  const authString = Buffer.from(MIDTRANS_SERVER_KEY + ":").toString("base64");
+  return `Basic ${authString}`;
+}
+
+const client = axios.create({
+  baseURL: MIDTRANS_API,
+  timeout: MIDTRANS_TIMEOUT_MS,
+  headers: { "Content-Type": "application/json", Accept: "application/json" }
+});
+client.interceptors.request.use((config) => {
+  config.headers.Authorization = getAuthHeader();
+  return config;
+});
+
+export async function charge(payload) {
+  const { data } = await client.post("/charge", payload);
+  return data;
+}
+
+/**
+ * GET /{order_id}/status. Unknown orders come back with status_code "404".
+ */
+export async function getTransactionStatus(orderId) {
+  const { data } = await client.get(`/${encodeURIComponent(orderId)}/status`, {
+    validateStatus: (s) => s < 500
+  });
+  return data;
+}
+
+/**
+ * verify signature_key from midtrans
+ */
+export function verifySignature(notification) {
+  try {
+    const input = notification.order_id + notification.status_code + notification.gross_amount + MIDTRANS_SERVER_KEY;
+    const signature = crypto.createHash("sha512").update(input).digest("hex");
+    return signature === notification.signature_key;
+  } catch (err) {
+    return false;
+  }
+}
@@ -0,0 +1,179 @@
+// services/otpService.js
+import crypto from "crypto";
+import { Op, literal } from "sequelize";
+import OtpCode from "../models/OtpCode.js";
+import { OTP_SECRET } from "../config/auth.js";
+import { renderText, resolveTemplate } from "./templateService.js";
+
+/**
+ * One-time codes sent over WhatsApp.
+ *
+ * Codes are random digits; only an HMAC of phone, purpose and code (keyed with
+ * OTP_SECRET, or a key derived from JWT_SECRET) is stored. A new /otp/send for the same phone and
+ * purpose while a code is still pending is a resend: it replaces the code,
+ * but only after OTP_RESEND_COOLDOWN seconds and at most OTP_MAX_RESENDS
+ * times. Wrong answers count against OTP_MAX_ATTEMPTS for the whole lifetime
+ * of the OTP, resends included.
+ */
+
+export const OTP_DEFAULTS = {
+  length: parseInt(process.env.OTP_DEFAULT_LENGTH || "6", 10),
+  ttlSeconds: parseInt(process.env.OTP_DEFAULT_TTL || "300", 10),
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS || "5", 10),
+  maxResends: parseInt(process.env.OTP_MAX_RESENDS || "3", 10),
+  resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN || "60", 10)
+};
+export const OTP_LIMITS = { minLength: 4, maxLength: 10, minTtl: 30, maxTtl: 3600 };
+export const DEFAULT_OTP_MESSAGE = "Kode verifikasi Anda: {{code}}. Berlaku {{minutes}} menit. Jangan berikan kode ini kepada siapa pun.";
+
+const TOO_MANY_ATTEMPTS = "Too many wrong attempts, request a new code";
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+export function generateCode(length) {
+  let code = "";
+  for (let i = 0; i < length; i++) code += crypto.randomInt(0, 10);
+  return code;
+}
+
+function hashCode(otp, code) {
+  return crypto.createHmac("sha256", OTP_SECRET).update(`${otp.phone}:${otp.purpose}:${code}`).digest("hex");
+}
+
+function codesMatch(otp, code) {
+  const a = Buffer.from(hashCode(otp, String(code).trim()), "hex");
+  const b = Buffer.from(otp.codeHash, "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Message text for a code -> { text } or { error, status, missing }
+ * message: custom text with {{code}} (and optional {{minutes}}, {{purpose}}), or
+ * templateId: a saved template using the same variables
+ */
+export async function buildOtpMessage(userId, { message, templateId, variables = {} }, vars) {
+  const all = { ...variables, ...vars };
+  if (templateId) {
+    const tpl = await resolveTemplate(userId, templateId, all);
+    if (tpl.error) return tpl;
+    if (tpl.media) return { error: "OTP templates must be text templates", status: 400 };
+    if (!tpl.text.includes(vars.code)) return { error: "Template must contain {{code}}", status: 400 };
+    return { text: tpl.text };
+  }
+  const source = message || DEFAULT_OTP_MESSAGE;
+  if (!/\{\{\s*code\s*\}\}/.test(source)) return { error: "message must contain {{code}}", status: 400 };
+  const rendered = renderText(source, all);
+  if (rendered.missing) return { error: "Missing template variables", status: 400, missing: rendered.missing };
+  return { text: rendered.text };
+}
+
+/* ----------------------------
+   Lifecycle
+   ---------------------------- */
+export async function findPendingOtp(userId, phone, purpose) {
+  const otp = await OtpCode.findOne({
+    where: { userId, phone, purpose, status: "pending" },
+    order: [["id", "DESC"]]
+  });
+  if (otp && new Date(otp.expiresAt) <= new Date()) {
+    await otp.update({ status: "expired" });
+    return null;
+  }
+  return otp;
+}
+
+/**
+ * Create a new OTP, or prepare a resend of the pending one.
+ * -> { otp, code, resend } or { error, status, retryAfter }
+ * The caller sends the code, then calls markSent().
+ */
+export async function prepareOtp(userId, { sessionId, phone, purpose, length, ttlSeconds }) {
+  const now = new Date();
+  // the cooldown applies after any send, also when the last code was used up or locked
+  const last = await OtpCode.findOne({ where: { userId, phone, purpose }, order: [["id", "DESC"]] });
+  if (last) {
+    const readyAt = new Date(last.lastSentAt).getTime() + OTP_DEFAULTS.resendCooldownSeconds * 1000;
+    if (now.getTime() < readyAt) {
+      return { error: "Please wait before requesting a new code", status: 429, retryAfter: Math.ceil((readyAt - now.getTime()) / 1000) };
+    }
+  }
+
+  const pending = await findPendingOtp(userId, phone, purpose);
+  const code = generateCode(length);
+  const expiresAt = new Date(now.getTime() + ttlSeconds * 1000);
+
+  if (pending) {
+    if (pending.resends >= OTP_DEFAULTS.maxResends) {
+      return { error: "Maximum number of resends reached", status: 429 };
+    }
+    pending.codeHash = hashCode(pending, code);
+    pending.sessionId = sessionId;
+    pending.expiresAt = expiresAt;
+    pending.resends += 1;
+    return { otp: pending, code, resend: true };
+  }
+
+  const otp = OtpCode.build({
+    userId,
+    sessionId,
+    phone,
+    purpose,
+    codeHash: hashCode({ phone, purpose }, code),
+    maxAttempts: OTP_DEFAULTS.maxAttempts,
+    expiresAt,
+    lastSentAt: now
+  });
+  return { otp, code, resend: false };
+}
+
+export async function markSent(otp, messageId) {
+  otp.lastSentAt = new Date();
+  otp.messageId = messageId || null;
+  await otp.save();
+  return otp;
+}
+
+/**
+ * Check a code -> { verified: true, otp } or { error, status, attemptsLeft, locked, otp }
+ * locked: this attempt used up the last try (the OTP is now "failed")
+ * sessions: only OTPs sent through these sessions (session-restricted API keys)
+ */
+export async function verifyOtp(userId, { otpId, phone, purpose, code, sessions = null }) {
+  const where = { userId };
+  if (otpId) where.id = otpId;
+  else Object.assign(where, { phone, purpose });
+  if (sessions) where.sessionId = sessions;
+  const otp = await OtpCode.findOne({ where, order: [["id", "DESC"]] });
+
+  if (!otp) return { error: "No code was sent to this number", status: 404 };
+  if (otp.status === "verified") return { error: "Code already used", status: 409, otp };
+  if (otp.status === "failed") return { error: TOO_MANY_ATTEMPTS, status: 429, attemptsLeft: 0, otp };
+  if (otp.status === "expired" || new Date(otp.expiresAt) <= new Date()) {
+    if (otp.status !== "expired") await otp.update({ status: "expired" });
+    return { error: "Code expired, request a new code", status: 410, otp };
+  }
+
+  // count the attempt first, so parallel guesses can't exceed the limit
+  const [counted] = await OtpCode.update(
+    { attempts: literal("attempts + 1") },
+    { where: { id: otp.id, status: "pending", attempts: { [Op.lt]: otp.maxAttempts } } }
+  );
+  if (!counted) return { error: TOO_MANY_ATTEMPTS, status: 429, attemptsLeft: 0, otp };
+  await otp.reload();
+
+  if (!codesMatch(otp, code)) {
+    const attemptsLeft = Math.max(otp.maxAttempts - otp.attempts, 0);
+    if (attemptsLeft) return { error: "Invalid code", status: 400, attemptsLeft, otp };
+    const [locked] = await OtpCode.update({ status: "failed" }, { where: { id: otp.id, status: "pending" } });
+    return { error: TOO_MANY_ATTEMPTS, status: 429, attemptsLeft: 0, locked: !!locked, otp };
+  }
+
+  // single use: a concurrent correct guess loses here
+  const [won] = await OtpCode.update(
+    { status: "verified", verifiedAt: new Date() },
+    { where: { id: otp.id, status: "pending" } }
+  );
+  if (!won) return { error: "Code already used", status: 409, otp };
+  return { verified: true, otp };
+}
@@ -0,0 +1,96 @@
+// services/paymentMethods.js
+import { PAYMENT_METHODS, PAYMENT_EXPIRY_MINUTES, PAYMENT_CALLBACK_URL } from "../config/payment.js";
+
+/**
+ * Midtrans Core API payment methods.
+ *
+ * Every checkout method maps to one charge payload (buildChargePayload) and
+ * the charge response is turned into what the customer needs to pay
+ * (chargeInstructions): a QR code, a virtual account number or an e-wallet
+ * deeplink, plus the expiry time. Notifications look the same for all of
+ * them, so the webhook and the reconciler do not care about the method.
+ */
+
+export const METHODS = {
+  qris: { kind: "qris", paymentType: "qris", label: "QRIS" },
+  bca_va: { kind: "va", paymentType: "bank_transfer", bank: "bca", label: "BCA Virtual Account" },
+  bni_va: { kind: "va", paymentType: "bank_transfer", bank: "bni", label: "BNI Virtual Account" },
+  bri_va: { kind: "va", paymentType: "bank_transfer", bank: "bri", label: "BRI Virtual Account" },
+  permata_va: { kind: "va", paymentType: "bank_transfer", bank: "permata", label: "Permata Virtual Account" },
+  gopay: { kind: "ewallet", paymentType: "gopay", label: "GoPay" },
+  shopeepay: { kind: "ewallet", paymentType: "shopeepay", label: "ShopeePay" }
+};
+
+export function availableMethods() {
+  return PAYMENT_METHODS.filter(method => METHODS[method]);
+}
+
+export function isAvailableMethod(method) {
+  return availableMethods().includes(method);
+}
+
+// "bca_va" -> "BCA Virtual Account"; Midtrans payment_type as fallback for old orders
+export function methodLabel(method, paymentType = null) {
+  if (METHODS[method]) return METHODS[method].label;
+  const byType = Object.values(METHODS).find(m => m.paymentType === paymentType && !m.bank);
+  return byType?.label || paymentType || null;
+}
+
+/**
+ * Midtrans expiry_time ("2026-10-20 14:00:00", Jakarta time) -> Date
+ */
+export function parseMidtransTime(value) {
+  if (!value) return null;
+  const at = new Date(`${String(value).replace(" ", "T")}+07:00`);
+  return isNaN(at) ? null : at;
+}
+
+/**
+ * Charge payload for a checkout method
+ */
+export function buildChargePayload(method, { orderId, amount, user }) {
+  const { kind, paymentType, bank } = METHODS[method];
+  const payload = {
+    payment_type: paymentType,
+    transaction_details: { order_id: orderId, gross_amount: amount },
+    customer_details: { first_name: user.username, email: user.email },
+    custom_expiry: { expiry_duration: PAYMENT_EXPIRY_MINUTES[kind], unit: "minute" }
+  };
+
+  if (kind === "va") payload.bank_transfer = { bank };
+  if (paymentType === "gopay") {
+    payload.gopay = PAYMENT_CALLBACK_URL ? { enable_callback: true, callback_url: PAYMENT_CALLBACK_URL } : {};
+  }
+  if (paymentType === "shopeepay" && PAYMENT_CALLBACK_URL) payload.shopeepay = { callback_url: PAYMENT_CALLBACK_URL };
+  return payload;
+}
+
+function actionUrl(data, name) {
+  return (data.actions || []).find(a => a.name === name)?.url || null;
+}
+
+/**
+ * Charge response -> { method, kind, label, expiresAt, ...method specific }
+ *   qris:    qrUrl, qrString
+ *   va:      bank, vaNumber
+ *   gopay:   deeplinkUrl, qrUrl (scan from another phone)
+ *   shopeepay: deeplinkUrl
+ */
+export function chargeInstructions(method, data) {
+  const { kind, bank, label } = METHODS[method];
+  const instructions = { method, kind, label, expiresAt: parseMidtransTime(data.expiry_time) };
+
+  if (kind === "qris") {
+    instructions.qrUrl = actionUrl(data, "generate-qr-code") || data.qr_code || null;
+    instructions.qrString = data.qr_string || null;
+  } else if (kind === "va") {
+    // Permata answers with permata_va_number, the other banks with va_numbers[]
+    const va = (data.va_numbers || []).find(v => v.bank === bank) || data.va_numbers?.[0];
+    instructions.bank = bank;
+    instructions.vaNumber = data.permata_va_number || va?.va_number || null;
+  } else {
+    instructions.deeplinkUrl = actionUrl(data, "deeplink-redirect");
+    if (method === "gopay") instructions.qrUrl = actionUrl(data, "generate-qr-code");
+  }
+  return instructions;
+}
@@ -0,0 +1,336 @@
+// services/paymentService.js
+import { Op } from "sequelize";
+import Payment from "../models/Payment.js";
+import PaymentEvent from "../models/PaymentEvent.js";
+import User from "../models/User.js";
+import Plan from "../models/Plan.js";
+import { getTransactionStatus } from "./midtrans.js";
+import { createInvoice, sendInvoiceMail } from "./invoiceService.js";
+import {
+  PAID_STATUSES, UNPAID_FINAL_STATUSES, activatePlan, shortenPremium, releasePromo, retakePromo
+} from "./planService.js";
+import {
+  PAYMENT_RECONCILE_INTERVAL_MS, PAYMENT_RECONCILE_MIN_AGE_MS, PAYMENT_PENDING_TTL_HOURS
+} from "../config/payment.js";
+
+/**
+ * Payment state machine.
+ *
+ * Midtrans notifications (webhook) and the reconciler (polling the
+ * transaction status API for orders still pending) both go through
+ * applyTransactionStatus. Only the transitions in PAYMENT_TRANSITIONS are
+ * applied; repeated notifications are recorded as duplicates and change
+ * nothing, anything else is recorded as rejected. Every transition claims
+ * the row (UPDATE ... WHERE status = previous), so concurrent deliveries
+ * apply it once.
+ *
+ * Entitlements: the first paid status grants the plan once per order,
+ * stores how much premium time it added (grantedMs) and issues the invoice
+ * (services/invoiceService.js), emailed with the receipt. Refund, chargeback or
+ * cancel of a paid order takes that time back; partial refunds / chargebacks
+ * take back the refunded share. Orders still pending after
+ * PAYMENT_PENDING_TTL_HOURS are marked "expire".
+ */
+
+const BATCH = 50;
+const REVERSAL_STATUSES = ["refund", "partial_refund", "chargeback", "partial_chargeback"];
+// statuses that take premium time back when the order was paid
+const REVOKE_STATUSES = ["refund", "chargeback", "cancel", "partial_refund", "partial_chargeback"];
+
+// from -> allowed next statuses (anything missing here is final)
+export const PAYMENT_TRANSITIONS = {
+  pending: ["authorize", "challenge", "capture", "settlement", "deny", "cancel", "expire", "failure", "amount_mismatch"],
+  authorize: ["challenge", "capture", "settlement", "deny", "cancel", "expire"],
+  challenge: ["capture", "settlement", "deny", "cancel", "expire"],
+  capture: ["settlement", "cancel", ...REVERSAL_STATUSES],
+  settlement: ["cancel", ...REVERSAL_STATUSES],
+  success: ["cancel", ...REVERSAL_STATUSES], // legacy paid status
+  partial_refund: REVERSAL_STATUSES,
+  partial_chargeback: REVERSAL_STATUSES,
+  // expired locally by the reconciler, or the charge call failed, but paid after all
+  expire: ["capture", "settlement"],
+  failure: ["capture", "settlement"]
+};
+
+let timer = null;
+let currentRun = null;
+let lastRun = null;
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+export function canTransition(from, to) {
+  return (PAYMENT_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Midtrans transaction -> state machine status
+ * (a card capture held for fraud review is "challenge", not paid yet)
+ */
+export function statusOf(tx) {
+  const status = String(tx.transaction_status || "").toLowerCase();
+  if (status === "capture" && String(tx.fraud_status || "").toLowerCase() === "challenge") return "challenge";
+  return status;
+}
+
+// refunded / charged back amount reported by Midtrans, null when unknown
+function reversedAmount(tx, status) {
+  const [field, list] = status.includes("chargeback") ? ["chargeback_amount", "chargebacks"] : ["refund_amount", "refunds"];
+  if (tx[field] !== undefined) return parseInt(tx[field], 10) || 0;
+  if (Array.isArray(tx[list])) return tx[list].reduce((sum, r) => sum + (parseInt(r[field], 10) || 0), 0);
+  return null;
+}
+
+// past PAYMENT_PENDING_TTL_HOURS, and past the method's own expiry (a VA may be valid longer)
+function isStale(payment) {
+  const deadline = Math.max(
+    new Date(payment.createdAt).getTime() + PAYMENT_PENDING_TTL_HOURS * 3600 * 1000,
+    payment.expiresAt ? new Date(payment.expiresAt).getTime() : 0
+  );
+  return Date.now() > deadline;
+}
+
+function txDetail(tx) {
+  const detail = {};
+  for (const key of ["transaction_id", "payment_type", "fraud_status", "status_code", "gross_amount", "refund_amount", "chargeback_amount", "expiredBy"]) {
+    if (tx?.[key] !== undefined) detail[key] = tx[key];
+  }
+  return detail;
+}
+
+export async function recordPaymentEvent(payment, { from, to, outcome, source, reason = null, entitlement = null, tx = null }) {
+  try {
+    await PaymentEvent.create({
+      paymentId: payment.id,
+      orderId: payment.orderId,
+      fromStatus: from,
+      toStatus: to,
+      outcome,
+      source,
+      reason: reason ? String(reason).slice(0, 255) : null,
+      entitlement,
+      detail: tx ? txDetail(tx) : null
+    });
+  } catch (err) {
+    console.error("recordPaymentEvent err:", err);
+  }
+}
+
+/**
+ * Apply `fields` only if the row is still in the state we read
+ * -> true when this call made the change
+ */
+async function claimTransition(payment, fields) {
+  const where = { id: payment.id, status: payment.status, revokedMs: payment.revokedMs || 0 };
+  const [claimed] = await Payment.update(fields, { where });
+  if (claimed) payment.set(fields);
+  return claimed > 0;
+}
+
+/**
+ * Give the order's plan (once per order), issue the invoice and email it
+ * -> { grantedMs, premiumUntil }
+ */
+async function grantEntitlement(payment) {
+  const user = await User.findByPk(payment.userId);
+  if (!user) return null;
+  // payments made before plans existed have no planId: one month premium
+  const plan = payment.planId ? await Plan.findByPk(payment.planId) : null;
+  const now = Date.now();
+  const from = Math.max(user.premiumUntil ? new Date(user.premiumUntil).getTime() : 0, now);
+  const premiumUntil = await activatePlan(user, plan);
+  const grantedMs = new Date(premiumUntil).getTime() - from;
+  await payment.update({ grantedAt: new Date(), grantedMs });
+
+  createInvoice(payment, { periodStart: new Date(from), periodEnd: premiumUntil })
+    .then(invoice => sendInvoiceMail(invoice, user))
+    .catch(err => console.error("payment invoice err:", err));
+  return { grantedMs, premiumUntil };
+}
+
+/* ----------------------------
+   Status updates
+   ---------------------------- */
+/**
+ * Apply a Midtrans transaction (notification body or status API response)
+ * source: "webhook" | "reconcile"
+ * -> { status, changed, outcome, entitlement?, reason? }
+ *    or { error, status, outcome: "rejected" } for a notification that does not fit the order
+ */
+export async function applyTransactionStatus(payment, tx, { source = "webhook" } = {}) {
+  const status = statusOf(tx);
+  const previous = String(payment.status).toLowerCase();
+  const event = { from: previous, to: status || "unknown", source, tx };
+
+  const reject = async (reason, fields = null) => {
+    if (fields && (await claimTransition(payment, fields))) {
+      await recordPaymentEvent(payment, { ...event, to: fields.status, outcome: "applied", reason });
+    } else {
+      await payment.update({ lastCheckedAt: new Date() });
+      await recordPaymentEvent(payment, { ...event, outcome: "rejected", reason });
+    }
+    return { error: reason, status: payment.status, outcome: "rejected" };
+  };
+
+  if (!status) return reject("missing transaction_status");
+
+  // verify amount matches expected (an unpaid order is marked, a paid one kept as is)
+  const grossAmount = parseInt(tx.gross_amount || 0, 10);
+  if (grossAmount !== payment.amount) {
+    console.warn(`Amount mismatch for ${payment.orderId}: expected ${payment.amount}, got ${grossAmount}`);
+    const fields = canTransition(previous, "amount_mismatch")
+      ? { status: "amount_mismatch", notification: tx, lastCheckedAt: new Date() }
+      : null;
+    return reject("Amount mismatch", fields);
+  }
+
+  const amount = REVERSAL_STATUSES.includes(status) && status.startsWith("partial_") ? reversedAmount(tx, status) : null;
+  const sameStatus = status === previous;
+  // a new partial refund / chargeback comes with the same status but a larger amount
+  const grownPartial = sameStatus && amount !== null && payment.grantedMs > 0
+    && Math.round(payment.grantedMs * Math.min(amount / payment.amount, 1)) > (payment.revokedMs || 0);
+
+  if (sameStatus && !grownPartial) {
+    await payment.update({ lastCheckedAt: new Date() });
+    await recordPaymentEvent(payment, { ...event, outcome: "duplicate" });
+    return { status: previous, changed: false, outcome: "duplicate" };
+  }
+  if (!sameStatus && !canTransition(previous, status)) {
+    // a valid notification the state machine ignores (e.g. "expire" after settlement)
+    const reason = `transition ${previous} -> ${status} not allowed`;
+    await payment.update({ lastCheckedAt: new Date() });
+    await recordPaymentEvent(payment, { ...event, outcome: "rejected", reason });
+    return { status: previous, changed: false, outcome: "rejected", reason };
+  }
+
+  const wasPaid = PAID_STATUSES.includes(previous) || !!payment.grantedAt;
+  const paidNow = PAID_STATUSES.includes(status) && !payment.grantedAt;
+  const fields = { status, notification: tx, lastCheckedAt: new Date() };
+  if (paidNow) fields.paidAt = new Date();
+
+  // premium time to take back: everything for full reversals, the reversed share for partial ones
+  let revokeMs = 0;
+  if (REVOKE_STATUSES.includes(status) && payment.grantedMs > 0) {
+    const share = status.startsWith("partial_") ? (amount === null ? 0 : Math.min(amount / payment.amount, 1)) : 1;
+    const target = Math.round(payment.grantedMs * share);
+    revokeMs = Math.max(target - (payment.revokedMs || 0), 0);
+    if (revokeMs) fields.revokedMs = (payment.revokedMs || 0) + revokeMs;
+  }
+
+  if (!(await claimTransition(payment, fields))) {
+    await payment.reload();
+    await recordPaymentEvent(payment, { ...event, outcome: "duplicate", reason: "handled concurrently" });
+    return { status: payment.status, changed: false, outcome: "duplicate" };
+  }
+
+  let entitlement = null;
+  if (paidNow) {
+    // an order released as expired / failed got paid after all
+    if (UNPAID_FINAL_STATUSES.includes(previous)) await retakePromo(payment.promoCodeId);
+    entitlement = await grantEntitlement(payment);
+  } else if (revokeMs) {
+    const user = await User.findByPk(payment.userId);
+    const premiumUntil = user ? await shortenPremium(user, revokeMs) : null;
+    entitlement = { revokedMs: revokeMs, premiumUntil };
+  } else if (UNPAID_FINAL_STATUSES.includes(status) && !wasPaid) {
+    // unpaid order ended -> the promo code use is free again
+    await releasePromo(payment.promoCodeId);
+  }
+
+  await recordPaymentEvent(payment, { ...event, outcome: "applied", entitlement });
+  return { status, changed: true, outcome: "applied", entitlement };
+}
+
+async function expirePayment(payment, reason) {
+  return applyTransactionStatus(payment, {
+    transaction_status: "expire",
+    gross_amount: payment.amount,
+    expiredBy: reason
+  }, { source: "reconcile" });
+}
+
+/**
+ * Ask Midtrans for the status of one pending order and apply it.
+ * Only a 404 means Midtrans does not know the order; any other reply without
+ * a transaction_status (auth, rate limit, outage) leaves the order as it is.
+ */
+export async function reconcilePayment(payment) {
+  const tx = await getTransactionStatus(payment.orderId);
+
+  if (tx.transaction_status) {
+    const result = await applyTransactionStatus(payment, tx, { source: "reconcile" });
+    if (result.error || payment.status !== "pending" || !isStale(payment)) return result;
+    return expirePayment(payment, "pending_timeout");
+  }
+
+  await payment.update({ lastCheckedAt: new Date() });
+  if (String(tx.status_code) === "404") {
+    if (isStale(payment)) return expirePayment(payment, "not_found");
+    return { status: payment.status, changed: false };
+  }
+  console.error(`payment reconcile ${payment.orderId}: midtrans ${tx.status_code}: ${tx.status_message}`);
+  return { status: payment.status, changed: false, error: `Midtrans status ${tx.status_code}: ${tx.status_message || "no transaction status"}` };
+}
+
+/* ----------------------------
+   Reconciler
+   ---------------------------- */
+async function run() {
+  const summary = { startedAt: new Date(), finishedAt: null, checked: 0, paid: 0, expired: 0, failed: 0, errors: [] };
+  const before = new Date(Date.now() - PAYMENT_RECONCILE_MIN_AGE_MS);
+  let lastId = 0;
+
+  try {
+    while (true) {
+      const payments = await Payment.findAll({
+        where: { status: ["pending", "authorize", "challenge"], provider: "midtrans", createdAt: { [Op.lt]: before }, id: { [Op.gt]: lastId } },
+        order: [["id", "ASC"]],
+        limit: BATCH
+      });
+      if (!payments.length) break;
+
+      for (const payment of payments) {
+        lastId = payment.id;
+        summary.checked += 1;
+        try {
+          const result = await reconcilePayment(payment);
+          if (result.error) throw new Error(result.error);
+          if (!result.changed) continue;
+          if (PAID_STATUSES.includes(result.status)) summary.paid += 1;
+          else if (UNPAID_FINAL_STATUSES.includes(result.status)) summary.expired += 1;
+        } catch (err) {
+          summary.failed += 1;
+          if (summary.errors.length < 20) summary.errors.push({ orderId: payment.orderId, error: err.message });
+        }
+      }
+      if (payments.length < BATCH) break;
+    }
+  } catch (err) {
+    console.error("payment reconcile err:", err);
+    summary.errors.push({ error: err.message });
+  }
+
+  summary.finishedAt = new Date();
+  lastRun = summary;
+  return summary;
+}
+
+/**
+ * Reconcile pending orders now. Concurrent calls share the run in progress.
+ */
+export function runPaymentReconcile() {
+  if (!currentRun) {
+    currentRun = run().finally(() => { currentRun = null; });
+  }
+  return currentRun;
+}
+
+export function getReconcileStatus() {
+  return { running: !!currentRun, lastRun, intervalMs: PAYMENT_RECONCILE_INTERVAL_MS };
+}
+
+export function startPaymentReconciler() {
+  if (timer) return;
+  timer = setInterval(() => runPaymentReconcile(), PAYMENT_RECONCILE_INTERVAL_MS);
+  timer.unref?.();
+}
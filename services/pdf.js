@@ -0,0 +1,114 @@
+// services/pdf.js
+
+/**
+ * Minimal single-page PDF writer (A4, built-in Helvetica fonts, WinAnsi text).
+ *
+ * Enough for generated documents like invoices without a PDF dependency:
+ * text, horizontal lines and filled rectangles. Coordinates are in points
+ * from the top-left corner; characters outside Latin-1 are printed as "?".
+ */
+
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+const FONTS = { regular: "F1", bold: "F2" };
+
+// rough Helvetica advance widths (per 1000 em) for right-aligning text
+const NARROW = "il.,:;'!|ijtfr ()[]-";
+function textWidth(text, size, bold) {
+  let units = 0;
+  for (const ch of text) {
+    if (NARROW.includes(ch)) units += 278;
+    else if (/[A-Z0-9]/.test(ch) || ch === "_") units += bold ? 667 : 640;
+    else if (/[mwMW]/.test(ch)) units += 833;
+    else units += bold ? 556 : 520;
+  }
+  return units * size / 1000;
+}
+
+function pdfString(text) {
+  const latin1 = String(text)
+    .replace(/[\u2000-\u200a\u202f]/g, " ") // Intl puts narrow spaces in dates
+    .replace(/[^\x20-\xff]/g, "?");
+  return `(${latin1.replace(/[\\()]/g, (ch) => `\\${ch}`)})`;
+}
+
+function num(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+export class PdfPage {
+  constructor() {
+    this.ops = [];
+  }
+
+  /**
+   * text(str, x, y, { size = 10, bold = false, align = "left", color = [0, 0, 0] })
+   * align "right": x is the right edge
+   */
+  text(str, x, y, { size = 10, bold = false, align = "left", color = [0, 0, 0] } = {}) {
+    const value = String(str ?? "");
+    const left = align === "right" ? x - textWidth(value, size, bold) : x;
+    this.ops.push(
+      `${color.map(num).join(" ")} rg`,
+      `BT /${bold ? FONTS.bold : FONTS.regular} ${size} Tf ${num(left)} ${num(PAGE_HEIGHT - y)} Td ${pdfString(value)} Tj ET`
+    );
+    return this;
+  }
+
+  line(x1, y, x2, { width = 0.5, color = [0.8, 0.8, 0.8] } = {}) {
+    this.ops.push(
+      `${color.map(num).join(" ")} RG ${num(width)} w`,
+      `${num(x1)} ${num(PAGE_HEIGHT - y)} m ${num(x2)} ${num(PAGE_HEIGHT - y)} l S`
+    );
+    return this;
+  }
+
+  rect(x, y, w, h, { color = [0.95, 0.95, 0.95] } = {}) {
+    this.ops.push(`${color.map(num).join(" ")} rg ${num(x)} ${num(PAGE_HEIGHT - y - h)} ${num(w)} ${num(h)} re f`);
+    return this;
+  }
+
+  /**
+   * -> Buffer with the complete PDF file
+   */
+  toBuffer({ title = "" } = {}) {
+    const content = Buffer.from(this.ops.join("\n"), "latin1");
+    const objects = [
+      "<< /Type /Catalog /Pages 2 0 R >>",
+      "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+        + "/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>",
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+      content,
+      `<< /Title ${pdfString(title)} /Producer (jowav2) >>`
+    ];
+
+    const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+    const offsets = [];
+    let length = chunks[0].length;
+    objects.forEach((obj, i) => {
+      const body = Buffer.isBuffer(obj)
+        ? Buffer.concat([Buffer.from(`<< /Length ${obj.length} >>\nstream\n`), obj, Buffer.from("\nendstream")])
+        : Buffer.from(obj, "latin1");
+      const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), body, Buffer.from("\nendobj\n")]);
+      offsets.push(length);
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+
+    const xref = [
+      "xref",
+      `0 ${objects.length + 1}`,
+      "0000000000 65535 f ",
+      ...offsets.map(o => `${String(o).padStart(10, "0")} 00000 n `),
+      "trailer",
+      `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>`,
+      "startxref",
+      String(length),
+      "%%EOF"
+    ].join("\n");
+    chunks.push(Buffer.from(xref + "\n"));
+    return Buffer.concat(chunks);
+  }
+}
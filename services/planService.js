@@ -0,0 +1,138 @@
+// services/planService.js
+import { Op, literal } from "sequelize";
+import Plan from "../models/Plan.js";
+import PromoCode from "../models/PromoCode.js";
+import Payment from "../models/Payment.js";
+import { DEFAULT_PLANS, PLAN_LIMITS, setPaidPlans } from "../config/plans.js";
+
+/**
+ * Paid plans and promo codes.
+ *
+ * Plans are kept in memory (config/plans.js getPlan) and reloaded after every
+ * change, so plan limits apply without a database lookup per request.
+ * A promo code use is reserved when the order is created (usedCount) and
+ * released again when the payment fails or expires, so maxUses also holds
+ * while payments are pending.
+ */
+
+export const PLAN_LIMIT_KEYS = Object.keys(PLAN_LIMITS.premium);
+// Midtrans statuses that end an order without payment
+export const UNPAID_FINAL_STATUSES = ["expire", "cancel", "deny", "failure"];
+export const PAID_STATUSES = ["settlement", "capture", "success"];
+
+/* ----------------------------
+   Plans
+   ---------------------------- */
+export async function refreshPlanCache() {
+  const plans = await Plan.findAll({ attributes: ["id", "slug", "limits"], raw: true });
+  setPaidPlans(plans);
+  return plans.length;
+}
+
+export async function ensureDefaultPlans() {
+  if (!(await Plan.count())) await Plan.bulkCreate(DEFAULT_PLANS);
+}
+
+export async function initPlans() {
+  await ensureDefaultPlans();
+  await refreshPlanCache();
+}
+
+/**
+ * Premium end date after buying a plan: extends an active premium, otherwise starts now
+ */
+export function extendPremiumUntil(currentUntil, plan) {
+  const now = new Date();
+  const base = currentUntil && new Date(currentUntil) > now ? new Date(currentUntil) : now;
+  const duration = plan?.duration || 1;
+  if ((plan?.durationUnit || "month") === "day") base.setDate(base.getDate() + duration);
+  else base.setMonth(base.getMonth() + duration);
+  return base;
+}
+
+/**
+ * Give the user the plan (plan = null: legacy one month premium)
+ */
+export async function activatePlan(user, plan) {
+  user.premium = true;
+  user.premiumUntil = extendPremiumUntil(user.premiumUntil, plan);
+  if (plan) user.planId = plan.id;
+  await user.save();
+  return user.premiumUntil;
+}
+
+/**
+ * Take back `ms` of premium time (refund / chargeback). Premium ends when
+ * nothing is left; premium without an end date is not touched.
+ */
+export async function shortenPremium(user, ms) {
+  if (!user.premiumUntil || ms <= 0) return user.premiumUntil;
+  const until = new Date(new Date(user.premiumUntil).getTime() - ms);
+  user.premiumUntil = until;
+  if (until <= new Date()) user.premium = false;
+  await user.save();
+  return until;
+}
+
+/* ----------------------------
+   Promo codes
+   ---------------------------- */
+export function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+export function discountFor(promo, price) {
+  const raw = promo.discountType === "percent"
+    ? Math.floor(price * promo.discountValue / 100)
+    : promo.discountValue;
+  return Math.min(Math.max(raw, 0), price);
+}
+
+/**
+ * Check a code for a user and plan -> { promo, discount, amount } or { error, status }
+ */
+export async function checkPromo(code, plan, userId) {
+  const promo = await PromoCode.findOne({ where: { code: normalizeCode(code) } });
+  const now = new Date();
+  if (!promo || !promo.active) return { error: "Invalid promo code", status: 404 };
+  if (promo.startsAt && new Date(promo.startsAt) > now) return { error: "Promo code is not active yet", status: 400 };
+  if (promo.expiresAt && new Date(promo.expiresAt) <= now) return { error: "Promo code expired", status: 410 };
+  if (Array.isArray(promo.planIds) && promo.planIds.length && !promo.planIds.includes(plan.id)) {
+    return { error: "Promo code is not valid for this plan", status: 400 };
+  }
+  if (promo.maxUses !== null && promo.usedCount >= promo.maxUses) return { error: "Promo code usage limit reached", status: 409 };
+
+  if (promo.maxUsesPerUser !== null) {
+    const used = await Payment.count({
+      where: { userId, promoCodeId: promo.id, status: { [Op.notIn]: UNPAID_FINAL_STATUSES } }
+    });
+    if (used >= promo.maxUsesPerUser) return { error: "You have already used this promo code", status: 409 };
+  }
+
+  const discount = discountFor(promo, plan.price);
+  return { promo, discount, amount: plan.price - discount };
+}
+
+/**
+ * Take one use of a code; false when maxUses was reached in the meantime
+ */
+export async function reservePromo(promo) {
+  const where = { id: promo.id };
+  if (promo.maxUses !== null) where.usedCount = { [Op.lt]: promo.maxUses };
+  const [updated] = await PromoCode.update({ usedCount: literal("usedCount + 1") }, { where });
+  return updated > 0;
+}
+
+// an order that was released (expired / failed) got paid after all
+export async function retakePromo(promoCodeId) {
+  if (!promoCodeId) return;
+  await PromoCode.update({ usedCount: literal("usedCount + 1") }, { where: { id: promoCodeId } });
+}
+
+export async function releasePromo(promoCodeId) {
+  if (!promoCodeId) return;
+  await PromoCode.update(
+    { usedCount: literal("usedCount - 1") },
+    { where: { id: promoCodeId, usedCount: { [Op.gt]: 0 } } }
+  );
+}
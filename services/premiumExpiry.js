@@ -0,0 +1,266 @@
+// services/premiumExpiry.js
+import { Op } from "sequelize";
+import User from "../models/User.js";
+import WaSession from "../models/WaSession.js";
+import { getSession, isConnected, stopSocket, saveLog, DEFAULT_SESSION } from "../controllers/waController.js";
+import { sendTracked } from "./messageStore.js";
+import { normalizePhone } from "./audienceService.js";
+import { sendTemplateMail, localeOf, formatDate } from "./emailService.js";
+import {
+  getPlan, PREMIUM_REMINDER_DAYS, PREMIUM_CHECK_INTERVAL_MS, PREMIUM_REMINDER_WA_SESSION, PREMIUM_RENEW_URL
+} from "../config/plans.js";
+
+/**
+ * Premium expiry.
+ *
+ * A background job checks premiumUntil, which nothing else enforces on the
+ * stored flag. Users whose premium ends within one of PREMIUM_REMINDER_DAYS
+ * get a reminder email (plus a WhatsApp message when
+ * PREMIUM_REMINDER_WA_SESSION is set) with a renewal link, once per day
+ * count per premium period. Once premiumUntil has passed the user is set to
+ * premium=false, WA sessions above the free plan's maxSessions are stopped
+ * and suspended, and a premium_expired event is logged. Suspended sessions
+ * can be connected again once the plan allows them (middleware/planLimits.js).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH = 100;
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+
+let timer = null;
+let currentRun = null;
+let lastRun = null;
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+function daysText(days, locale) {
+  if (locale === "en") return days === 1 ? "1 day" : `${days} days`;
+  return `${days} hari`;
+}
+
+function renewLink(user) {
+  return PREMIUM_RENEW_URL.replace("{planId}", user.planId ? String(user.planId) : "");
+}
+
+// smallest reminder day count the remaining time falls in, e.g. 3 days left -> 7
+function reminderThreshold(daysLeft) {
+  const fitting = PREMIUM_REMINDER_DAYS.filter(d => daysLeft <= d);
+  return fitting.length ? Math.min(...fitting) : null;
+}
+
+// "userId:sessionId" -> { userId, sessionId } or null
+function reminderSender() {
+  const [userId, sessionId = DEFAULT_SESSION] = PREMIUM_REMINDER_WA_SESSION.split(":");
+  if (!/^\d+$/.test(userId || "")) return null;
+  return { userId: parseInt(userId, 10), sessionId };
+}
+
+function reminderText(user, days, premiumUntil, locale) {
+  const when = formatDate(premiumUntil, locale);
+  const link = renewLink(user);
+  return locale === "en"
+    ? `Hi ${user.username}, your premium plan ends in ${daysText(days, locale)} (${when}). Renew here to keep your service running: ${link}`
+    : `Halo ${user.username}, paket premium Anda berakhir dalam ${daysText(days, locale)} (${when}). Perpanjang di sini agar layanan tidak terputus: ${link}`;
+}
+
+/* ----------------------------
+   Reminders
+   ---------------------------- */
+async function sendWhatsAppReminder(user, days) {
+  const sender = reminderSender();
+  if (!sender) return false;
+  const phone = normalizePhone(user.phone);
+  const sock = getSession(sender.userId, sender.sessionId);
+  if (!phone || !isConnected(sock)) return false;
+
+  const text = reminderText(user, days, user.premiumUntil, localeOf(user));
+  await sendTracked(sock, sender.userId, sender.sessionId, `${phone}@s.whatsapp.net`, { text });
+  return true;
+}
+
+/**
+ * Send the reminder that is due for one user -> "email" | "whatsapp" | null (nothing due)
+ */
+async function remind(user, now) {
+  const until = new Date(user.premiumUntil);
+  const daysLeft = Math.max(Math.ceil((until.getTime() - now) / DAY_MS), 1);
+  const threshold = reminderThreshold(daysLeft);
+  if (!threshold) return null;
+
+  const samePeriod = user.premiumRemindedUntil && new Date(user.premiumRemindedUntil).getTime() === until.getTime();
+  if (samePeriod && user.premiumRemindedDays !== null && user.premiumRemindedDays <= threshold) return null;
+
+  // claim the reminder first, so overlapping runs send it once
+  const previous = { premiumRemindedUntil: user.premiumRemindedUntil, premiumRemindedDays: user.premiumRemindedDays };
+  const [claimed] = await User.update(
+    { premiumRemindedUntil: until, premiumRemindedDays: threshold },
+    {
+      where: {
+        id: user.id,
+        premium: true,
+        premiumUntil: until,
+        [Op.or]: [
+          { premiumRemindedUntil: null },
+          { premiumRemindedUntil: { [Op.ne]: until } },
+          { premiumRemindedDays: null },
+          { premiumRemindedDays: { [Op.gt]: threshold } }
+        ]
+      }
+    }
+  );
+  if (!claimed) return null;
+
+  try {
+    await sendTemplateMail(user, "premium_expiring", (locale) => ({
+      days: daysText(daysLeft, locale),
+      premiumUntil: formatDate(until, locale),
+      link: renewLink(user)
+    }));
+  } catch (err) {
+    // try again next run
+    await User.update(previous, { where: { id: user.id } });
+    throw err;
+  }
+
+  let whatsapp = false;
+  try {
+    whatsapp = await sendWhatsAppReminder(user, daysLeft);
+  } catch (err) {
+    console.error("premium reminder whatsapp err:", err.message);
+  }
+  await saveLog(user.id, "premium_reminder", { daysLeft, threshold, premiumUntil: until, whatsapp });
+  return whatsapp ? "whatsapp" : "email";
+}
+
+/* ----------------------------
+   Downgrade
+   ---------------------------- */
+/**
+ * Stop and suspend WA sessions above the user's current plan limit.
+ * The default session is kept first, then the oldest ones. -> [sessionId]
+ */
+export async function applySessionLimit(user) {
+  const max = getPlan(user).limits.maxSessions;
+  const rows = await WaSession.findAll({ where: { userId: user.id, suspended: false }, order: [["createdAt", "ASC"]] });
+  rows.sort((a, b) => (b.sessionId === DEFAULT_SESSION) - (a.sessionId === DEFAULT_SESSION));
+
+  const over = rows.slice(Math.max(max, 0));
+  for (const row of over) {
+    stopSocket(user.id, row.sessionId);
+    await row.update({ suspended: true, status: "disconnected" });
+  }
+  return over.map(row => row.sessionId);
+}
+
+/**
+ * premium=false for one user whose premiumUntil has passed -> suspended session ids, or null if already done
+ */
+async function downgrade(user, now) {
+  const [claimed] = await User.update(
+    { premium: false },
+    { where: { id: user.id, premium: true, premiumUntil: { [Op.lte]: new Date(now) } } }
+  );
+  if (!claimed) return null;
+  user.premium = false;
+
+  const suspendedSessions = await applySessionLimit(user);
+  await saveLog(user.id, "premium_expired", {
+    premiumUntil: user.premiumUntil,
+    planId: user.planId,
+    suspendedSessions
+  });
+  return suspendedSessions;
+}
+
+/* ----------------------------
+   Run
+   ---------------------------- */
+// premium users matching `range`, in id batches
+async function eachPremiumUser(range, fn) {
+  let lastId = 0;
+  while (true) {
+    const users = await User.findAll({
+      where: { premium: true, premiumUntil: range, id: { [Op.gt]: lastId } },
+      order: [["id", "ASC"]],
+      limit: BATCH
+    });
+    for (const user of users) {
+      lastId = user.id;
+      await fn(user);
+    }
+    if (users.length < BATCH) break;
+  }
+}
+
+async function run() {
+  const startedAt = new Date();
+  const now = startedAt.getTime();
+  const summary = {
+    startedAt, finishedAt: null, reminded: 0, whatsapp: 0, downgraded: 0, suspendedSessions: 0, failed: 0, errors: []
+  };
+  const fail = (user, err) => {
+    summary.failed += 1;
+    if (summary.errors.length < 20) summary.errors.push({ userId: user.id, error: err.message });
+  };
+
+  try {
+    await eachPremiumUser({ [Op.lte]: startedAt }, async (user) => {
+      try {
+        const suspended = await downgrade(user, now);
+        if (!suspended) return;
+        summary.downgraded += 1;
+        summary.suspendedSessions += suspended.length;
+      } catch (err) {
+        fail(user, err);
+      }
+    });
+
+    if (PREMIUM_REMINDER_DAYS.length) {
+      const horizon = new Date(now + PREMIUM_REMINDER_DAYS[0] * DAY_MS);
+      await eachPremiumUser({ [Op.gt]: startedAt, [Op.lte]: horizon }, async (user) => {
+        try {
+          const sent = await remind(user, now);
+          if (sent) summary.reminded += 1;
+          if (sent === "whatsapp") summary.whatsapp += 1;
+        } catch (err) {
+          fail(user, err);
+        }
+      });
+    }
+  } catch (err) {
+    console.error("premium expiry err:", err);
+    summary.errors.push({ error: err.message });
+  }
+
+  summary.finishedAt = new Date();
+  lastRun = summary;
+  return summary;
+}
+
+/**
+ * Send due reminders and downgrade expired users now. Concurrent calls share the run in progress.
+ */
+export function runPremiumExpiry() {
+  if (!currentRun) {
+    currentRun = run().finally(() => { currentRun = null; });
+  }
+  return currentRun;
+}
+
+export function getPremiumExpiryStatus() {
+  return {
+    running: !!currentRun,
+    lastRun,
+    intervalMs: PREMIUM_CHECK_INTERVAL_MS,
+    reminderDays: PREMIUM_REMINDER_DAYS,
+    whatsapp: !!reminderSender()
+  };
+}
+
+export function startPremiumExpiry() {
+  if (timer) return;
+  setTimeout(() => runPremiumExpiry(), FIRST_RUN_DELAY_MS).unref?.();
+  timer = setInterval(() => runPremiumExpiry(), PREMIUM_CHECK_INTERVAL_MS);
+  timer.unref?.();
+}
@@ -0,0 +1,140 @@
+// services/scheduler.js
+import { CronExpressionParser } from "cron-parser";
+import { Op } from "sequelize";
+import ScheduledMessage from "../models/ScheduledMessage.js";
+import User from "../models/User.js";
+import { getSession, isConnected, buildMediaMessage, saveLog } from "../controllers/waController.js";
+import { sendTracked } from "./messageStore.js";
+import { getUsageToday, recordUsage } from "../middleware/planLimits.js";
+import { getPlan } from "../config/plans.js";
+
+/**
+ * Scheduled & recurring messages.
+ *
+ * Schedules are stored in the DB with their nextRunAt, so they survive a
+ * restart. Every tick the due rows are claimed (nextRunAt moved forward
+ * first, so a slow send never runs twice) and sent through the user's session.
+ * A run is skipped, with the reason logged, when the session is not
+ * connected, the daily quota is used up, or the run is older than
+ * SCHEDULE_MAX_LATE_MS (e.g. the server was down).
+ */
+
+export const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || "Asia/Jakarta";
+const TICK_MS = 15 * 1000;
+const MAX_LATE_MS = parseInt(process.env.SCHEDULE_MAX_LATE_MS || String(60 * 60 * 1000), 10);
+
+let tickTimer = null;
+let ticking = false;
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+export function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Next fire time of a cron expression after `from`, evaluated in `timezone`.
+ * Throws on an invalid expression.
+ */
+export function nextCronRun(cron, timezone, from = new Date()) {
+  return CronExpressionParser.parse(cron, { currentDate: from, tz: timezone }).next().toDate();
+}
+
+function computeNextRun(schedule, from = new Date()) {
+  if (schedule.cron) return nextCronRun(schedule.cron, schedule.timezone, from);
+  return null;
+}
+
+async function skip(schedule, reason) {
+  schedule.lastStatus = "skipped";
+  schedule.lastError = reason;
+  await schedule.save();
+  await saveLog(schedule.userId, "schedule_skipped", { scheduleId: schedule.id, to: schedule.to, reason }, schedule.sessionId);
+}
+
+/* ----------------------------
+   Run one schedule
+   ---------------------------- */
+async function runSchedule(schedule) {
+  const dueAt = schedule.nextRunAt;
+
+  // claim: move to the next occurrence (or finish a one-off) before sending
+  schedule.lastRunAt = new Date();
+  schedule.runCount += 1;
+  schedule.nextRunAt = computeNextRun(schedule);
+  if (!schedule.nextRunAt) schedule.status = "completed";
+  await schedule.save();
+
+  if (Date.now() - new Date(dueAt).getTime() > MAX_LATE_MS) {
+    return skip(schedule, `Missed run at ${new Date(dueAt).toISOString()}`);
+  }
+
+  const sock = getSession(schedule.userId, schedule.sessionId);
+  if (!isConnected(sock)) {
+    return skip(schedule, `Session "${schedule.sessionId}" not connected`);
+  }
+
+  const user = await User.findByPk(schedule.userId);
+  if (!user) return skip(schedule, "User not found");
+  const { limits } = getPlan(user);
+  if (await getUsageToday(user.id) >= limits.dailyMessages) {
+    return skip(schedule, "Daily message quota exceeded");
+  }
+  if (schedule.type === "media" && !limits.media) {
+    return skip(schedule, "Media not available on current plan");
+  }
+
+  try {
+    const content = schedule.type === "media"
+      ? await buildMediaMessage(schedule.content)
+      : { text: schedule.content.text };
+    await sendTracked(sock, schedule.userId, schedule.sessionId, schedule.to, content);
+    await recordUsage(schedule.userId, 1);
+
+    schedule.lastStatus = "sent";
+    schedule.lastError = null;
+    await schedule.save();
+    await saveLog(schedule.userId, "schedule_sent", { scheduleId: schedule.id, to: schedule.to }, schedule.sessionId);
+  } catch (err) {
+    schedule.lastStatus = "failed";
+    schedule.lastError = err.message;
+    await schedule.save();
+    await saveLog(schedule.userId, "schedule_failed", { scheduleId: schedule.id, to: schedule.to, error: err.message }, schedule.sessionId);
+  }
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const due = await ScheduledMessage.findAll({
+      where: { status: "active", nextRunAt: { [Op.lte]: new Date() } },
+      order: [["nextRunAt", "ASC"]],
+      limit: 100
+    });
+    for (const schedule of due) {
+      try {
+        await runSchedule(schedule);
+      } catch (err) {
+        console.error(`schedule ${schedule.id} err:`, err);
+      }
+    }
+  } catch (err) {
+    console.error("scheduler tick err:", err);
+  } finally {
+    ticking = false;
+  }
+}
+
+export function startScheduler() {
+  if (tickTimer) return;
+  tickTimer = setInterval(tick, TICK_MS);
+  tickTimer.unref?.();
+  tick();
+}
@@ -0,0 +1,67 @@
+// services/schemaMigrations.js
+import sequelize, { DB_SYNC_ALTER } from "../config/db.js";
+
+/**
+ * Schema upgrades for existing databases.
+ *
+ * sequelize.sync() only creates tables that do not exist yet. After it,
+ * ensureSchema() adds the columns and indexes models gained since their
+ * table was created (additive only: nothing is changed or dropped), so an
+ * existing install picks up new fields on start. Existing rows get the
+ * column's defaultValue, e.g. User.emailVerified = true: old accounts count
+ * as verified. DB_SYNC_ALTER=true runs sequelize.sync({ alter: true })
+ * instead, which also changes column types.
+ */
+
+async function existingIndexNames(qi, table) {
+  const indexes = await qi.showIndex(table);
+  return new Set(indexes.map(index => index.name));
+}
+
+/**
+ * Add missing columns and indexes of every model -> { columns: ["Table.column"], indexes: [name] }
+ */
+export async function ensureSchema() {
+  const qi = sequelize.getQueryInterface();
+  const added = { columns: [], indexes: [] };
+
+  for (const model of Object.values(sequelize.models)) {
+    const table = model.getTableName();
+    const columns = await qi.describeTable(table);
+
+    for (const [name, attribute] of Object.entries(model.getAttributes())) {
+      const field = attribute.field || name;
+      if (columns[field]) continue;
+      await qi.addColumn(table, field, attribute);
+      added.columns.push(`${table}.${field}`);
+    }
+
+    const names = await existingIndexNames(qi, table);
+    for (const index of model._indexes || []) {
+      if (names.has(index.name)) continue;
+      try {
+        await qi.addIndex(table, index);
+        added.indexes.push(index.name);
+      } catch (err) {
+        // e.g. a unique index over existing duplicates: the app still runs, fix the data and restart
+        console.error(`❌ Index ${index.name} on ${table} not created:`, err.message);
+      }
+    }
+  }
+  return added;
+}
+
+/**
+ * Create / upgrade the schema on start (app.js)
+ */
+export async function syncDatabase() {
+  if (DB_SYNC_ALTER) {
+    await sequelize.sync({ alter: true });
+    return { altered: true };
+  }
+  await sequelize.sync();
+  const added = await ensureSchema();
+  if (added.columns.length) console.log(`✅ Added columns: ${added.columns.join(", ")}`);
+  if (added.indexes.length) console.log(`✅ Added indexes: ${added.indexes.join(", ")}`);
+  return added;
+}
@@ -0,0 +1,160 @@
+// services/sessionRestore.js
+import fs from "fs";
+import path from "path";
+import User from "../models/User.js";
+import WaSession from "../models/WaSession.js";
+import {
+  DEFAULT_SESSION, isValidSessionId, isConnected, createSocketForUser, getSession,
+  stopSocket, waitForConnection, saveLog
+} from "../controllers/waController.js";
+
+/**
+ * Reconnect every WA session with saved credentials when the server boots.
+ *
+ * Credentials are found on disk (baileys/sessions/<userId>/<sessionId>/creds.json,
+ * plus legacy baileys/sessions/<apiKey>/ folders). At most
+ * SESSION_RESTORE_CONCURRENCY sessions connect at the same time. The outcome
+ * of each one is stored on its WaSession row (restoreStatus / restoreError).
+ */
+
+const SESSIONS_ROOT = path.join("baileys", "sessions");
+const CONCURRENCY = parseInt(process.env.SESSION_RESTORE_CONCURRENCY || "3", 10);
+const CONNECT_TIMEOUT_MS = parseInt(process.env.SESSION_RESTORE_TIMEOUT_MS || "45000", 10);
+const MAX_TRIES = 3;
+
+let currentRun = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function readCreds(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, "creds.json"), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function listDirs(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * -> [{ userId, apiKey, sessionId, dir }]
+ */
+function findSavedSessions() {
+  const found = [];
+  for (const name of listDirs(SESSIONS_ROOT)) {
+    const dir = path.join(SESSIONS_ROOT, name);
+    if (/^\d+$/.test(name)) {
+      for (const sessionId of listDirs(dir)) {
+        if (!isValidSessionId(sessionId)) continue;
+        found.push({ userId: parseInt(name, 10), sessionId, dir: path.join(dir, sessionId) });
+      }
+    } else {
+      // legacy single-session folder named after the api key
+      found.push({ apiKey: name, sessionId: DEFAULT_SESSION, dir });
+    }
+  }
+  return found;
+}
+
+async function recordResult(userId, sessionId, restoreStatus, restoreError = null) {
+  const [row] = await WaSession.findOrCreate({
+    where: { userId, sessionId },
+    defaults: { userId, sessionId }
+  });
+  await row.update({
+    restoreStatus,
+    restoreError: restoreError ? String(restoreError).slice(0, 255) : null,
+    restoredAt: new Date()
+  });
+  await saveLog(userId, "session_restore", { restoreStatus, restoreError }, sessionId);
+}
+
+async function restoreOne(entry) {
+  const user = entry.userId
+    ? await User.findByPk(entry.userId)
+    : await User.findOne({ where: { apiKey: entry.apiKey } });
+  if (!user) return { ...entry, result: "skipped" };
+
+  const { sessionId } = entry;
+  const row = await WaSession.findOne({ where: { userId: user.id, sessionId } });
+  // logged out, or over the plan's session limit since premium ended
+  if (row && (row.status === "logged_out" || row.suspended)) return { ...entry, result: "skipped" };
+
+  if (isConnected(getSession(user.id, sessionId))) {
+    await recordResult(user.id, sessionId, "restored");
+    return { ...entry, userId: user.id, result: "open" };
+  }
+
+  const creds = readCreds(entry.dir);
+  if (!creds?.me) {
+    await recordResult(user.id, sessionId, "needs_qr", "No completed login in saved credentials");
+    return { ...entry, result: "needs_qr" };
+  }
+
+  try {
+    await recordResult(user.id, sessionId, "pending");
+    let outcome = "timeout";
+    for (let i = 0; i < MAX_TRIES; i++) {
+      const sock = getSession(user.id, sessionId) || await createSocketForUser(user, sessionId);
+      outcome = await waitForConnection(sock, CONNECT_TIMEOUT_MS);
+      if (outcome !== "closed") break;
+      await sleep(4000); // auto-reconnect in waController kicks in after 3s
+    }
+
+    if (outcome === "open") {
+      await recordResult(user.id, sessionId, "restored");
+    } else if (outcome === "qr" || outcome === "logged_out") {
+      // saved credentials rejected; don't keep a socket spinning out QR codes
+      stopSocket(user.id, sessionId);
+      await recordResult(user.id, sessionId, "needs_qr", `Credentials not accepted (${outcome})`);
+    } else {
+      stopSocket(user.id, sessionId);
+      await recordResult(user.id, sessionId, "failed", `Connection ${outcome}`);
+    }
+    return { ...entry, userId: user.id, result: outcome };
+  } catch (err) {
+    console.error(`restore ${user.id}:${sessionId} err:`, err);
+    await recordResult(user.id, sessionId, "failed", err.message).catch(() => {});
+    return { ...entry, userId: user.id, result: "failed" };
+  }
+}
+
+async function run() {
+  const queue = findSavedSessions();
+  if (!queue.length) return [];
+  console.log(`🔄 Restoring ${queue.length} WA session(s)...`);
+
+  const results = [];
+  const workers = Array.from({ length: Math.max(CONCURRENCY, 1) }, async () => {
+    while (queue.length) {
+      const entry = queue.shift();
+      results.push(await restoreOne(entry));
+    }
+  });
+  await Promise.all(workers);
+
+  const restored = results.filter(r => r.result === "open").length;
+  console.log(`✅ Session restore done: ${restored}/${results.length} connected`);
+  return results;
+}
+
+/**
+ * Restore saved sessions now. Concurrent calls (an admin re-run during the
+ * startup restore) share the run in progress.
+ */
+export function restoreSessions() {
+  if (!currentRun) {
+    currentRun = run().finally(() => { currentRun = null; });
+  }
+  return currentRun;
+}
+
+export function isRestoreRunning() {
+  return !!currentRun;
+}
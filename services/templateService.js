@@ -0,0 +1,75 @@
+// services/templateService.js
+import MessageTemplate from "../models/MessageTemplate.js";
+
+/**
+ * Message templates with {{placeholder}} variables.
+ * Rendering fails (nothing is sent) when any placeholder has no value.
+ */
+
+const PLACEHOLDER_RE = /\{\{\s*([a-zA-Z0-9_.-]+)\s*\}\}/g;
+
+export function extractPlaceholders(...texts) {
+  const names = new Set();
+  for (const text of texts) {
+    if (!text) continue;
+    for (const m of String(text).matchAll(PLACEHOLDER_RE)) names.add(m[1]);
+  }
+  return [...names];
+}
+
+/**
+ * -> { text } or { missing: [...] }
+ */
+export function renderText(text, variables = {}) {
+  const missing = extractPlaceholders(text).filter(name => {
+    const v = variables[name];
+    return v === undefined || v === null || v === "";
+  });
+  if (missing.length) return { missing };
+  return { text: String(text).replace(PLACEHOLDER_RE, (_, name) => String(variables[name])) };
+}
+
+/**
+ * Render a template for one recipient -> { text, media } or { missing }
+ * media (media templates only) -> { url, filename, caption } ready for buildMediaMessage
+ */
+export function renderTemplate(template, variables = {}) {
+  const body = renderText(template.body, variables);
+  if (body.missing) return body;
+
+  if (template.type !== "media") return { text: body.text, media: null };
+
+  const url = renderText(template.media?.url || "", variables);
+  if (url.missing) return url;
+  return {
+    text: body.text,
+    media: { url: url.text, filename: template.media?.filename || "file", caption: body.text }
+  };
+}
+
+/**
+ * Load a user's template by id or name.
+ * -> { template } or { error, status }
+ */
+export async function findTemplate(userId, templateId) {
+  const where = /^\d+$/.test(String(templateId))
+    ? { userId, id: templateId }
+    : { userId, name: templateId };
+  const template = await MessageTemplate.findOne({ where });
+  if (!template) return { error: "Template not found", status: 404 };
+  return { template };
+}
+
+/**
+ * findTemplate + renderTemplate, shaped for route handlers.
+ * -> { template, text, media } or { error, status, missing }
+ */
+export async function resolveTemplate(userId, templateId, variables = {}) {
+  const found = await findTemplate(userId, templateId);
+  if (found.error) return found;
+  const rendered = renderTemplate(found.template, variables);
+  if (rendered.missing) {
+    return { error: "Missing template variables", status: 400, missing: rendered.missing };
+  }
+  return { template: found.template, ...rendered };
+}
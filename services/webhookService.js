@@ -0,0 +1,269 @@
+// services/webhookService.js
+import axios from "axios";
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { Op } from "sequelize";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+
+/**
+ * Outbound webhooks for WA events.
+ *
+ * Every event is stored as a WebhookDelivery row first, then POSTed to the
+ * webhook URL. Failed deliveries are retried with exponential backoff by a
+ * background sweep, so pending rows survive a restart.
+ *
+ * Request headers:
+ *   X-Webhook-Event       event name, e.g. "message.received"
+ *   X-Webhook-Delivery    delivery id
+ *   X-Webhook-Timestamp   unix seconds
+ *   X-Webhook-Signature   "sha256=" + HMAC_SHA256(secret, `${timestamp}.${rawBody}`)
+ *
+ * URLs pointing to loopback, private or link-local addresses are refused when
+ * the webhook is saved and again on every delivery (the connection itself
+ * checks the resolved address, redirects are not followed), unless
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true.
+ */
+
+export const WEBHOOK_EVENTS = [
+  "message.received",
+  "message.status",
+  "connection.update",
+  "group.update",
+  "group.participants"
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "6", 10);
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000", 10);
+const BASE_DELAY_MS = 15 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 15 * 1000;
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+// loopback, private, link-local, CGNAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+].forEach(([ip, prefix]) => BLOCKED_ADDRESSES.addSubnet(ip, prefix, "ipv4"));
+[["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]
+  .forEach(([ip, prefix]) => BLOCKED_ADDRESSES.addSubnet(ip, prefix, "ipv6"));
+
+const inFlight = new Set(); // delivery ids currently being sent
+let sweepTimer = null;
+
+/* ----------------------------
+   Helpers
+   ---------------------------- */
+export function generateSecret() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${digest}`;
+}
+
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4-mapped IPv6
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(ip, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * http(s) URL whose host does not resolve to a loopback / private /
+ * link-local address -> error message, or null when the URL is allowed
+ */
+export async function checkWebhookUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return "valid http(s) url required";
+  }
+  if (u.protocol !== "http:" && u.protocol !== "https:") return "valid http(s) url required";
+  if (ALLOW_PRIVATE_URLS) return null;
+
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch {
+    return `Cannot resolve webhook host ${host}`;
+  }
+  const blocked = addresses.find(a => isBlockedAddress(a.address));
+  return blocked ? `Webhook url must not point to a local or private address (${blocked.address})` : null;
+}
+
+// dns lookup for webhook connections: refuses internal addresses at connect
+// time, so a host that resolves differently after the check cannot reach them
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list = Array.isArray(address) ? address : [{ address }];
+    const blocked = list.find(a => isBlockedAddress(a.address));
+    if (blocked && !ALLOW_PRIVATE_URLS) {
+      return callback(new Error(`Webhook host resolves to a local or private address (${blocked.address})`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: webhookLookup });
+const httpsAgent = new https.Agent({ lookup: webhookLookup });
+
+// 15s, 1m, 4m, 16m, 1h, 1h, ...
+function backoffDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * Math.pow(4, attempts - 1), MAX_DELAY_MS);
+}
+
+function subscribes(webhook, event) {
+  const events = Array.isArray(webhook.events) ? webhook.events : [];
+  return events.length === 0 || events.includes("*") || events.includes(event);
+}
+
+/* ----------------------------
+   Delivery
+   ---------------------------- */
+export async function attemptDelivery(delivery) {
+  if (inFlight.has(delivery.id)) return delivery;
+  inFlight.add(delivery.id);
+  try {
+    // row may be stale (picked by the sweep while another attempt was running)
+    await delivery.reload();
+    if (delivery.status !== "pending") return delivery;
+
+    const webhook = await Webhook.findByPk(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      delivery.status = "failed";
+      delivery.lastError = "Webhook removed or inactive";
+      delivery.nextAttemptAt = null;
+      await delivery.save();
+      return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    delivery.attempts += 1;
+
+    try {
+      const urlError = await checkWebhookUrl(webhook.url);
+      if (urlError) throw new Error(urlError);
+
+      const resp = await axios.post(webhook.url, body, {
+        timeout: TIMEOUT_MS,
+        httpAgent,
+        httpsAgent,
+        maxRedirects: 0,
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "WA-API-Webhook/1.0",
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Delivery": String(delivery.id),
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body)
+        },
+        validateStatus: () => true
+      });
+
+      delivery.responseStatus = resp.status;
+      if (resp.status >= 200 && resp.status < 300) {
+        delivery.status = "success";
+        delivery.deliveredAt = new Date();
+        delivery.nextAttemptAt = null;
+        delivery.lastError = null;
+      } else {
+        delivery.lastError = `HTTP ${resp.status}`;
+      }
+    } catch (err) {
+      delivery.responseStatus = null;
+      delivery.lastError = err.message;
+    }
+
+    if (delivery.status !== "success") {
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = "failed";
+        delivery.nextAttemptAt = null;
+      } else {
+        delivery.nextAttemptAt = new Date(Date.now() + backoffDelay(delivery.attempts));
+      }
+    }
+
+    await delivery.save();
+    return delivery;
+  } catch (err) {
+    console.error("webhook delivery err:", err);
+    return delivery;
+  } finally {
+    inFlight.delete(delivery.id);
+  }
+}
+
+/**
+ * Queue an event for every active webhook of the user that subscribes to it.
+ * Never throws; WA event handlers call this fire-and-forget.
+ */
+export async function dispatchWebhookEvent(userId, event, data = {}) {
+  try {
+    const webhooks = await Webhook.findAll({ where: { userId, active: true } });
+    for (const webhook of webhooks) {
+      if (!subscribes(webhook, event)) continue;
+      const delivery = await WebhookDelivery.create({
+        webhookId: webhook.id,
+        userId,
+        event,
+        payload: { event, timestamp: new Date().toISOString(), data },
+        status: "pending",
+        nextAttemptAt: new Date()
+      });
+      attemptDelivery(delivery).catch(() => {});
+    }
+  } catch (err) {
+    console.error("dispatchWebhookEvent err:", err);
+  }
+}
+
+/**
+ * Replay a stored delivery as a new delivery row (keeps the original for audit).
+ */
+export async function redeliver(delivery) {
+  const copy = await WebhookDelivery.create({
+    webhookId: delivery.webhookId,
+    userId: delivery.userId,
+    event: delivery.event,
+    payload: delivery.payload,
+    status: "pending",
+    nextAttemptAt: new Date(),
+    redeliveryOf: delivery.id
+  });
+  return attemptDelivery(copy);
+}
+
+/* ----------------------------
+   Background retry sweep
+   ---------------------------- */
+async function sweepPending() {
+  try {
+    const due = await WebhookDelivery.findAll({
+      where: { status: "pending", nextAttemptAt: { [Op.lte]: new Date() } },
+      order: [["nextAttemptAt", "ASC"]],
+      limit: 50
+    });
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+    }
+  } catch (err) {
+    console.error("webhook sweep err:", err);
+  }
+}
+
+export function startWebhookWorker() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweepPending, SWEEP_INTERVAL_MS);
+  sweepTimer.unref?.();
+}